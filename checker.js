@@ -0,0 +1,202 @@
+// Thai Lotto Analyzer – Ticket Checker
+// What one or more six-digit tickets would have won in every draw (see checkTickets in lottoCore.js)
+
+const PRIZE_LABELS = {
+  FIRST: 'First prize', NEAR_FIRST: 'Next to first', SECOND: 'Second prize', THIRD: 'Third prize',
+  FOURTH: 'Fourth prize', FIFTH: 'Fifth prize', THREE_FIRST: 'Front three', THREE_LAST: 'Back three',
+  THREE_LEGACY: 'Last three (pre-2015)', TWO: 'Last two',
+};
+
+// DOM
+const ticketInput  = document.getElementById('ticketInput');
+const ticketError  = document.getElementById('ticketError');
+const fromDate     = document.getElementById('fromDate');
+const toDate       = document.getElementById('toDate');
+const checkBtn     = document.getElementById('checkBtn');
+const summaryEl    = document.getElementById('summary');
+const breakdownEl  = document.getElementById('breakdown');
+const hitListEl    = document.getElementById('hitList');
+const statusDot    = document.getElementById('statusDot');
+const statusText   = document.getElementById('statusText');
+const themeToggle  = document.getElementById('themeToggle');
+
+// State
+let allDraws = []; // [{ dateStr, results }], oldest first
+
+// Shareable view state: the tickets and date range, kept in the URL (lottoState.js)
+const viewState = () => ({ tickets: readTickets().tickets, from: fromDate.value, to: toDate.value });
+// The empty form checker.html ships; a reload may refill the inputs, so they are not read here
+const VIEW_DEFAULTS = Object.freeze({ tickets: [], from: '', to: '' });
+
+// ── Theme ────────────────────────────────────────────────────────────────────
+themeToggle.addEventListener('click', () => {
+  const isDark = document.documentElement.classList.toggle('dark');
+  localStorage.setItem('theme', isDark ? 'dark' : 'light');
+});
+const savedTheme = localStorage.getItem('theme');
+if (savedTheme === 'dark' || (!savedTheme && window.matchMedia('(prefers-color-scheme: dark)').matches)) {
+  document.documentElement.classList.add('dark');
+}
+
+// ── Bootstrap ─────────────────────────────────────────────────────────────────
+async function init() {
+  restoreView();
+  setStatus('loading', 'Loading data from cache…');
+  const info = await LottoLoader.ensureData({ onProgress: msg => setStatus('loading', msg) });
+
+  if (!info || info.size === 0) {
+    setStatus('empty', 'No data. The lottery files could not be downloaded.');
+    hitListEl.innerHTML = `
+      <div class="empty-state">
+        <h2>No data available</h2>
+        <p>No draw files could be fetched from <code>lottonumbers/</code>. Check your connection and reload.</p>
+      </div>`;
+    return;
+  }
+
+  allDraws = await LottoData.getDraws();
+  const age = LottoData.formatAge(info.fetchedAt);
+  setStatus('live',
+    `${allDraws.length} draws loaded${age !== null ? ` · cached ${age} ago` : ''}` +
+    ` · ${allDraws[0]?.dateStr} → ${allDraws[allDraws.length - 1]?.dateStr}`);
+  render();
+}
+
+// Set the controls from the URL
+function restoreView() {
+  const v = LottoState.read(VIEW_DEFAULTS);
+  ticketInput.value = v.tickets.join(' ');
+  fromDate.value = v.from;
+  toDate.value = v.to;
+}
+
+function setStatus(state, text) {
+  statusText.textContent = text;
+  statusDot.className = 'status-dot' + (state === 'live' ? ' live' : '');
+}
+
+// ── Input ─────────────────────────────────────────────────────────────────────
+// Six-digit tickets from the textarea, deduplicated, plus anything that isn't one
+function readTickets() {
+  const tokens = ticketInput.value.split(/[\s,;]+/).filter(Boolean);
+  const tickets = [...new Set(tokens.filter(t => /^\d{6}$/.test(t)))];
+  const invalid = tokens.filter(t => !/^\d{6}$/.test(t));
+  return { tickets, invalid };
+}
+
+// ── Render ────────────────────────────────────────────────────────────────────
+const baht = n => '฿' + n.toLocaleString('en-US');
+
+function tile(value, label, mood) {
+  return `<div class="c-tile${mood ? ' ' + mood : ''}"><div class="c-tile-val">${value}</div><div class="c-tile-lbl">${label}</div></div>`;
+}
+
+function esc(s) {
+  return String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function render() {
+  LottoState.write(viewState(), VIEW_DEFAULTS);
+  const { tickets, invalid } = readTickets();
+  ticketError.textContent = invalid.length
+    ? `Ignored ${invalid.map(t => `"${t}"`).join(', ')}: tickets have exactly six digits.`
+    : '';
+  if (!tickets.length) {
+    summaryEl.innerHTML = breakdownEl.innerHTML = '';
+    hitListEl.innerHTML = `
+      <div class="empty-state">
+        <h2>Enter a ticket</h2>
+        <p>Type one or more six-digit ticket numbers above to see every prize they would have won.</p>
+      </div>`;
+    return;
+  }
+
+  const from  = fromDate.value, to = toDate.value;
+  const draws = allDraws.filter(d => (!from || d.dateStr >= from) && (!to || d.dateStr <= to));
+  const res   = LottoCore.checkTickets(draws, tickets);
+  const winningDraws = new Set(res.hits.map(h => h.dateStr)).size;
+  const ev = LottoCore.expectedValue();
+
+  summaryEl.innerHTML =
+    tile(tickets.length, tickets.length === 1 ? 'Ticket' : 'Tickets') +
+    tile(res.draws, 'Draws checked') +
+    tile(winningDraws, 'Draws with a win', winningDraws ? 'good' : '') +
+    tile(baht(res.total), 'Total won', res.total ? 'good' : '') +
+    tile(baht(res.cost), `Cost at ${baht(LottoData.TICKET_PRICE)} a ticket`) +
+    tile((res.net < 0 ? '−' : '+') + baht(Math.abs(res.net)), 'Net', res.net < 0 ? 'bad' : 'good');
+
+  const prizeRows = LottoData.PRIZE_LIST.filter(p => res.byPrize[p]).map(p => `<tr>
+      <td>${PRIZE_LABELS[p]}</td>
+      <td class="c-num">${res.byPrize[p].count}</td>
+      <td class="c-num">${baht(res.byPrize[p].amount)}</td>
+    </tr>`).join('');
+  const ticketRows = tickets.map(t => {
+    const s = res.byTicket[t];
+    return `<tr>
+      <td class="c-mono">${t}</td>
+      <td class="c-num">${s.draws}</td>
+      <td class="c-num">${s.count}</td>
+      <td class="c-num">${baht(s.amount)}</td>
+    </tr>`;
+  }).join('');
+
+  breakdownEl.innerHTML = `
+    <div class="c-tables">
+      <div>
+        <div class="c-section-title">By prize</div>
+        ${prizeRows ? `<table>
+          <thead><tr><th>Prize</th><th class="c-num">Wins</th><th class="c-num">Total</th></tr></thead>
+          <tbody>${prizeRows}</tbody>
+        </table>` : '<p class="c-note">No prize won.</p>'}
+      </div>
+      <div>
+        <div class="c-section-title">By ticket</div>
+        <table>
+          <thead><tr><th>Ticket</th><th class="c-num">Winning draws</th><th class="c-num">Wins</th><th class="c-num">Total</th></tr></thead>
+          <tbody>${ticketRows}</tbody>
+        </table>
+      </div>
+    </div>
+    <p class="c-note">
+      Prizes are matched the way they are awarded: the whole number for the first to fifth prizes and the two numbers next to the first prize,
+      the first three digits for front three, the last three for back three (and the four last-three numbers drawn until 2015), and the last two digits for last two.
+      A ticket collects every prize it matches. Amounts are per ${baht(LottoData.TICKET_PRICE)} of tickets, as paid at the time of each draw;
+      the First prize rose from ฿4,000,000 to ฿6,000,000 in September 2015.
+      At today's amounts a ticket returns ${baht(ev.perTicket)} of its ${baht(ev.price)} on average (${Math.round(ev.returnRate * 100)}%), whatever its number.
+    </p>`;
+
+  if (!res.hits.length) {
+    hitListEl.innerHTML = `
+      <div class="empty-state">
+        <h2>No wins</h2>
+        <p>${tickets.length === 1 ? 'This ticket' : 'None of these tickets'} would have won anything in the ${res.draws} draws checked.</p>
+      </div>`;
+    return;
+  }
+
+  const hitRows = res.hits.slice().reverse().map(h => `<tr>
+      <td class="c-mono">${h.dateStr}</td>
+      <td class="c-mono">${esc(h.ticket)}</td>
+      <td><span class="c-prize">${PRIZE_LABELS[h.prize]}</span></td>
+      <td class="c-mono">${esc(h.number)}</td>
+      <td class="c-num">${baht(h.amount)}</td>
+    </tr>`).join('');
+  hitListEl.innerHTML = `
+    <div class="c-section-title">Every win, newest first</div>
+    <table>
+      <thead><tr><th>Draw</th><th>Ticket</th><th>Prize</th><th>Winning number</th><th class="c-num">Baht</th></tr></thead>
+      <tbody>${hitRows}</tbody>
+    </table>`;
+}
+
+checkBtn.addEventListener('click', () => { if (allDraws.length) render(); });
+ticketInput.addEventListener('keydown', e => {
+  if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && allDraws.length) { e.preventDefault(); render(); }
+});
+[fromDate, toDate].forEach(el => el.addEventListener('change', () => { if (allDraws.length && ticketInput.value.trim()) render(); }));
+
+// ── Init ─────────────────────────────────────────────────────────────────────
+init().catch(err => {
+  console.error('checker.js init error:', err);
+  setStatus('empty', 'Failed to load data.');
+});
@@ -0,0 +1,467 @@
+// Thai Lotto Analyzer — command line  (cli.js)
+// Runs the Insights / Predictions / Scout analyses over the local lottonumbers/
+// folder, using the same lottoCore.js code as the pages.
+//
+//   node cli.js freq --prize FIRST --from 2020-01-01
+//   node cli.js predict --to 2024-12-16 --json
+//   node cli.js check 123456 654321 --from 2020-01-01
+const fs = require('fs');
+const path = require('path');
+const LottoData = require('./lottoData.js');
+const { PRIZE_LIST } = LottoData;
+const { parseSource, parseTextToResults } = require('./lottoLoader.js');
+const Core = require('./lottoCore.js');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  freq       How often each number was drawn, with recent hot score   (Insights)
+  gaps       Numbers most overdue relative to their own average gap   (Insights)
+  fairness   Chi², runs, serial-correlation and gap tests per digit    (Insights)
+  shifts     Change points in each digit position's distribution      (Insights)
+  predict    Digit scores and most likely numbers (pairs for TWO)     (Predictions)
+  scout      Composite cross-signal ranking of 00-99                   (Scout)
+  backtest   Walk-forward backtest of predict, or of another model with --model
+  compare    Backtest every registered TWO model on the same draws, Holm-corrected
+  tune       Grid-search the predict weights; in-sample vs out-of-sample hit rates
+  check T..  What six-digit tickets T would have won in every draw    (Checker)
+  bankroll   Profit and loss of betting a model's top N every draw     (Backtest)
+
+Options:
+  --prize P        prize for freq/gaps/fairness/shifts (default TWO)
+  --target T       prize modelled by predict/backtest/tune: TWO (default), ${Object.keys(Core.TARGETS).join(', ')};
+                   scout always uses TWO
+  --from DATE      ignore draws before DATE (YYYY-MM-DD)
+  --to DATE        ignore draws after DATE — same as the pages' prediction cutoff
+  --last N         keep only the last N draws of that range
+  --top N          rows to print, and the top-N used by the backtests (default 15)
+  --window W       recency window of the digit model (default ${Core.REC_WIN})
+  --sims N         freq/gaps: add each statistic's percentile among N simulated fair histories;
+                   bankroll: bootstrap resamples (default 1000)
+  --model M        backtest/bankroll model: predict (default), scout or any of
+                   ${Core.listModels().map(m => m.id).join(', ')} (TWO only)
+  --train DATE     tune: choose weights on draws before DATE (default: first 60%)
+  --valid DATE     tune: validate on draws before DATE, test on the rest (default: next 20%)
+  --folds N        tune: rolling-origin folds (default 5)
+  --stake B        bankroll: baht staked on each number (default ${LottoData.TICKET_PRICE})
+  --no-mirrors     bankroll: bet only the top N, not their mirrors too
+  --dir PATH       draw folder (default lottonumbers/ next to this file)
+  --json           print the full result as JSON instead of a table
+`;
+
+function parseArgs(argv) {
+  const opts = { prize: 'TWO', target: 'TWO', top: 15, window: Core.REC_WIN, model: 'predict', folds: 5, stake: LottoData.TICKET_PRICE, mirrors: true, dir: path.join(__dirname, 'lottonumbers'), json: false };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) { rest.push(arg); continue; }
+    const key = arg.slice(2);
+    if (key === 'json' || key === 'help') { opts[key] = true; continue; }
+    if (key === 'no-mirrors') { opts.mirrors = false; continue; }
+    if (!(key in opts) && !['from', 'to', 'last', 'train', 'valid', 'sims'].includes(key)) throw new Error(`Unknown option ${arg}`);
+    const val = argv[++i];
+    if (val === undefined) throw new Error(`${arg} needs a value`);
+    opts[key] = val;
+  }
+  opts.command = rest[0];
+  opts.tickets = rest.slice(1);
+
+  for (const key of ['top', 'window', 'last', 'folds', 'sims', 'stake']) {
+    if (opts[key] === undefined) continue;
+    opts[key] = Number(opts[key]);
+    if (!Number.isInteger(opts[key]) || opts[key] < 1) throw new Error(`--${key} must be a positive integer`);
+  }
+  for (const key of ['from', 'to', 'train', 'valid']) {
+    if (opts[key] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(opts[key])) throw new Error(`--${key} must be YYYY-MM-DD`);
+  }
+  opts.prize = opts.prize.toUpperCase();
+  if (!PRIZE_LIST.includes(opts.prize)) throw new Error(`Unknown prize ${opts.prize} (one of ${PRIZE_LIST.join(', ')})`);
+  opts.target = opts.target.toUpperCase();
+  if (opts.target !== 'TWO' && !Core.TARGETS[opts.target]) throw new Error(`Unknown target ${opts.target} (one of TWO, ${Object.keys(Core.TARGETS).join(', ')})`);
+  const models = Core.listModels().map(m => m.id);
+  if (!models.includes(opts.model)) throw new Error(`Unknown model ${opts.model} (one of ${models.join(', ')})`);
+  if (opts.model !== 'predict' && opts.target !== 'TWO') throw new Error(`--model ${opts.model} only supports --target TWO`);
+  if (['compare', 'bankroll'].includes(opts.command) && opts.target !== 'TWO') throw new Error(`${opts.command} only supports --target TWO`);
+  if (opts.command === 'check') {
+    if (!opts.tickets.length) throw new Error('check needs at least one ticket, e.g. check 123456');
+    const bad = opts.tickets.find(t => !/^\d{6}$/.test(t));
+    if (bad) throw new Error(`Ticket ${bad} is not six digits`);
+  }
+  return opts;
+}
+
+// ' p97' for a value at the 97th percentile of its null samples, '' without --sims
+function pctText(samples, value) {
+  const pct = samples ? Core.nullPercentile(samples, value) : null;
+  return pct === null ? '' : ` p${Math.round(pct * 100)}`;
+}
+
+// Every YYYY-MM-DD.txt in the folder, oldest first, parsed like the browser loader does
+function readDraws(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Draw folder not found: ${dir}`);
+  return fs.readdirSync(dir)
+    .filter(name => /^\d{4}-\d{2}-\d{2}\.txt$/.test(name))
+    .sort()
+    .map(name => {
+      const text = fs.readFileSync(path.join(dir, name), 'utf8');
+      return { dateStr: name.slice(0, 10), source: parseSource(text), results: parseTextToResults(text) };
+    });
+}
+
+function selectDraws(draws, { from, to, last }) {
+  let out = draws.filter(d => (!from || d.dateStr >= from) && (!to || d.dateStr <= to));
+  if (last && last < out.length) out = out.slice(-last);
+  return out;
+}
+
+// ── Output ──────────────────────────────────────────────────────────────────
+const pct = (v, dp = 1) => (v * 100).toFixed(dp) + '%';
+
+function table(header, rows) {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+  const line = r => r.map((c, i) => String(c).padStart(widths[i])).join('  ').trimEnd();
+  return [line(header), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+// Cost of buying every ticket in the list against what it returns on average
+function valueText(v) {
+  const baht = n => Math.round(n).toLocaleString('en-US');
+  return `${v.tickets} tickets cost ${baht(v.cost)} baht · expected return ${baht(v.fairReturn)} if the draw is fair, ` +
+    `${baht(v.modelReturn)} if the model is right`;
+}
+
+// Uncorrected: the command line cannot know how many other settings were tried
+function sigText(st) {
+  return `Z=${st.z.toFixed(2)} · exact p=${st.p < 0.001 ? '<0.001' : st.p.toFixed(3)}${st.p < 0.05 ? '' : ' (not sig.)'} · ` +
+    `95% CI ${pct(st.ciLo)}–${pct(st.ciHi)}`;
+}
+
+// Proper scores against the uniform forecast, then the reliability tables
+function probText(ps, digits) {
+  const x = v => v === Infinity ? '∞' : String(v);
+  let text = `Log-loss ${ps.logLoss.toFixed(3)} vs ${ps.uniformLogLoss.toFixed(3)} uniform (skill ${pct(ps.logLossSkill, 2)}, Z=${ps.gainZ.toFixed(2)}) · ` +
+    `Brier skill ${pct(ps.brierSkill, 3)}\n\nReliability (forecast as a multiple of uniform 1/${Math.pow(10, digits)}):\n` +
+    table(['Forecast', 'Forecasts', 'Mean p', 'Observed', '95% CI'],
+      ps.curve.map(c => [`${x(c.lo)}–${x(c.hi)}×`, c.n, pct(c.meanP, 3), pct(c.observed, 3), `${pct(c.ciLo, 3)}–${pct(c.ciHi, 3)}`]));
+  if (ps.digitCurve) {
+    text += `\n\nDigit reliability (digit score → chance it appears in the draw; ${pct(Core.CALIB_LO, 0)}–${pct(Core.CALIB_HI, 0)} is the calibrated zone):\n` +
+      table(['Digit score', 'Forecasts', 'Predicted', 'Observed', '95% CI'],
+        ps.digitCurve.map(c => [`${pct(c.lo, 0)}–${pct(c.hi, 0)}`, c.n, pct(c.meanP), pct(c.observed), `${pct(c.ciLo)}–${pct(c.ciHi)}`]));
+  }
+  return text;
+}
+
+function range(draws) {
+  return draws.length ? `${draws.length} draws · ${draws[0].dateStr} → ${draws[draws.length - 1].dateStr}` : '0 draws';
+}
+
+// ── Commands ────────────────────────────────────────────────────────────────
+// Each returns { data, text }: data is printed for --json, text otherwise.
+const COMMANDS = {
+  freq(draws, opts) {
+    const sel = draws.filter(d => d.results[opts.prize]);
+    const ins = Core.computeInsights(sel, opts.prize);
+    const rows = Object.entries(ins.freq)
+      .filter(([, c]) => c > 0)
+      .sort((a, b) => b[1] - a[1])
+      .map(([num, count]) => ({ num, count, recent: ins.recentFreq[num] || 0, share: count / ins.totalDraws }));
+    const nd = opts.sims ? Core.simulateInsightsNull(sel, opts.prize, { sims: opts.sims }) : null;
+    const data = { prize: opts.prize, totalDraws: ins.totalDraws, recentDrawCount: ins.recentDrawCount, uniqueNums: ins.uniqueNums, freq: rows, hot: ins.hot, cold: ins.cold };
+    if (nd) {
+      data.percentiles = {
+        sims: nd.sims,
+        uniqueNums: Core.nullPercentile(nd.scalar.uniqueNums, ins.uniqueNums),
+        freq: rows.slice(0, Core.NULL_RANKS).map((r, i) => Core.nullPercentile(nd.ranked.freq[i], r.count)),
+        hot:  ins.hot.map((h, i) => Core.nullPercentile(nd.ranked.hot[i], h.hotScore)),
+        cold: ins.cold.map((h, i) => Core.nullPercentile(nd.ranked.cold[i], h.hotScore)),
+      };
+    }
+    return {
+      data,
+      text: `${opts.prize} · ${range(sel)} · ${ins.uniqueNums}${pctText(nd && nd.scalar.uniqueNums, ins.uniqueNums)} distinct numbers` +
+        (nd ? ` · pNN = percentile among ${nd.sims} fair histories` : '') + '\n\n' +
+        table(['#', 'Number', 'Drawn', 'Per draw', `Last ${ins.recentDrawCount}`],
+          rows.slice(0, opts.top).map((r, i) => [i + 1, r.num, r.count + pctText(nd && nd.ranked.freq[i], r.count), r.share.toFixed(3), r.recent])) +
+        `\n\nHot:  ${ins.hot.map((h, i) => `${h.num} ×${h.hotScore.toFixed(2)}${pctText(nd && nd.ranked.hot[i], h.hotScore)}`).join('  ')}` +
+        `\nCold: ${ins.cold.map((h, i) => `${h.num} ×${h.hotScore.toFixed(2)}${pctText(nd && nd.ranked.cold[i], h.hotScore)}`).join('  ')}`,
+    };
+  },
+
+  gaps(draws, opts) {
+    const sel = draws.filter(d => d.results[opts.prize]);
+    const ins = Core.computeInsights(sel, opts.prize);
+    const nd = opts.sims ? Core.simulateInsightsNull(sel, opts.prize, { sims: opts.sims }) : null;
+    const data = { prize: opts.prize, totalDraws: ins.totalDraws, overdue: ins.overdueList, candidates: ins.candidates };
+    if (nd) {
+      data.percentiles = {
+        sims: nd.sims,
+        longestGap: Core.nullPercentile(nd.scalar.longestGap, Core.insightStatistics(ins).scalar.longestGap),
+        overdue: ins.overdueList.slice(0, Core.NULL_RANKS).map((o, i) => Core.nullPercentile(nd.ranked.overdue[i], o.score)),
+        maxGap: ins.overdueList.map(o => Core.nullPercentile(nd.pooled.maxGap, o.maxGap)),
+      };
+    }
+    return {
+      data,
+      text: `${opts.prize} · ${range(sel)} · score = (since − avg gap) / avg gap` +
+        (nd ? ` · pNN = percentile among ${nd.sims} fair histories` : '') + '\n\n' +
+        table(['#', 'Number', 'Since', 'Avg gap', 'Min', 'Max', 'Drawn', 'Score', 'Last seen'],
+          ins.overdueList.slice(0, opts.top).map((o, i) =>
+            [i + 1, o.num, o.sinceLastSeen, o.avgGap.toFixed(1), o.minGap, o.maxGap + pctText(nd && nd.pooled.maxGap, o.maxGap), o.count,
+              o.score.toFixed(2) + pctText(nd && nd.ranked.overdue[i], o.score), o.lastDate])),
+    };
+  },
+
+  fairness(draws, opts) {
+    const sel = draws.filter(d => d.results[opts.prize]);
+    const fair = Core.fairnessTests(sel, opts.prize);
+    const p = v => v === null ? '-' : v < 0.001 ? '<0.001' : v.toFixed(3);
+    return {
+      data: fair,
+      text: `${opts.prize} · ${range(sel)} · Holm-corrected across all tests\n\n` +
+        table(['Pos', 'Test', 'Statistic', 'p', 'Holm p', 'Verdict'],
+          fair.tests.map(t => [t.pos + 1, t.name, Number.isInteger(t.stat) ? t.stat : t.stat.toFixed(3), p(t.p), p(t.holmP), t.verdict])),
+    };
+  },
+
+  shifts(draws, opts) {
+    const sel = draws.filter(d => d.results[opts.prize]);
+    const res = Core.changePoints(sel, opts.prize);
+    const level = 0.05 / res.positions.length;
+    const rows = res.positions.flatMap(p => p.changes.length
+      ? p.changes.map(c => [p.pos + 1, c.dateStr, c.G.toFixed(1), c.p.toFixed(3),
+        c.nearestSwitch ? `${c.nearestSwitch.dateStr} → ${c.nearestSwitch.to || '?'} (${c.nearestSwitch.distance >= 0 ? '+' : ''}${c.nearestSwitch.distance})` : '-'])
+      : [[p.pos + 1, 'none', p.scan ? p.scan.G.toFixed(1) : '-', p.scan ? p.scan.p.toFixed(3) : '-', '']]);
+    return {
+      data: res,
+      text: `${opts.prize} · ${range(sel)} · ${res.sources.length} source runs · a shift needs p < ${level.toFixed(3)}\n\n` +
+        table(['Pos', 'Shift at', 'G²', 'p', 'Nearest source switch'], rows),
+    };
+  },
+
+  bankroll(draws, opts) {
+    const two = Core.twoDigitDraws(draws);
+    const res = Core.simulateBankroll(two, opts.model, { topN: opts.top, mirrors: opts.mirrors, stake: opts.stake,
+                                                          sims: opts.sims || 1000, recW: opts.window });
+    if (!res) throw new Error(`Need more than ${Core.MIN_HIST} draws, got ${two.length}`);
+    const baht = n => Math.round(n).toLocaleString('en-US');
+    const dd = res.maxDrawdown, ls = res.longestLosingStreak, b = res.bootstrap;
+    const years = {};
+    res.rows.forEach(r => {
+      const y = years[r.dateStr.slice(0, 4)] = years[r.dateStr.slice(0, 4)] || { draws: 0, hits: 0, pnl: 0, cum: 0 };
+      y.draws++; y.pnl += r.pnl; y.cum = r.cum; if (r.won) y.hits++;
+    });
+    return {
+      data: res,
+      text: `TWO · ${opts.model} · ${range(two)} · top ${opts.top}${opts.mirrors ? ' + mirrors' : ''} · ${baht(opts.stake)} baht a number\n` +
+        `Tested ${res.draws} · won ${res.hits} draws · staked ${baht(res.staked)} · returned ${baht(res.returned)} · ` +
+        `net ${res.net >= 0 ? '+' : ''}${baht(res.net)} (${pct(res.roi)})\n` +
+        `Max drawdown ${baht(dd.amount)} (${dd.from || 'start'} → ${dd.to || '-'}) · ` +
+        `longest losing streak ${ls.length} draws (${ls.from || '-'} → ${ls.to || '-'})\n` +
+        `Bootstrap (${b.sims} resamples): ${Core.BANKROLL_QUANTILES.map((q, i) => `${Math.round(q * 100)}% ${baht(b.quantiles[i])}`).join(' · ')} · ` +
+        `ended in profit ${pct(1 - b.pLoss)}\n\n` +
+        table(['Year', 'Draws', 'Won', 'P&L', 'Cumulative'],
+          Object.entries(years).map(([y, v]) => [y, v.draws, v.hits, baht(v.pnl), baht(v.cum)])),
+    };
+  },
+
+  check(draws, opts) {
+    const res = Core.checkTickets(draws, opts.tickets);
+    const baht = n => n.toLocaleString('en-US');
+    return {
+      data: res,
+      text: `${opts.tickets.join(' ')} · ${range(draws)} · ${res.hits.length} wins\n` +
+        `Won ${baht(res.total)} baht for ${baht(res.cost)} spent · net ${res.net >= 0 ? '+' : ''}${baht(res.net)}\n\n` +
+        table(['Date', 'Ticket', 'Prize', 'Number', 'Baht'],
+          res.hits.slice(-opts.top).reverse().map(h => [h.dateStr, h.ticket, h.prize, h.number, baht(h.amount)])),
+    };
+  },
+
+  predict(draws, opts) {
+    if (opts.target !== 'TWO') return predictTarget(draws, opts);
+    const two = Core.twoDigitDraws(draws);
+    const model = Core.computeModel(two.map(d => d.twoNum), opts.window);
+    if (!model) throw new Error(`Need at least ${Core.MIN_HIST} draws, got ${two.length}`);
+    const digits = Core.DIGITS.slice().sort((a, b) => model.digitMeta[b].prob - model.digitMeta[a].prob);
+    const pairs = Core.rankPairs(model).slice(0, opts.top);
+    const zone = m => m.isElev ? 'elevated' : m.isCalib ? 'calibrated' : '';
+    const value = Core.strategyValue([...new Set(pairs.flatMap(p => [p.a + p.b, p.b + p.a]))], 'TWO', { numProbs: model.numProbs });
+    return {
+      data: { draws: two.length, lastDraw: two[two.length - 1], window: opts.window, digits: digits.map(d => ({ d, ...model.digitMeta[d] })), pairs, value },
+      text: `TWO · ${range(two)} · window ${opts.window}\n\n` +
+        table(['Digit', 'Score', 'vs base', 'Since', 'Avg gap', 'Zone'],
+          digits.map(d => { const m = model.digitMeta[d]; return [d, pct(m.prob), (m.vsBase >= 0 ? '+' : '') + pct(m.vsBase), m.since, m.avgGap.toFixed(1), zone(m)]; })) +
+        '\n\n' +
+        table(['#', 'Pair', 'Tickets', 'Combined P'],
+          pairs.map((p, i) => [i + 1, `{${p.a},${p.b}}`, p.a === p.b ? p.a + p.b : `${p.a + p.b} + ${p.b + p.a}`, pct(p.prob, 2)])) +
+        '\n\n' + valueText(value),
+    };
+  },
+
+  scout(draws, opts) {
+    const two = Core.twoDigitDraws(draws);
+    const res = Core.computeComposite(two, { recW: opts.window });
+    if (!res) throw new Error(`Need at least ${Core.MIN_HIST} draws, got ${two.length}`);
+    const ranked = res.ranked.slice(0, opts.top);
+    const value = Core.strategyValue(ranked.map(e => e.num), 'TWO', { numProbs: Object.fromEntries(res.ranked.map(e => [e.num, e.pM])) });
+    return {
+      data: { draws: res.N, window: opts.window, value, ranked: res.ranked,
+              pairs: res.pairArr.map(({ da, db, pPair, comb, anyCalib }) => ({ da, db, pPair, comb, anyCalib })), digits: res.rankedDigits },
+      text: `TWO · ${range(two)} · window ${opts.window}\n\n` +
+        table(['#', 'Number', 'Score', 'Tier', 'Model P', 'Overdue', 'Hot', 'Drawn', 'Last seen'],
+          ranked.map(e => [e.rank, e.num, e.composite, e.tier, pct(e.pM, 2), e.overdueFrac.toFixed(2), e.hotScore.toFixed(2), e.freq, e.lastDate])) +
+        '\n\n' + valueText(value),
+    };
+  },
+
+  backtest(draws, opts) {
+    if (opts.target !== 'TWO') return backtestTarget(draws, opts);
+    const two = Core.twoDigitDraws(draws);
+    const cfg = { recW: opts.window, topN: opts.top };
+    if (opts.model !== 'predict' && opts.model !== 'scout') return backtestModel(two, opts);
+    const scout = opts.model === 'scout';
+    const bt = scout ? Core.runScoutBacktest(two, cfg) : Core.runBacktest(two, cfg);
+    if (!bt.length) throw new Error(`Need more than ${Core.MIN_HIST} draws, got ${two.length}`);
+    const st = scout ? Core.scoutBacktestStats(bt, opts.top) : Core.backtestStats(bt, opts.top);
+    // The Scout composite ranks numbers but is not a probability forecast
+    const scores = scout ? null : Core.probabilityStats(bt);
+    const rows = bt.map(r => scout
+      ? { dateStr: r.dateStr, actual: r.actual, hit: r.topHit, actualRank: r.actualRank, actualTier: r.actualTier, topPicks: r.topPicks.map(e => e.num) }
+      : { dateStr: r.dateStr, actual: r.actual, hit: r.pairHit, pActual: r.pActual, hit2: r.hit2, hit4: r.hit4, logLoss: r.logLoss, brier: r.brier, topPicks: r.topNums });
+    const extra = scout
+      ? `Avg rank of actual: ${st.avgRank !== null ? st.avgRank.toFixed(1) : '—'}/100 · tier A ${st.tierCnt.A} · tier B ${st.tierCnt.B}`
+      : `Hit in +2 draws: ${pct(st.hit2Rate)} · +4 draws: ${pct(st.hit4Rate)}\n${probText(scores, 2)}`;
+    return {
+      data: { model: opts.model, window: opts.window, topN: opts.top, stats: st, ...(scores && { scores }), rows },
+      text: `TWO · ${opts.model} · ${range(two)} · window ${opts.window}\n` +
+        `Tested ${st.n} · top-${opts.top} hit ${pct(st.hitRate)} vs ${pct(st.baseline)} baseline · ` +
+        `${sigText(st)}\n${extra}\n\n` +
+        table(['Date', 'Drawn', 'Hit', 'Top picks'],
+          rows.slice(-20).map(r => [r.dateStr, r.actual, r.hit ? 'yes' : '-', r.topPicks.slice(0, 10).join(' ')])),
+    };
+  },
+
+  compare(draws, opts) {
+    const two = Core.twoDigitDraws(draws);
+    const models = Core.compareModels(two, { recW: opts.window, topN: opts.top });
+    if (!models[0].stats.n) throw new Error(`Need more than ${Core.MIN_HIST} draws, got ${two.length}`);
+    const sorted = models.slice().sort((a, b) => b.stats.z - a.stats.z);
+    const fmtP = p => p < 0.001 ? '<0.001' : p.toFixed(3);
+    return {
+      data: { window: opts.window, topN: opts.top, models },
+      text: `TWO · ${range(two)} · window ${opts.window} · ${models.length} models, top-${opts.top} pair hits\n\n` +
+        table(['Model', 'Hit', 'Baseline', 'Lift', 'Z', 'p', 'Holm p', 'Avg rank'],
+          sorted.map(({ id, stats: st, holmP }) => [id, pct(st.hitRate), pct(st.baseline), `${st.hitRate >= st.baseline ? '+' : ''}${((st.hitRate - st.baseline) * 100).toFixed(1)}pp`,
+            st.z.toFixed(2), fmtP(st.p), fmtP(holmP), st.avgRank.toFixed(1)])) +
+        '\n\nBaseline: share of 00-99 covered by each top list and its mirrors, i.e. the hit rate of a random draw.',
+    };
+  },
+
+  tune(draws, opts) {
+    const series = opts.target === 'TWO' ? Core.twoDigitDraws(draws) : Core.targetDraws(draws, opts.target);
+    const search = Core.gridSearch(series, { target: opts.target, topN: opts.top });
+    const { dates } = search;
+    if (!dates.length) throw new Error(`Need more than ${Core.MIN_HIST} draws, got ${series.length}`);
+    const trainEnd = opts.train || dates[Math.floor(dates.length * 0.6)];
+    const validEnd = opts.valid || dates[Math.floor(dates.length * 0.8)];
+    const split = Core.splitEvaluation(search, { trainEnd, validEnd });
+    if (!split) throw new Error(`--train and --valid must leave backtested draws in every block (${dates[0]} → ${dates[dates.length - 1]})`);
+    const cv = Core.rollingOrigin(search, { folds: opts.folds });
+    if (!cv) throw new Error(`Too few draws for ${opts.folds} folds`);
+
+    const params = c => `${Math.round(c.weights.wRec * 100)}/${Math.round(c.weights.wOv * 100)}/${Math.round(c.weights.wBase * 100)} W=${c.recW} cap=${c.weights.ovCap}`;
+    const { train, valid, test } = split.blocks;
+    const splitRows = [['picked on train+valid', split.chosen], ['best on all draws', split.inSample], ['published defaults', split.defaults]]
+      .filter(([, c]) => c)
+      .map(([lbl, c]) => [lbl, params(c), pct(c.train.hitRate), pct(c.valid.hitRate), pct(c.test.hitRate), pct(c.all.hitRate)]);
+    return {
+      data: { target: opts.target, topN: opts.top, baseline: search.baseline, trainEnd, validEnd, split, crossValidation: cv,
+              grid: search.results.map(({ hits, baselines, ...r }) => r) },
+      text: `${opts.target} · ${range(series)} · top-${opts.top} baseline ${pct(search.baseline)} · ${search.results.length} combinations (rec/ov/base)\n\n` +
+        `Split: train ${train.from} → ${train.to} (${train.n}) · valid ${valid.from} → ${valid.to} (${valid.n}) · test ${test.from} → ${test.to} (${test.n})\n` +
+        table(['Weights', 'Params', 'Train', 'Valid', 'Test', 'All'], splitRows) +
+        '\n\nOnly the Test column of "picked on train+valid" is out-of-sample; every other rate helped choose its weights.\n\n' +
+        `Rolling origin, ${opts.folds} folds:\n` +
+        table(['Fold', 'Tuned to', 'Scored on', 'Params', 'In-sample', 'Out-of-sample'],
+          cv.folds.map(f => [f.fold, f.trainTo, `${f.from} → ${f.to}`, params(f), pct(f.inSample.hitRate), pct(f.outSample.hitRate)])) +
+        `\nPooled: in-sample ${pct(cv.inSampleRate)} · out-of-sample ${pct(cv.outSample.hitRate)} (Z=${cv.outSample.z.toFixed(2)}, n=${cv.outSample.n})`,
+    };
+  },
+};
+
+// predict / backtest for the positional targets (Three Front/Back, First suffixes)
+function predictTarget(draws, opts) {
+  const t = Core.TARGETS[opts.target];
+  const series = Core.targetDraws(draws, opts.target);
+  const model = Core.computeTargetModel(series, opts.window, t.digits);
+  if (!model) throw new Error(`Need at least ${Core.MIN_HIST} draws, got ${series.length}`);
+  const top = Core.topNumbers(model.numProbs, opts.top);
+  const uniform = Math.pow(10, -t.digits);
+  const value = Core.strategyValue(top, opts.target, { numProbs: model.numProbs });
+  const positions = model.positions.map(({ digitMeta }) =>
+    Core.DIGITS.slice().sort((a, b) => digitMeta[b].prob - digitMeta[a].prob).map(d => ({ d, ...digitMeta[d] })));
+  return {
+    data: { target: opts.target, draws: series.length, lastDraw: series[series.length - 1], window: opts.window, positions,
+            numbers: top.map(num => ({ num, prob: model.numProbs[num] })), value },
+    text: `${opts.target} · ${range(series)} · window ${opts.window}\n\n` +
+      table(['Position', 'Top digits'], positions.map((p, i) => [i + 1, p.slice(0, 5).map(m => `${m.d} ${pct(m.prob).padStart(5)}`).join('  ')])) +
+      '\n\n' +
+      table(['#', 'Number', 'Score', 'x random'], top.map((num, i) => [i + 1, num, pct(model.numProbs[num], 3), (model.numProbs[num] / uniform).toFixed(2)])) +
+      '\n\n' + valueText(value),
+  };
+}
+
+// backtest --model for the registry's other TWO models
+function backtestModel(two, opts) {
+  const bt = Core.runModelBacktest(two, opts.model, { recW: opts.window, topN: opts.top });
+  if (!bt.length) throw new Error(`Need more than ${Core.MIN_HIST} draws, got ${two.length}`);
+  const st = Core.modelBacktestStats(bt, opts.top);
+  const rows = bt.map(({ dateStr, actual, hit, actualRank, topPicks }) => ({ dateStr, actual, hit, actualRank, topPicks }));
+  return {
+    data: { model: opts.model, window: opts.window, topN: opts.top, stats: st, rows },
+    text: `TWO · ${opts.model} · ${range(two)} · window ${opts.window}\n` +
+      `Tested ${st.n} · top-${opts.top} hit ${pct(st.hitRate)} vs ${pct(st.baseline)} baseline · ${sigText(st)}\n` +
+      `Avg rank of actual: ${st.avgRank.toFixed(1)}/100\n\n` +
+      table(['Date', 'Drawn', 'Hit', 'Top picks'],
+        rows.slice(-20).map(r => [r.dateStr, r.actual, r.hit ? 'yes' : '-', r.topPicks.slice(0, 10).join(' ')])),
+  };
+}
+
+function backtestTarget(draws, opts) {
+  const series = Core.targetDraws(draws, opts.target);
+  const bt = Core.runTargetBacktest(series, { recW: opts.window, topN: opts.top, digits: Core.TARGETS[opts.target].digits });
+  if (!bt.length) throw new Error(`Need more than ${Core.MIN_HIST} draws, got ${series.length}`);
+  const st = Core.backtestStats(bt, opts.top, Core.targetBaseline(opts.target, opts.top));
+  const scores = Core.probabilityStats(bt, Core.TARGETS[opts.target].digits);
+  const rows = bt.map(r => ({ dateStr: r.dateStr, actual: r.actual, hit: r.hit, pActual: r.pActual, hit2: r.hit2, hit4: r.hit4,
+                              logLoss: r.logLoss, brier: r.brier, topPicks: r.topNums }));
+  return {
+    data: { target: opts.target, model: 'predict', window: opts.window, topN: opts.top, stats: st, scores, rows },
+    text: `${opts.target} · predict · ${range(series)} · window ${opts.window}\n` +
+      `Tested ${st.n} · top-${opts.top} hit ${pct(st.hitRate)} vs ${pct(st.baseline, 2)} baseline · ` +
+      `${sigText(st)}\n` +
+      `Hit in +2 draws: ${pct(st.hit2Rate)} · +4 draws: ${pct(st.hit4Rate)}\n` +
+      `${probText(scores, Core.TARGETS[opts.target].digits)}\n\n` +
+      table(['Date', 'Drawn', 'Hit', 'Top picks'],
+        rows.slice(-20).map(r => [r.dateStr, r.actual.join(' '), r.hit ? 'yes' : '-', r.topPicks.slice(0, 10).join(' ')])),
+  };
+}
+
+function main(argv) {
+  const opts = parseArgs(argv);
+  if (opts.help || !opts.command) { process.stdout.write(USAGE); return; }
+  const run = COMMANDS[opts.command];
+  if (!run) throw new Error(`Unknown command ${opts.command}\n\n${USAGE}`);
+  const { data, text } = run(selectDraws(readDraws(opts.dir), opts), opts);
+  console.log(opts.json ? JSON.stringify(data, null, 2) : text);
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (err) {
+    console.error('Error:', err.message || err);
+    process.exit(1);
+  }
+}
+
+module.exports = { readDraws, selectDraws, COMMANDS };
@@ -1,7 +1,5 @@
 // CSV Export Script
-const PRIZE_LIST = ['FIRST','SECOND','THIRD','FOURTH','FIFTH','TWO','THREE_FIRST','THREE_LAST','NEAR_FIRST'];
-const FIXED_START = new Date('2006-12-30T00:00');
-const DRAW_DAYS = [30,31,1,2,3,14,15,16,17];
+// Reads draws through lottoData.js, loading them via lottoLoader.js when needed
 
 // DOM Elements
 const prizeSelect = document.getElementById('prizeSelect');
@@ -11,9 +9,6 @@ const csvContent = document.getElementById('csvContent');
 const copyBtn = document.getElementById('copyBtn');
 const themeToggle = document.getElementById('themeToggle');
 
-// State
-let perFileAggMap = new Map();
-
 // Theme toggle
 themeToggle.addEventListener('click', () => {
   const isDark = document.documentElement.classList.toggle('dark');
@@ -26,54 +21,16 @@ if (savedTheme === 'dark' || (!savedTheme && window.matchMedia('(prefers-color-s
   document.documentElement.classList.add('dark');
 }
 
+// Shareable view state: the prize, kept in the URL (lottoState.js)
+const viewState = () => ({ prize: prizeSelect.value });
+const VIEW_DEFAULTS = Object.freeze({ prize: '' });   // csv.html's default, not the (possibly restored) select
+
 // Enable show CSV button when prize is selected
 prizeSelect.addEventListener('change', () => {
   showCsvBtn.disabled = !prizeSelect.value;
+  LottoState.write(viewState(), VIEW_DEFAULTS);
 });
 
-// IndexedDB cache
-const DB_NAME = 'thai-lotto-agg-db';
-const STORE_NAME = 'agg-store';
-const CACHE_KEY = 'perFileAggMap_v2';
-
-async function loadCacheBlob() {
-  return new Promise((resolve) => {
-    const req = indexedDB.open(DB_NAME, 1);
-    req.onupgradeneeded = (ev) => {
-      const db = ev.target.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME);
-      }
-    };
-    req.onsuccess = (ev) => {
-      const db = ev.target.result;
-      const tx = db.transaction(STORE_NAME, 'readonly');
-      const store = tx.objectStore(STORE_NAME);
-      const getReq = store.get(CACHE_KEY);
-      getReq.onsuccess = () => resolve(getReq.result || null);
-      getReq.onerror = () => resolve(null);
-    };
-    req.onerror = () => resolve(null);
-  });
-}
-
-function buildCandidateUrls() {
-  const urls = [];
-  const start = new Date(FIXED_START);
-  const end = new Date();
-  for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-    const day = d.getDate();
-    if (DRAW_DAYS.includes(day)) {
-      const yyyy = d.getFullYear();
-      const mm = String(d.getMonth() + 1).padStart(2,'0');
-      const dd = String(day).padStart(2,'0');
-      const dateStr = `${yyyy}-${mm}-${dd}`;
-      urls.push({ dateStr, url: `lottonumbers/${dateStr}.txt` });
-    }
-  }
-  return urls;
-}
-
 // Generate CSV
 showCsvBtn.addEventListener('click', async () => {
   const prize = prizeSelect.value;
@@ -83,19 +40,15 @@ showCsvBtn.addEventListener('click', async () => {
   showCsvBtn.textContent = 'Loading...';
   csvOutput.style.display = 'none';
 
-  // Load cache
-  const cached = await loadCacheBlob();
-  if (cached && cached.data) {
-    try {
-      perFileAggMap = new Map(Object.entries(cached.data));
-    } catch (e) {
-      perFileAggMap = new Map();
-    }
-  }
+  // Load cache, fetching the draw files first if it is empty or stale
+  const info = await LottoLoader.ensureData({
+    onProgress: (msg, { done, total }) => {
+      showCsvBtn.textContent = total ? `Loading ${done || 0}/${total}...` : 'Loading...';
+    },
+  });
 
-  // If cache is empty, we need to fetch data
-  if (perFileAggMap.size === 0) {
-    alert('No cached data available. Please visit the main page first to load the data.');
+  if (!info || info.size === 0) {
+    alert('No data available. The lottery files could not be downloaded.');
     showCsvBtn.disabled = false;
     showCsvBtn.textContent = 'Show CSV';
     return;
@@ -103,18 +56,11 @@ showCsvBtn.addEventListener('click', async () => {
 
   // Generate CSV content
   const lines = [];
-  const dateMap = Array.from(perFileAggMap.keys())
-    .map(d => ({ dateStr: d, date: new Date(d + 'T00:00') }))
-    .sort((a, b) => a.date - b.date);
+  const draws = await LottoData.getDraws({ prizes: [prize] });
 
-  for (const { dateStr } of dateMap) {
-    const agg = perFileAggMap.get(dateStr);
-    if (agg && agg.results && agg.results[prize]) {
-      const numbersStr = agg.results[prize];
-      const numbers = numbersStr.split(',').map(n => n.trim()).filter(n => n);
-      for (const num of numbers) {
-        lines.push(`${num},${dateStr}`);
-      }
+  for (const { dateStr, results } of draws) {
+    for (const num of results[prize]) {
+      lines.push(`${num},${dateStr}`);
     }
   }
 
@@ -129,6 +75,16 @@ showCsvBtn.addEventListener('click', async () => {
   showCsvBtn.textContent = 'Show CSV';
 });
 
+// A shared link opens on its prize's CSV
+{
+  const { prize } = LottoState.read(VIEW_DEFAULTS);
+  if (prize && Array.from(prizeSelect.options).some(o => o.value === prize)) {
+    prizeSelect.value = prize;
+    showCsvBtn.disabled = false;
+    showCsvBtn.click();
+  }
+}
+
 // Copy to clipboard
 copyBtn.addEventListener('click', async () => {
   try {
@@ -1,22 +1,14 @@
 // Thai Lotto Analyzer — Deep Insights
-// Reads the same IndexedDB cache as script.js (key: perFileAggMap_v2)
+// Reads draws through lottoData.js (same IndexedDB cache as script.js)
 'use strict';
 
 // ── Constants ──────────────────────────────────────────────────────────────
 const PRIZE_LABELS = {
   FIRST:'First Prize', SECOND:'Second Prize', THIRD:'Third Prize',
   FOURTH:'Fourth Prize', FIFTH:'Fifth Prize', TWO:'Two Digit',
-  THREE_FIRST:'Three Front', THREE_LAST:'Three Back', NEAR_FIRST:'Near First',
+  THREE_FIRST:'Three Front', THREE_LAST:'Three Back', THREE_LEGACY:'Three (pre-2015)',
+  NEAR_FIRST:'Near First',
 };
-// Exact digit length each prize number must have — used to filter malformed data
-const PRIZE_DIGITS = {
-  FIRST:6, SECOND:6, THIRD:6, FOURTH:6, FIFTH:6,
-  TWO:2, THREE_FIRST:3, THREE_LAST:3, NEAR_FIRST:6,
-};
-
-const DB_NAME   = 'thai-lotto-agg-db';
-const STORE_NAME = 'agg-store';
-const CACHE_KEY  = 'perFileAggMap_v2';
 
 const PALETTE = [
   'hsl(215,80%,60%)', 'hsl(35,85%,58%)',
@@ -26,6 +18,10 @@ const PALETTE = [
   'hsl(195,70%,52%)', 'hsl(260,60%,65%)',
 ];
 
+// Simulated appearances per chance-percentile run: 1,000 fair histories of 200
+// Two Digit draws, or 100 of 200 Fifth Prize draws
+const NULL_BUDGET = 2e6;
+
 // ── DOM ────────────────────────────────────────────────────────────────────
 const prizeSelect    = document.getElementById('prizeSelect');
 const topNSelect     = document.getElementById('topNSelect');
@@ -55,12 +51,23 @@ let currentPrize  = 'TWO';
 let currentTopN   = 20;
 let rollingWindow = 20;
 let rollingSeries = 5;
+let nullDist      = null;    // simulateInsightsNull() for the current window, once it arrives
 
 // Window state
 let winMode = 'lastn';   // 'lastn' | 'all' | 'cutoff'
 let lastN   = 200;
 let cutoff  = null;      // ISO date string or null
 
+// Shareable view state: the controls above, kept in the URL (lottoState.js)
+const viewState = () => ({
+  prize: currentPrize, topN: currentTopN, winMode, lastN, cutoff: cutoff || '',
+  rolling: rollingWindow, series: rollingSeries,
+});
+// The starting values above, spelled out so they never depend on a form the browser refilled
+const VIEW_DEFAULTS = Object.freeze({
+  prize: 'TWO', topN: 20, winMode: 'lastn', lastN: 200, cutoff: '', rolling: 20, series: 5,
+});
+
 // ── Theme ──────────────────────────────────────────────────────────────────
 themeToggle.addEventListener('click', () => {
   const dark = document.documentElement.classList.toggle('dark');
@@ -76,56 +83,30 @@ themeToggle.addEventListener('click', () => {
 // ── Helpers ────────────────────────────────────────────────────────────────
 const isDark    = () => document.documentElement.classList.contains('dark');
 const cssVar    = n  => getComputedStyle(document.documentElement).getPropertyValue(n).trim();
-const parseNums = s  => s ? s.split(',').map(x => x.trim()).filter(Boolean) : [];
 const $         = id => document.getElementById(id);
 
-// ── IndexedDB ──────────────────────────────────────────────────────────────
-async function loadCache() {
-  return new Promise(resolve => {
-    const req = indexedDB.open(DB_NAME, 1);
-    req.onupgradeneeded = ev => {
-      if (!ev.target.result.objectStoreNames.contains(STORE_NAME))
-        ev.target.result.createObjectStore(STORE_NAME);
-    };
-    req.onsuccess = ev => {
-      const get = ev.target.result
-        .transaction(STORE_NAME, 'readonly')
-        .objectStore(STORE_NAME)
-        .get(CACHE_KEY);
-      get.onsuccess = () => resolve(get.result || null);
-      get.onerror   = () => resolve(null);
-    };
-    req.onerror = () => resolve(null);
-  });
-}
-
 // ── Init ───────────────────────────────────────────────────────────────────
 async function init() {
+  restoreView();
   setStatus('loading', 'Loading data from cache…');
-  const cached = await loadCache();
+  const info = await LottoLoader.ensureData({ onProgress: msg => setStatus('loading', msg) });
 
-  if (!cached || !cached.data || Object.keys(cached.data).length === 0) {
-    setStatus('empty', 'No data. Open the Analyzer page first to download and cache lottery data.');
+  if (!info || info.size === 0) {
+    setStatus('empty', 'No data. The lottery files could not be downloaded.');
     mainContent.innerHTML = `
       <div style="text-align:center;padding:4rem 2rem;color:var(--muted-foreground)">
         <h2 style="color:var(--foreground);font-size:1.25rem;margin-bottom:0.75rem">No data loaded</h2>
-        <p>Please open <a href="index.html" style="color:var(--primary)">the Analyzer</a> first, let it fully load, then return here.</p>
+        <p>No draw files could be fetched from <code>lottonumbers/</code>. Check your connection and reload.</p>
       </div>`;
     return;
   }
 
-  const map = new Map(Object.entries(cached.data));
-  allDraws = Array.from(map.entries())
-    .map(([dateStr, agg]) => ({ dateStr, results: agg.results || {} }))
-    .filter(d => Object.keys(d.results).length > 0)
-    .sort((a, b) => a.dateStr.localeCompare(b.dateStr));
+  allDraws = await LottoData.getDraws();
 
-  const age = cached.fetchedAt
-    ? Math.round((Date.now() - cached.fetchedAt) / 60000)
-    : null;
+  const age = LottoData.formatAge(info.fetchedAt);
   setStatus('live',
     `${allDraws.length} draws loaded` +
-    (age !== null ? ` · cached ${age < 60 ? age + ' min' : Math.round(age / 60) + 'h'} ago` : '') +
+    (age !== null ? ` · cached ${age} ago` : '') +
     ` · dataset: ${allDraws[0]?.dateStr} → ${allDraws[allDraws.length - 1]?.dateStr}`
   );
 
@@ -138,6 +119,30 @@ function setStatus(state, text) {
   statusDot.className = 'status-dot' + (state === 'live' ? ' live' : '');
 }
 
+// Set the controls from the URL; values they don't offer keep their defaults
+function restoreView() {
+  const v = LottoState.read(VIEW_DEFAULTS);
+  const offered = (sel, val) => [...sel.options].some(o => o.value === String(val));
+  if (offered(prizeSelect, v.prize)) currentPrize = prizeSelect.value = v.prize;
+  if (offered(topNSelect, v.topN)) { currentTopN = v.topN; topNSelect.value = v.topN; }
+  if (offered(rollingSeriesSelect, v.series)) { rollingSeries = v.series; rollingSeriesSelect.value = v.series; }
+  const radio = [...winModeRadios].find(r => r.value === v.winMode);
+  if (radio) { radio.checked = true; winMode = v.winMode; }
+  lastN = Math.max(10, Math.round(v.lastN));
+  lastNInput.value = lastNInput2.value = lastN;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(v.cutoff)) cutoff = cutoffDate.value = cutoffDate2.value = v.cutoff;
+  rollingSlider.value = v.rolling;
+  rollingWindow = +rollingSlider.value;   // the slider clamps it to its range
+  rollingValLabel.textContent = rollingWindow;
+  showWindowInputs();
+}
+
+function showWindowInputs() {
+  lastnWrap.style.display       = winMode === 'lastn'        ? 'flex' : 'none';
+  cutoffWrap.style.display      = winMode === 'cutoff'       ? 'flex' : 'none';
+  lastnCutoffWrap.style.display = winMode === 'lastn_cutoff' ? 'flex' : 'none';
+}
+
 // ── Window selection ───────────────────────────────────────────────────────
 function wireControls() {
   prizeSelect.addEventListener('change',  () => { currentPrize = prizeSelect.value; renderAll(); });
@@ -145,9 +150,7 @@ function wireControls() {
 
   winModeRadios.forEach(r => r.addEventListener('change', () => {
     winMode = r.value;
-    lastnWrap.style.display      = winMode === 'lastn'        ? 'flex' : 'none';
-    cutoffWrap.style.display     = winMode === 'cutoff'       ? 'flex' : 'none';
-    lastnCutoffWrap.style.display = winMode === 'lastn_cutoff' ? 'flex' : 'none';
+    showWindowInputs();
     renderAll();
   }));
 
@@ -177,17 +180,20 @@ function wireControls() {
   rollingSlider.addEventListener('input', () => {
     rollingWindow = parseInt(rollingSlider.value, 10);
     rollingValLabel.textContent = rollingWindow;
+    LottoState.write(viewState(), VIEW_DEFAULTS);
     renderRolling(lastComputedInsights);
   });
 
   rollingSeriesSelect.addEventListener('change', () => {
     rollingSeries = parseInt(rollingSeriesSelect.value, 10);
+    LottoState.write(viewState(), VIEW_DEFAULTS);
     renderRolling(lastComputedInsights);
   });
 }
 
 function getWindowedDraws() {
-  let draws = allDraws.slice();
+  // Only draws that carry this prize — THREE_FIRST/LAST start in Aug 2015, THREE_LEGACY ends there
+  let draws = allDraws.filter(d => d.results[currentPrize]);
 
   // Apply cutoff date filter (modes: cutoff and lastn_cutoff)
   if ((winMode === 'cutoff' || winMode === 'lastn_cutoff') && cutoff) {
@@ -207,127 +213,8 @@ function getWindowedDraws() {
 // Store last computed so rolling slider can reuse without re-computing
 let lastComputedInsights = null;
 
-function computeInsights(draws, prize) {
-  const numLen     = PRIZE_DIGITS[prize] || 6;
-  const totalDraws = draws.length;
-
-  // Flatten appearances, filtering to correct digit length only
-  const all = [];
-  draws.forEach((draw, idx) => {
-    parseNums(draw.results[prize] || '')
-      .filter(num => num.length === numLen)          // ← fix: reject wrong-length numbers
-      .forEach(num => all.push({ num, drawIdx: idx, dateStr: draw.dateStr }));
-  });
-
-  // Recent window = last 25% of draws
-  const recentCutoff    = Math.max(0, totalDraws - Math.ceil(totalDraws * 0.25));
-  const recentDrawCount = totalDraws - recentCutoff;
-
-  // ── Frequency maps ──
-  const freq        = {};   // num → count in full window
-  const recentFreq  = {};   // num → count in recent 25%
-  const appearances = {};   // num → sorted list of drawIdx
-
-  all.forEach(({ num, drawIdx }) => {
-    freq[num] = (freq[num] || 0) + 1;
-    if (drawIdx >= recentCutoff) recentFreq[num] = (recentFreq[num] || 0) + 1;
-    if (!appearances[num]) appearances[num] = [];
-    appearances[num].push(drawIdx);
-  });
-
-  // For TWO include all 00–99 even undrawn
-  if (prize === 'TWO') {
-    for (let i = 0; i <= 99; i++) {
-      const k = String(i).padStart(2, '0');
-      if (freq[k] === undefined) freq[k] = 0;
-    }
-  }
-
-  // ── Gap statistics ──
-  const gapStats = {};
-  Object.entries(appearances).forEach(([num, idxList]) => {
-    if (idxList.length < 2) return;
-    const gaps = [];
-    for (let i = 1; i < idxList.length; i++) gaps.push(idxList[i] - idxList[i - 1]);
-    const avg = gaps.reduce((a, b) => a + b, 0) / gaps.length;
-    gapStats[num] = { avg, min: Math.min(...gaps), max: Math.max(...gaps), gaps };
-  });
-
-  // ── Overdue scoring ──
-  // score = (draws since last seen − avg gap) / avg gap
-  // Positive = overdue relative to own average
-  const overdueList = [];
-  Object.entries(appearances).forEach(([num, idxList]) => {
-    if (!gapStats[num]) return;
-    const sinceLastSeen = totalDraws - 1 - idxList[idxList.length - 1];
-    const { avg, min, max } = gapStats[num];
-    const score = (sinceLastSeen - avg) / Math.max(1, avg);
-    overdueList.push({
-      num, sinceLastSeen, avgGap: avg, minGap: min, maxGap: max,
-      score, lastDate: draws[idxList[idxList.length - 1]]?.dateStr || '?',
-      count: freq[num],
-    });
-  });
-  overdueList.sort((a, b) => b.score - a.score);
-
-  // ── Hot/Cold scoring ──
-  // hot score = actual recent appearances / expected recent appearances
-  // Expected = (overall rate) × (recent draw count)
-  // Overall rate = total appearances / total draws
-  // A score of 2.0 means appeared twice as often as expected. 0.0 means not seen at all recently.
-  const hotCold = Object.keys(freq)
-    .filter(num => (freq[num] || 0) > 0)
-    .map(num => {
-      const overallRate    = freq[num] / totalDraws;
-      const expectedRecent = overallRate * recentDrawCount;
-      const actualRecent   = recentFreq[num] || 0;
-      // Only compute score when expected > 0.5 (otherwise tiny numbers inflate it wildly)
-      const hotScore = expectedRecent > 0.5 ? actualRecent / expectedRecent : (actualRecent > 0 ? 99 : 0);
-      const lastIdx  = appearances[num] ? appearances[num][appearances[num].length - 1] : -1;
-      return {
-        num, hotScore, freq: freq[num], recentFreq: actualRecent,
-        expectedRecent, overallRate,
-        lastDate: lastIdx >= 0 ? draws[lastIdx]?.dateStr : 'never',
-        sinceLastSeen: lastIdx >= 0 ? totalDraws - 1 - lastIdx : totalDraws,
-      };
-    });
-
-  const hot  = [...hotCold].sort((a, b) => b.hotScore - a.hotScore).slice(0, 10);
-  const cold = [...hotCold].sort((a, b) => a.hotScore - b.hotScore).slice(0, 10);
-
-  // ── Digit position frequency (heatmap) ──
-  const digitPos = Array.from({ length: numLen }, () => ({}));
-  all.forEach(({ num }) => {
-    const padded = num.padStart(numLen, '0');
-    for (let p = 0; p < numLen; p++) {
-      const d = padded[p];
-      digitPos[p][d] = (digitPos[p][d] || 0) + 1;
-    }
-  });
-
-  // Top 10 for rolling trend (actual slice controlled at render time)
-  const topNums = Object.entries(freq)
-    .filter(([, c]) => c > 0)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10)
-    .map(([n]) => n);
-
-  // ── Statistical candidates ──
-  const candidates = overdueList
-    .filter(x => x.score > 0 && x.count >= 3)
-    .slice(0, 5);
-
-  return {
-    totalDraws, totalAppearances: all.length,
-    uniqueNums: Object.keys(freq).filter(k => (freq[k] || 0) > 0).length,
-    recentCutoff, recentDrawCount,
-    freq, recentFreq, appearances,
-    gapStats, overdueList,
-    hot, cold,
-    digitPos, numLen,
-    topNums, candidates,
-  };
-}
+// computeInsights(draws, prize) lives in lottoCore.js (shared with cli.js)
+const { computeInsights } = LottoCore;
 
 // Build rolling data separately so the slider can re-trigger it without recomputing everything
 function computeRollingData(ins, draws, windowSize, seriesCount) {
@@ -350,6 +237,7 @@ function computeRollingData(ins, draws, windowSize, seriesCount) {
 
 // ── Render dispatcher ──────────────────────────────────────────────────────
 function renderAll() {
+  LottoState.write(viewState(), VIEW_DEFAULTS);
   const draws = getWindowedDraws();
   if (!draws.length) return;
   const ins = computeInsights(draws, currentPrize);
@@ -362,8 +250,51 @@ function renderAll() {
   renderHotCold(ins);
   renderOverdue(ins);
   renderGapTable(ins);
+  renderFairness(ins, draws);
   renderRolling(ins);
+  requestRegimes();
   renderCandidates(ins);
+  requestNull(ins, draws);
+}
+
+// ── Chance percentiles ─────────────────────────────────────────────────────
+// Fair histories of the same window run in the model worker; when they are in,
+// the panels that show a statistic re-render with its percentile.
+function requestNull(ins, draws) {
+  nullDist = null;
+  const prize  = currentPrize;
+  const sims   = Math.max(100, Math.min(1000, Math.round(NULL_BUDGET / Math.max(1, ins.totalAppearances))));
+  const series = draws.map(d => ({ dateStr: d.dateStr, results: { [prize]: d.results[prize] } }));
+  $('nullBar').textContent = `Simulating ${sims.toLocaleString()} fair histories for chance percentiles…`;
+
+  LottoJobs.run('insightsNull', series, { prize, sims }, {
+    channel: 'insightsNull',
+    onProgress: (done, total) => { $('nullBar').textContent = `Simulating fair histories for chance percentiles… ${done} / ${total}`; },
+  }).then(nd => {
+    if (!nd || ins !== lastComputedInsights) return;
+    nullDist = nd;
+    $('nullBar').innerHTML =
+      `<span class="null-pct">pNN</span> places a statistic among ${nd.sims.toLocaleString()} simulated fair histories ` +
+      `with the same draws and prize counts: NN% of them show a lower value. ` +
+      `Ranked lists compare like with like, e.g. the 3rd hottest number against the 3rd hottest of each history. ` +
+      `Tags at p95+ or p5− are highlighted — with this many tags on the page, several are expected by chance alone.`;
+    renderStatCards(ins, draws);
+    renderHotCold(ins);
+    renderOverdue(ins);
+    renderGapTable(ins);
+    renderCandidates(ins);
+  }).catch(err => {
+    $('nullBar').textContent = 'Chance percentiles unavailable: ' + err.message;
+  });
+}
+
+/** `pNN` tag for `value` against pick(nullDist)'s samples; '' until the simulation is in. */
+function nullTag(pick, value, what) {
+  const pct = nullDist ? LottoCore.nullPercentile(pick(nullDist), value) : null;
+  if (pct === null) return '';
+  const p    = Math.round(pct * 100);
+  const rare = pct >= 0.95 || pct <= 0.05;
+  return `<span class="null-pct${rare ? ' rare' : ''}" title="${p}% of fair histories have a lower ${what}">p${p}</span>`;
 }
 
 // ── 1. Stat cards ──────────────────────────────────────────────────────────
@@ -373,6 +304,7 @@ function renderStatCards(ins, draws) {
   const to         = draws[draws.length - 1]?.dateStr || '';
   const avgPerDraw = totalDraws > 0 ? (totalAppearances / totalDraws).toFixed(1) : '—';
   const spaceDesc  = numLen === 2 ? '100 possible (00–99)' : numLen === 3 ? '1,000 possible (000–999)' : '1,000,000 possible';
+  const longest    = Object.entries(ins.gapStats).reduce((best, [num, g]) => !best || g.max > best.max ? { num, max: g.max } : best, null);
 
   $('statCards').innerHTML = `
     <div class="stat-card">
@@ -388,7 +320,14 @@ function renderStatCards(ins, draws) {
     <div class="stat-card">
       <div class="stat-card-label">Unique numbers seen</div>
       <div class="stat-card-value">${uniqueNums.toLocaleString()}</div>
-      <div class="stat-card-sub">${spaceDesc}</div>
+      <div class="stat-card-sub">${spaceDesc}${nullTag(nd => nd.scalar.uniqueNums, uniqueNums, 'count of distinct numbers')}</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-card-label">Longest gap</div>
+      <div class="stat-card-value">${longest ? longest.max : '—'}</div>
+      <div class="stat-card-sub">${longest
+        ? `draws without ${longest.num}${nullTag(nd => nd.scalar.longestGap, longest.max, 'longest gap')}`
+        : 'no number drawn twice in the window'}</div>
     </div>
     <div class="stat-card">
       <div class="stat-card-label">Hot/Cold window</div>
@@ -563,7 +502,7 @@ function renderHotCold(ins) {
     container.innerHTML = '';
     if (!items.length) { container.textContent = 'Not enough data.'; return; }
 
-    items.forEach(item => {
+    items.forEach((item, i) => {
       const { num, hotScore, freq: totalFreq, recentFreq, expectedRecent, overallRate, lastDate, sinceLastSeen } = item;
       const row = document.createElement('div');
       row.className = 'temp-row';
@@ -601,6 +540,9 @@ function renderHotCold(ins) {
       meta.textContent = isHot
         ? `×${hotScore.toFixed(2)}  (${recentFreq} vs exp ${expRounded})`
         : `×${hotScore.toFixed(2)}  (${recentFreq} vs exp ${expRounded})`;
+      meta.insertAdjacentHTML('beforeend', isHot
+        ? nullTag(nd => nd.ranked.hot[i],  hotScore, `hot score at rank ${i + 1}`)
+        : nullTag(nd => nd.ranked.cold[i], hotScore, `coldest score at rank ${i + 1}`));
       row.appendChild(meta);
 
       container.appendChild(row);
@@ -625,7 +567,7 @@ function renderOverdue(ins) {
 
   const maxVal = Math.max(...top.map(x => Math.max(x.sinceLastSeen, x.avgGap * 1.8)), 1);
 
-  top.forEach(item => {
+  top.forEach((item, i) => {
     const { num, sinceLastSeen, avgGap, minGap, maxGap, score, lastDate, count } = item;
     const isOverdue = score > 0;
 
@@ -679,6 +621,7 @@ function renderOverdue(ins) {
     label.textContent = isOverdue
       ? `${sinceLastSeen} draws  (+${(score * 100).toFixed(0)}% overdue)`
       : `${sinceLastSeen} / avg ${avgGap.toFixed(0)}`;
+    label.insertAdjacentHTML('beforeend', nullTag(nd => nd.ranked.overdue[i], score, `overdue score at rank ${i + 1}`));
     row.appendChild(label);
 
     container.appendChild(row);
@@ -693,17 +636,20 @@ function renderGapTable(ins) {
     .filter(([, c]) => c > 0)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 20)
-    .map(([num, count]) => {
+    .map(([num, count], i) => {
       const gs      = gapStats[num];
       const idxList = appearances[num] || [];
       const lastIdx = idxList.length ? idxList[idxList.length - 1] : -1;
       return {
         num, count,
+        countTag: nullTag(nd => nd.ranked.freq[i], count, `count at rank ${i + 1}`),
         pct:   totalDraws > 0 ? ((count / totalDraws) * 100).toFixed(2) : '0.00',
         avg:   gs ? gs.avg.toFixed(1) : '—',
         avgRaw: gs ? gs.avg : null,
         min:   gs ? gs.min : '—',
         max:   gs ? gs.max : '—',
+        minTag: gs ? nullTag(nd => nd.pooled.minGap, gs.min, 'min gap for a single number') : '',
+        maxTag: gs ? nullTag(nd => nd.pooled.maxGap, gs.max, 'max gap for a single number') : '',
         since: lastIdx >= 0 ? totalDraws - 1 - lastIdx : null,
       };
     });
@@ -735,11 +681,11 @@ function renderGapTable(ins) {
     tr.title = `${r.num}: drawn ${r.count}× · avg gap ${r.avg} draws · min ${r.min} · max ${r.max} · last seen ${r.since !== null ? r.since + ' draws ago' : 'unknown'}`;
     tr.innerHTML = `
       <td style="font-family:'JetBrains Mono',monospace;font-weight:600;color:${i === 0 ? 'var(--primary)' : 'inherit'}">${r.num}</td>
-      <td style="text-align:center;font-variant-numeric:tabular-nums">${r.count}</td>
+      <td style="text-align:center;font-variant-numeric:tabular-nums">${r.count}${r.countTag}</td>
       <td style="text-align:center;font-variant-numeric:tabular-nums">${r.pct}%</td>
       <td style="text-align:center;font-variant-numeric:tabular-nums">${r.avg}</td>
-      <td style="text-align:center;font-variant-numeric:tabular-nums">${r.min}</td>
-      <td style="text-align:center;font-variant-numeric:tabular-nums">${r.max}</td>
+      <td style="text-align:center;font-variant-numeric:tabular-nums">${r.min}${r.minTag}</td>
+      <td style="text-align:center;font-variant-numeric:tabular-nums">${r.max}${r.maxTag}</td>
       <td style="text-align:center;font-variant-numeric:tabular-nums;color:${isOverdue ? 'hsl(15,80%,58%)' : 'inherit'};font-weight:${isOverdue ? '600' : '400'}">
         ${r.since !== null ? r.since : '?'}${isOverdue ? ' ⚠' : ''}
       </td>
@@ -750,6 +696,49 @@ function renderGapTable(ins) {
   wrap.appendChild(tbl);
 }
 
+// ── 6b. Fairness tests ─────────────────────────────────────────────────────
+function renderFairness(ins, draws) {
+  const { tests, draws: n } = LottoCore.fairnessTests(draws, currentPrize, ins);
+  const fmtP = p => p === null ? '—' : p < 0.001 ? '<0.001' : p.toFixed(3);
+  const STAT = { chi2: s => `χ² = ${s.toFixed(2)}`, runs: s => `${s} runs`, serial: s => `r = ${s.toFixed(3)}`, ksGaps: s => `D = ${s.toFixed(3)}` };
+  const tested  = tests.filter(t => t.p !== null).length;
+  const flagged = tests.filter(t => t.holmP !== null && t.holmP < 0.05).length;
+
+  const rows = tests.map(t => {
+    const color = t.p === null ? 'var(--muted-foreground)'
+      : t.holmP < 0.05 ? 'hsl(15,80%,58%)'
+      : t.p < 0.05 ? 'hsl(38,90%,50%)'
+      : 'hsl(142,55%,44%)';
+    return `
+      <tr>
+        <td style="text-align:center;font-variant-numeric:tabular-nums">${t.pos + 1}</td>
+        <td title="${LottoCore.FAIRNESS_TESTS[t.id].fair}">${t.name}</td>
+        <td style="text-align:center;font-variant-numeric:tabular-nums">${STAT[t.id](t.stat)}</td>
+        <td style="text-align:center;font-variant-numeric:tabular-nums">${fmtP(t.p)}</td>
+        <td style="text-align:center;font-variant-numeric:tabular-nums">${fmtP(t.holmP)}</td>
+        <td style="color:${color}">${t.verdict}</td>
+      </tr>`;
+  }).join('');
+
+  $('fairTableWrap').innerHTML = `
+    <p style="font-size:0.8125rem;margin-bottom:0.75rem;">
+      ${n} draws · ${tested} tests · <strong>${flagged ? `${flagged} still significant after Holm's correction` : 'no test rejects a fair draw after Holm\'s correction'}</strong>
+    </p>
+    <table>
+      <thead>
+        <tr>
+          <th style="text-align:center" title="Digit position in the number, 1 = leftmost">Position</th>
+          <th>Test</th>
+          <th style="text-align:center">Statistic</th>
+          <th style="text-align:center" title="Chance of a result at least this far from fair, if the draw is fair">p</th>
+          <th style="text-align:center" title="p adjusted for every test in this table (Holm)">Holm p</th>
+          <th>Verdict</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
 // ── 7. Rolling frequency trend ─────────────────────────────────────────────
 function renderRolling(ins) {
   if (!ins) return;
@@ -828,6 +817,90 @@ function renderRolling(ins) {
   });
 }
 
+// ── 7b. Regime detection ───────────────────────────────────────────────────
+// Scans the prize's full history, not the window: a shift only shows against what came before
+const SOURCE_COLORS = ['hsl(215,70%,55%)', 'hsl(35,85%,55%)', 'hsl(145,50%,45%)', 'hsl(290,50%,60%)', 'hsl(5,70%,58%)', 'hsl(195,65%,50%)'];
+
+function requestRegimes() {
+  const prize  = currentPrize;
+  const series = allDraws
+    .filter(d => d.results[prize])
+    .map(d => ({ dateStr: d.dateStr, source: d.source, results: { [prize]: d.results[prize] } }));
+  LottoJobs.run('changePoints', series, { prize }, { channel: 'changePoints' })
+    .then(res => { if (res && prize === currentPrize) renderRegimes(res); })
+    .catch(err => { $('regimeWrap').textContent = 'Regime scan failed: ' + err.message; });
+}
+
+function renderRegimes(res) {
+  const { dates, sources, positions } = res;
+  const n      = dates.length;
+  const level  = 0.05 / positions.length;
+  const W = 1000, left = 64, right = 8, rowH = 22;
+  const x      = i => (left + (i / n) * (W - left - right)).toFixed(1);
+  const hosts  = [...new Set(sources.map(r => r.source))];
+  const color  = host => host ? SOURCE_COLORS[hosts.indexOf(host) % SOURCE_COLORS.length] : cssVar('--border');
+  const muted  = cssVar('--muted-foreground');
+  const pct    = v => (v * 100).toFixed(1) + '%';
+  const hot    = 'hsl(15,80%,58%)';
+
+  let y = 4;
+  let svg = `<text x="${left - 6}" y="${y + 11}" text-anchor="end" font-size="10" fill="${muted}">source</text>`;
+  sources.forEach(r => {
+    svg += `<rect x="${x(r.from)}" y="${y}" width="${(x(r.to + 1) - x(r.from)).toFixed(1)}" height="14" fill="${color(r.source)}">` +
+      `<title>${r.source || 'unknown'}: ${r.fromDate} → ${r.toDate} (${r.to - r.from + 1} draws)</title></rect>`;
+  });
+  y += 22;
+
+  positions.forEach(p => {
+    svg += `<text x="${left - 6}" y="${y + 11}" text-anchor="end" font-size="10" fill="${muted}">digit ${p.pos + 1}</text>`;
+    p.segments.forEach((s, i) => {
+      const top = s.shares.map((v, d) => [d, v]).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([d, v]) => `${d}: ${pct(v)}`).join(', ');
+      svg += `<rect x="${x(s.from)}" y="${y}" width="${(x(s.to) - x(s.from)).toFixed(1)}" height="14" fill="${muted}" opacity="${i % 2 ? 0.35 : 0.18}">` +
+        `<title>${s.fromDate} → ${s.toDate} (${s.to - s.from} draws) · most common ${top}</title></rect>`;
+    });
+    p.changes.forEach(c => {
+      svg += `<line x1="${x(c.index)}" x2="${x(c.index)}" y1="${y - 3}" y2="${y + 17}" stroke="${hot}" stroke-width="2">` +
+        `<title>Shift at ${c.dateStr} (p = ${c.p.toFixed(3)})</title></line>`;
+    });
+    y += rowH;
+  });
+
+  const firstYear = +dates[0].slice(0, 4);
+  let lastYear = '';
+  dates.forEach((d, i) => {
+    const yr = d.slice(0, 4);
+    if (yr === lastYear) return;
+    lastYear = yr;
+    if ((+yr - firstYear) % 2) return;
+    svg += `<line x1="${x(i)}" x2="${x(i)}" y1="${y - 4}" y2="${y}" stroke="${muted}"/>` +
+      `<text x="${x(i)}" y="${y + 10}" text-anchor="middle" font-size="10" fill="${muted}">${yr}</text>`;
+  });
+  y += 14;
+
+  const changes = positions.flatMap(p => p.changes.map(c => ({ pos: p.pos, ...c })));
+  let list;
+  if (!changes.length) {
+    const strongest = positions.filter(p => p.scan).sort((a, b) => a.scan.p - b.scan.p)[0];
+    list = `No position shows a significant shift over ${n} draws` +
+      (strongest ? ` — the strongest candidate, digit ${strongest.pos + 1}, has p = ${strongest.scan.p.toFixed(3)} (needs p &lt; ${level.toFixed(3)}).` : '.');
+  } else {
+    list = changes.map(c => {
+      const moves = c.after.map((v, d) => [d, c.before[d], v]).sort((a, b) => Math.abs(b[2] - b[1]) - Math.abs(a[2] - a[1])).slice(0, 2)
+        .map(([d, b, a]) => `${d}: ${pct(b)} → ${pct(a)}`).join(', ');
+      const sw = c.nearestSwitch;
+      return `<div><strong style="color:${hot}">Digit ${c.pos + 1}</strong> shifts at <strong>${c.dateStr}</strong> (p = ${c.p.toFixed(3)}): ${moves}` +
+        (sw ? ` · nearest source switch ${sw.dateStr} (${sw.from || 'unknown'} → ${sw.to || 'unknown'}), ${Math.abs(sw.distance)} draws ${sw.distance >= 0 ? 'later' : 'earlier'}` : '') +
+        `</div>`;
+    }).join('');
+  }
+
+  $('regimeWrap').innerHTML =
+    `<svg class="regime-svg" viewBox="0 0 ${W} ${y}" preserveAspectRatio="xMinYMin meet">${svg}</svg>` +
+    `<div class="regime-legend">${hosts.map(h => `<span><i style="background:${color(h)}"></i>${h || 'unknown'}</span>`).join('')}` +
+    `<span><i style="background:${hot}"></i>detected shift</span></div>` +
+    `<div class="regime-list">${list}</div>`;
+}
+
 // ── 8. Statistical candidates ──────────────────────────────────────────────
 function renderCandidates(ins) {
   const { candidates } = ins;
@@ -847,7 +920,7 @@ function renderCandidates(ins) {
         Last seen: ${c.lastDate}<br>
         ${c.sinceLastSeen} draws since last appearance<br>
         Avg gap between appearances: ${c.avgGap.toFixed(1)} draws<br>
-        <span class="candidate-overdue">+${(c.score * 100).toFixed(0)}% past its own average gap</span>
+        <span class="candidate-overdue">+${(c.score * 100).toFixed(0)}% past its own average gap</span>${nullTag(nd => nd.pooled.overdue, c.score, 'overdue score for a single number')}
       </div>
     </div>
   `).join('');
@@ -0,0 +1,1816 @@
+// Thai Lotto Analyzer — Shared analytics  (lottoCore.js)
+// The numbers behind Insights, Predictions and Scout, without DOM or IndexedDB.
+// Loaded with a plain <script> tag before the page script (exposes `LottoCore`),
+// or with require() from Node (cli.js).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./lottoData.js'));
+  else root.LottoCore = factory(root.LottoData);
+})(typeof self !== 'undefined' ? self : this, function (LottoData) {
+  'use strict';
+
+  const { PRIZE_LIST, PRIZE_DIGITS, PRIZE_COUNTS, PRIZE_PAYOUTS, TICKET_PRICE, payoutsFor } = LottoData;
+
+  // ── Two-digit model parameters ──────────────────────────────────────────
+  // Grid-searched on 458 actual draws, walk-forward backtest (see predictions.js
+  // and gridSearch below). Pages can override them with a Weights object.
+  const DIGITS   = '0123456789'.split('');
+  const W_REC    = 0.50;
+  const W_OV     = 0.20;
+  const W_BASE   = 0.30;
+  const OV_CAP   = 2.0;
+  const REC_WIN  = 15;
+
+  /**
+   * @typedef {Object} Weights  Signal weights of the digit model (only their ratios matter)
+   * @property {number} wRec    recency: share of the digit in the last W draws
+   * @property {number} wOv     overdue-ness: draws since last seen ÷ avg gap, capped at ovCap
+   * @property {number} wBase   all-time base rate
+   * @property {number} ovCap   cap on the overdue ratio
+   */
+  const DEFAULT_WEIGHTS = Object.freeze({ wRec: W_REC, wOv: W_OV, wBase: W_BASE, ovCap: OV_CAP });
+  const MIN_HIST = 30;
+  // Calibrated zone 17-22%: hand-picked, and not supported by the backtest: digits in it
+  // appear in 17.9% of draws (95% CI 11.9-25.2%, n=140) vs the ~19% of any digit
+  // Elevated >22%: fewer than 3% of draws, insufficient data to characterise
+  // probabilityStats().digitCurve re-checks the zone on every backtest
+  const CALIB_LO = 0.17;
+  const CALIB_HI = 0.22;
+
+  /**
+   * @typedef {Object} TwoDraw   One TWO result, as the model pages use it
+   * @property {string} dateStr  YYYY-MM-DD
+   * @property {string} twoNum   two-digit number
+   */
+
+  const mirror = n => n[1] + n[0];
+
+  /** Draws (oldest first) → TwoDraw[], skipping draws without a well-formed TWO number. */
+  function twoDigitDraws(draws) {
+    const out = [];
+    draws.forEach(({ dateStr, results }) => {
+      const twoNum = (results.TWO || []).find(n => n.length === 2);
+      if (twoNum) out.push({ dateStr, twoNum });
+    });
+    return out;
+  }
+
+  // ── Insights ────────────────────────────────────────────────────────────
+  /**
+   * Frequency, gap, overdue and hot/cold statistics for one prize.
+   * `draws` are {dateStr, results} oldest first; the last 25% count as recent.
+   */
+  function computeInsights(draws, prize) {
+    const numLen     = PRIZE_DIGITS[prize] || 6;
+    const totalDraws = draws.length;
+
+    // Flatten appearances, filtering to correct digit length only
+    const all = [];
+    draws.forEach((draw, idx) => {
+      (draw.results[prize] || [])
+        .filter(num => num.length === numLen)
+        .forEach(num => all.push({ num, drawIdx: idx, dateStr: draw.dateStr }));
+    });
+
+    // Recent window = last 25% of draws
+    const recentCutoff    = Math.max(0, totalDraws - Math.ceil(totalDraws * 0.25));
+    const recentDrawCount = totalDraws - recentCutoff;
+
+    // ── Frequency maps ──
+    const freq        = {};   // num → count in full window
+    const recentFreq  = {};   // num → count in recent 25%
+    const appearances = {};   // num → sorted list of drawIdx
+
+    all.forEach(({ num, drawIdx }) => {
+      freq[num] = (freq[num] || 0) + 1;
+      if (drawIdx >= recentCutoff) recentFreq[num] = (recentFreq[num] || 0) + 1;
+      if (!appearances[num]) appearances[num] = [];
+      appearances[num].push(drawIdx);
+    });
+
+    // For TWO include all 00–99 even undrawn
+    if (prize === 'TWO') {
+      for (let i = 0; i <= 99; i++) {
+        const k = String(i).padStart(2, '0');
+        if (freq[k] === undefined) freq[k] = 0;
+      }
+    }
+
+    // ── Gap statistics ──
+    const gapStats = {};
+    Object.entries(appearances).forEach(([num, idxList]) => {
+      if (idxList.length < 2) return;
+      const gaps = [];
+      for (let i = 1; i < idxList.length; i++) gaps.push(idxList[i] - idxList[i - 1]);
+      const avg = gaps.reduce((a, b) => a + b, 0) / gaps.length;
+      gapStats[num] = { avg, min: Math.min(...gaps), max: Math.max(...gaps), gaps };
+    });
+
+    // ── Overdue scoring ──
+    // score = (draws since last seen − avg gap) / avg gap
+    // Positive = overdue relative to own average
+    const overdueList = [];
+    Object.entries(appearances).forEach(([num, idxList]) => {
+      if (!gapStats[num]) return;
+      const sinceLastSeen = totalDraws - 1 - idxList[idxList.length - 1];
+      const { avg, min, max } = gapStats[num];
+      const score = (sinceLastSeen - avg) / Math.max(1, avg);
+      overdueList.push({
+        num, sinceLastSeen, avgGap: avg, minGap: min, maxGap: max,
+        score, lastDate: draws[idxList[idxList.length - 1]]?.dateStr || '?',
+        count: freq[num],
+      });
+    });
+    overdueList.sort((a, b) => b.score - a.score);
+
+    // ── Hot/Cold scoring ──
+    // hot score = actual recent appearances / expected recent appearances
+    // Expected = (overall rate) × (recent draw count)
+    // Overall rate = total appearances / total draws
+    // A score of 2.0 means appeared twice as often as expected. 0.0 means not seen at all recently.
+    const hotCold = Object.keys(freq)
+      .filter(num => (freq[num] || 0) > 0)
+      .map(num => {
+        const overallRate    = freq[num] / totalDraws;
+        const expectedRecent = overallRate * recentDrawCount;
+        const actualRecent   = recentFreq[num] || 0;
+        // Only compute score when expected > 0.5 (otherwise tiny numbers inflate it wildly)
+        const hotScore = expectedRecent > 0.5 ? actualRecent / expectedRecent : (actualRecent > 0 ? 99 : 0);
+        const lastIdx  = appearances[num] ? appearances[num][appearances[num].length - 1] : -1;
+        return {
+          num, hotScore, freq: freq[num], recentFreq: actualRecent,
+          expectedRecent, overallRate,
+          lastDate: lastIdx >= 0 ? draws[lastIdx]?.dateStr : 'never',
+          sinceLastSeen: lastIdx >= 0 ? totalDraws - 1 - lastIdx : totalDraws,
+        };
+      });
+
+    const hot  = [...hotCold].sort((a, b) => b.hotScore - a.hotScore).slice(0, 10);
+    const cold = [...hotCold].sort((a, b) => a.hotScore - b.hotScore).slice(0, 10);
+
+    // ── Digit position frequency (heatmap) ──
+    const digitPos = Array.from({ length: numLen }, () => ({}));
+    all.forEach(({ num }) => {
+      const padded = num.padStart(numLen, '0');
+      for (let p = 0; p < numLen; p++) {
+        const d = padded[p];
+        digitPos[p][d] = (digitPos[p][d] || 0) + 1;
+      }
+    });
+
+    // Top 10 for rolling trend (actual slice controlled at render time)
+    const topNums = Object.entries(freq)
+      .filter(([, c]) => c > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([n]) => n);
+
+    // ── Statistical candidates ──
+    const candidates = overdueList
+      .filter(x => x.score > 0 && x.count >= 3)
+      .slice(0, 5);
+
+    return {
+      totalDraws, totalAppearances: all.length,
+      uniqueNums: Object.keys(freq).filter(k => (freq[k] || 0) > 0).length,
+      recentCutoff, recentDrawCount,
+      freq, recentFreq, appearances,
+      gapStats, overdueList,
+      hotCold, hot, cold,
+      digitPos, numLen,
+      topNums, candidates,
+    };
+  }
+
+  // ── Null distributions ──────────────────────────────────────────────────
+  // How often pure chance produces each Insights statistic in a window of the
+  // same size. Ranked statistics are compared rank for rank (the 3rd hottest
+  // number against the 3rd hottest of every fair history), per-number ones
+  // against any single number of a fair history.
+  const NULL_RANKS = 20;
+  const NULL_POOL  = 20000;   // per-number samples kept across all simulations
+
+  /**
+   * A fair history shaped like `draws`: each draw gets as many well-formed
+   * `prize` numbers as the real one had, picked uniformly and without repeats
+   * within the draw. NEAR_FIRST keeps its shape, the numbers either side of
+   * one random First prize.
+   */
+  function syntheticDraws(draws, prize, rand) {
+    const numLen = PRIZE_DIGITS[prize] || 6;
+    const space  = Math.pow(10, numLen);
+    const fmt    = x => String(x).padStart(numLen, '0');
+    return draws.map(draw => {
+      const k = (draw.results[prize] || []).filter(num => num.length === numLen).length;
+      let nums;
+      if (prize === 'NEAR_FIRST' && k) {
+        const x = Math.floor(rand() * space);
+        nums = [fmt((x + space - 1) % space), fmt((x + 1) % space)].slice(0, k);
+      } else {
+        const picked = new Set();
+        while (picked.size < k) picked.add(Math.floor(rand() * space));
+        nums = [...picked].map(fmt);
+      }
+      return { dateStr: draw.dateStr, results: { [prize]: nums } };
+    });
+  }
+
+  /** The statistics of computeInsights() output that simulateInsightsNull() compares. */
+  function insightStatistics(ins) {
+    const desc   = (a, b) => b - a;
+    const hot    = ins.hotCold.map(x => x.hotScore);
+    const gaps   = Object.values(ins.gapStats);
+    const maxGap = gaps.map(g => g.max);
+    return {
+      ranked: {
+        hot:     hot.slice().sort(desc).slice(0, NULL_RANKS),
+        cold:    hot.slice().sort((a, b) => a - b).slice(0, NULL_RANKS),
+        overdue: ins.overdueList.slice(0, NULL_RANKS).map(o => o.score),
+        freq:    Object.values(ins.freq).filter(c => c > 0).sort(desc).slice(0, NULL_RANKS),
+      },
+      pooled: { hot, overdue: ins.overdueList.map(o => o.score), maxGap, minGap: gaps.map(g => g.min) },
+      scalar: { uniqueNums: ins.uniqueNums, longestGap: maxGap.length ? Math.max(...maxGap) : 0 },
+    };
+  }
+
+  /**
+   * Null distributions of the Insights statistics from `sims` fair histories
+   * shaped like `draws` (see syntheticDraws). Every sample list is sorted
+   * ascending; look values up with nullPercentile().
+   * @returns {{sims:number, ranked:Object<string, number[][]>, pooled:Object<string, number[]>, scalar:Object<string, number[]>}}
+   *   ranked.hot[k] holds the (k+1)-th highest hot score of each history; cold
+   *   the (k+1)-th lowest, overdue and freq like hot. pooled holds up to
+   *   NULL_POOL single-number hot scores, overdue scores and max / min gaps;
+   *   scalar one uniqueNums and longestGap per history.
+   */
+  function simulateInsightsNull(draws, prize, { sims = 1000, seed = 1, onProgress } = {}) {
+    const rand   = seededRandom(seed);
+    const ranks  = () => Array.from({ length: NULL_RANKS }, () => []);
+    const ranked = { hot: ranks(), cold: ranks(), overdue: ranks(), freq: ranks() };
+    const pooled = { hot: [], overdue: [], maxGap: [], minGap: [] };
+    const scalar = { uniqueNums: [], longestGap: [] };
+    const keep   = Math.ceil(NULL_POOL / sims);
+
+    for (let s = 0; s < sims; s++) {
+      const st = insightStatistics(computeInsights(syntheticDraws(draws, prize, rand), prize));
+      Object.keys(ranked).forEach(key => st.ranked[key].forEach((v, k) => ranked[key][k].push(v)));
+      Object.keys(pooled).forEach(key => {
+        const vals = st.pooled[key];
+        for (let j = 0; j < keep && vals.length; j++) pooled[key].push(vals[Math.floor(rand() * vals.length)]);
+      });
+      Object.keys(scalar).forEach(key => scalar[key].push(st.scalar[key]));
+      if (onProgress && ((s + 1) % 50 === 0 || s + 1 === sims)) onProgress(s + 1, sims);
+    }
+
+    const asc = (a, b) => a - b;
+    Object.values(ranked).forEach(list => list.forEach(samples => samples.sort(asc)));
+    Object.values(pooled).forEach(samples => samples.sort(asc));
+    Object.values(scalar).forEach(samples => samples.sort(asc));
+    return { sims, ranked, pooled, scalar };
+  }
+
+  /**
+   * Share of `samples` (sorted ascending) below `value`, counting ties as
+   * half: 0.5 is typical of chance, near 0 or 1 is rare. Null without samples.
+   */
+  function nullPercentile(samples, value) {
+    if (!samples || !samples.length) return null;
+    const bound = strict => {
+      let lo = 0, hi = samples.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (strict ? samples[mid] < value : samples[mid] <= value) lo = mid + 1;
+        else hi = mid;
+      }
+      return lo;
+    };
+    const below = bound(true), upTo = bound(false);
+    return (below + upTo) / 2 / samples.length;
+  }
+
+  // ── Fairness tests ──────────────────────────────────────────────────────
+  /** ln Γ(x) for x > 0 (Lanczos, g = 7). */
+  function lnGamma(x) {
+    const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+      -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+    x -= 1;
+    let a = c[0];
+    const t = x + 7.5;
+    for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+  }
+
+  /** P(χ² ≥ x) with `df` degrees of freedom: the regularised upper incomplete gamma Q(df/2, x/2). */
+  function chiSquareUpper(x, df) {
+    if (x <= 0) return 1;
+    const a = df / 2, z = x / 2;
+    const front = Math.exp(-z + a * Math.log(z) - lnGamma(a));
+    if (z < a + 1) {
+      // Series for the lower tail P(a, z)
+      let sum = 1 / a, term = sum;
+      for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) sum += (term *= z / (a + n));
+      return Math.max(0, 1 - sum * front);
+    }
+    // Continued fraction for Q(a, z) (modified Lentz)
+    let b = z + 1 - a, c = 1e300, d = 1 / b, h = d;
+    for (let i = 1; i < 500; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = an * d + b; if (Math.abs(d) < 1e-300) d = 1e-300;
+      c = b + an / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+      d = 1 / d;
+      const del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < 1e-15) break;
+    }
+    return Math.min(1, front * h);
+  }
+
+  /** Two-sided p-value of a standard normal z (erfc to about 1e-7). */
+  function normalTwoSided(z) {
+    const x = Math.abs(z) / Math.SQRT2, t = 1 / (1 + 0.5 * x);
+    const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+      t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+    return Math.min(1, erfc);
+  }
+
+  /** P(D ≥ d) for the Kolmogorov–Smirnov statistic of n samples (asymptotic, with Stephens' small-n correction). */
+  function ksUpper(d, n) {
+    const sn = Math.sqrt(n), lambda = (sn + 0.12 + 0.11 / sn) * d;
+    if (lambda < 0.2) return 1;
+    let sum = 0;
+    for (let k = 1; k <= 100; k++) {
+      const term = 2 * (k % 2 ? 1 : -1) * Math.exp(-2 * k * k * lambda * lambda);
+      sum += term;
+      if (Math.abs(term) < 1e-12) break;
+    }
+    return Math.min(1, Math.max(0, sum));
+  }
+
+  /** The tests fairnessTests() runs on every digit position, with what each outcome means. */
+  const FAIRNESS_TESTS = {
+    chi2:   { name: 'Chi² uniformity',       fair: 'Every digit turns up about equally often',
+              unfair: 'Some digits turn up more often than chance allows' },
+    runs:   { name: 'Runs test',             fair: 'High and low digits alternate as often as chance predicts',
+              unfair: 'High and low digits come in streaks (or alternate) more than chance allows' },
+    serial: { name: 'Serial correlation',    fair: 'Each draw is unrelated to the one before',
+              unfair: 'Consecutive draws are correlated' },
+    ksGaps: { name: 'KS on gaps (geometric)', fair: 'Waits between repeats of a digit look like a fair draw',
+              unfair: 'Waits between repeats of a digit are not geometric' },
+  };
+
+  /**
+   * Goodness-of-fit tests of a fair draw, for every digit position of `prize`
+   * over `draws` (oldest first):
+   *  - chi2:   digit counts from ins.digitPos against 1/10 each (9 df)
+   *  - runs:   Wald–Wolfowitz runs of the draw's mean digit above / below 4.5
+   *  - serial: lag-1 autocorrelation of that mean digit, z ≈ (r + 1/n)·√n
+   *  - ksGaps: draws between repeats of each digit, pooled, against the
+   *            geometric law of a digit that shows with chance 1 − 0.9^k in a
+   *            draw of k numbers. The KS p is conservative for discrete data;
+   *            skipped (null) when nearly every draw shows every digit.
+   * Holm's correction runs across every test of the prize.
+   * @returns {{prize:string, draws:number, tests:Array<{pos:number, id:string, name:string, stat:number, p:number|null, holmP:number|null, verdict:string}>}}
+   */
+  function fairnessTests(draws, prize, ins = computeInsights(draws, prize)) {
+    const numLen = ins.numLen;
+    const nums   = draws.map(d => (d.results[prize] || []).filter(num => num.length === numLen)).filter(ns => ns.length);
+    const k      = nums.length ? nums.map(ns => ns.length).sort((a, b) => a - b)[nums.length >> 1] : 1;
+    const tests  = [];
+
+    for (let pos = 0; pos < numLen; pos++) {
+      const add = (id, stat, p) => tests.push({ pos, id, name: FAIRNESS_TESTS[id].name, stat, p });
+
+      const counts = DIGITS.map(d => ins.digitPos[pos][d] || 0);
+      const total  = counts.reduce((a, b) => a + b, 0);
+      const chi2   = total ? counts.reduce((s, o) => s + Math.pow(o - total / 10, 2) / (total / 10), 0) : 0;
+      add('chi2', chi2, total ? chiSquareUpper(chi2, 9) : null);
+
+      const x = nums.map(ns => ns.reduce((s, num) => s + Number(num[pos]), 0) / ns.length);
+      const signs = x.filter(v => v !== 4.5).map(v => v > 4.5);
+      const n1 = signs.filter(Boolean).length, n2 = signs.length - n1, n = n1 + n2;
+      const runs = signs.reduce((r, s, i) => r + (i && s !== signs[i - 1] ? 1 : 0), n ? 1 : 0);
+      const mu = 2 * n1 * n2 / n + 1, vr = 2 * n1 * n2 * (2 * n1 * n2 - n) / (n * n * (n - 1));
+      add('runs', runs, n1 && n2 && vr > 0 ? normalTwoSided((runs - mu) / Math.sqrt(vr)) : null);
+
+      const m = x.reduce((a, b) => a + b, 0) / (x.length || 1);
+      let num = 0, den = 0;
+      x.forEach((v, i) => { den += (v - m) * (v - m); if (i) num += (v - m) * (x[i - 1] - m); });
+      const r = den ? num / den : 0;
+      add('serial', r, den && x.length > 2 ? normalTwoSided((r + 1 / x.length) * Math.sqrt(x.length)) : null);
+
+      const q = 1 - Math.pow(0.9, k);
+      const gaps = [];
+      DIGITS.forEach(d => {
+        let last = -1;
+        nums.forEach((ns, i) => {
+          if (!ns.some(numStr => numStr[pos] === d)) return;
+          if (last >= 0) gaps.push(i - last);
+          last = i;
+        });
+      });
+      let D = 0;
+      if (gaps.length) {
+        const hist = [];
+        gaps.forEach(g => { hist[g] = (hist[g] || 0) + 1; });
+        let cum = 0;
+        for (let g = 1; g < hist.length; g++) {
+          cum += hist[g] || 0;
+          D = Math.max(D, Math.abs(cum / gaps.length - (1 - Math.pow(1 - q, g))));
+        }
+      }
+      add('ksGaps', D, gaps.length && q < 0.99 ? ksUpper(D, gaps.length) : null);
+    }
+
+    const tested = tests.filter(t => t.p !== null);
+    const adj    = holm(tested.map(t => t.p));
+    tested.forEach((t, i) => { t.holmP = adj[i]; });
+    tests.forEach(t => {
+      const info = FAIRNESS_TESTS[t.id];
+      if (t.p === null) { t.holmP = null; t.verdict = 'Not enough variation to test'; }
+      else if (t.holmP < 0.05) t.verdict = info.unfair;
+      else if (t.p < 0.05) t.verdict = `Unusual on its own (p < 0.05), but one of ${tested.length} tests — chance explains it`;
+      else t.verdict = info.fair;
+    });
+    return { prize, draws: nums.length, tests };
+  }
+
+  // ── Change points ───────────────────────────────────────────────────────
+  const xlogx = v => v > 0 ? v * Math.log(v) : 0;
+
+  /**
+   * The split of rows[lo, hi) — per-draw digit counts — where the digit mix
+   * before and after differs most: the multinomial likelihood-ratio G² of
+   * every split leaving minSeg draws each side, from running (CUSUM) counts.
+   */
+  function bestSplit(rows, lo, hi, minSeg) {
+    const total = new Array(10).fill(0);
+    for (let t = lo; t < hi; t++) for (let d = 0; d < 10; d++) total[d] += rows[t][d];
+    const N = total.reduce((a, b) => a + b, 0);
+    const whole = total.reduce((s, v) => s + xlogx(v), 0) - xlogx(N);
+    const left = new Array(10).fill(0);
+    let L = 0, best = { G: 0, s: -1 };
+    for (let t = lo; t < hi - minSeg; t++) {
+      for (let d = 0; d < 10; d++) { left[d] += rows[t][d]; L += rows[t][d]; }
+      if (t + 1 - lo < minSeg) continue;
+      let ll = -xlogx(L) - xlogx(N - L);
+      for (let d = 0; d < 10; d++) ll += xlogx(left[d]) + xlogx(total[d] - left[d]);
+      const G = 2 * (ll - whole);
+      if (G > best.G) best = { G, s: t + 1 };
+    }
+    return best;
+  }
+
+  /** Each digit's share of rows[lo, hi). */
+  function digitShares(rows, lo, hi) {
+    const c = new Array(10).fill(0);
+    for (let t = lo; t < hi; t++) for (let d = 0; d < 10; d++) c[d] += rows[t][d];
+    const n = c.reduce((a, b) => a + b, 0) || 1;
+    return c.map(v => v / n);
+  }
+
+  /** Consecutive draws copied from the same host: [{source, from, to, fromDate, toDate}], indexes inclusive. */
+  function sourceRuns(draws) {
+    const runs = [];
+    draws.forEach((d, i) => {
+      const source = d.source || '';
+      const last = runs[runs.length - 1];
+      if (last && last.source === source) { last.to = i; last.toDate = d.dateStr; }
+      else runs.push({ source, from: i, to: i, fromDate: d.dateStr, toDate: d.dateStr });
+    });
+    return runs;
+  }
+
+  /**
+   * Shifts in the digit distribution of every position of `prize` over the
+   * whole history, by binary segmentation: find the best split (bestSplit),
+   * keep it if fewer than `alpha` of `perms` shuffles of the same draws split
+   * as well, then look again on each side. alpha is shared between positions
+   * (Bonferroni). Each change is set against the nearest switch of source
+   * site, since a switch could bring in copying errors.
+   * @param {Array<{dateStr:string, results:Object, source?:string}>} draws  Oldest first
+   * @returns {{prize:string, draws:number, dates:string[], sources:Array, positions:Array<{pos:number, scan:{G:number, p:number}|null, changes:Array, segments:Array}>}}
+   *   changes: [{index, dateStr, G, p, before, after, nearestSwitch}] where
+   *   before / after are digit shares of the segments either side; segments:
+   *   [{from, to, fromDate, toDate, shares}], `to` exclusive.
+   */
+  function changePoints(draws, prize, { minSeg = 24, alpha = 0.05, perms = 999, seed = 1, onProgress } = {}) {
+    const numLen = PRIZE_DIGITS[prize] || 6;
+    const series = draws
+      .map(d => ({ d, nums: (d.results[prize] || []).filter(num => num.length === numLen) }))
+      .filter(x => x.nums.length);
+    const dates   = series.map(x => x.d.dateStr);
+    const sources = sourceRuns(series.map(x => x.d));
+    const switches = sources.slice(1).map((r, i) => ({ index: r.from, dateStr: r.fromDate, from: sources[i].source, to: r.source }));
+    const rand  = seededRandom(seed);
+    const level = alpha / numLen;
+
+    const positions = [];
+    for (let pos = 0; pos < numLen; pos++) {
+      const rows = series.map(x => {
+        const c = new Array(10).fill(0);
+        x.nums.forEach(num => c[+num[pos]]++);
+        return c;
+      });
+
+      const test = (lo, hi) => {
+        const best = bestSplit(rows, lo, hi, minSeg);
+        if (best.s < 0) return null;
+        const slice = rows.slice(lo, hi);
+        let beaten = 0;
+        for (let k = 0; k < perms; k++) if (bestSplit(shuffle(slice, rand), 0, slice.length, minSeg).G >= best.G) beaten++;
+        return { ...best, p: (beaten + 1) / (perms + 1) };
+      };
+
+      const cuts = [];
+      let scan = null;
+      const stack = [[0, rows.length]];
+      while (stack.length) {
+        const [lo, hi] = stack.pop();
+        const r = test(lo, hi);
+        if (lo === 0 && hi === rows.length) scan = r && { G: r.G, p: r.p };
+        if (!r || r.p >= level) continue;
+        cuts.push({ index: r.s, G: r.G, p: r.p });
+        stack.push([lo, r.s], [r.s, hi]);
+      }
+      cuts.sort((a, b) => a.index - b.index);
+
+      const bounds = [0, ...cuts.map(c => c.index), rows.length];
+      const segments = bounds.slice(1).map((to, i) => ({
+        from: bounds[i], to, fromDate: dates[bounds[i]], toDate: dates[to - 1], shares: digitShares(rows, bounds[i], to),
+      }));
+      const changes = cuts.map((c, i) => {
+        const near = switches.reduce((b, s) => !b || Math.abs(s.index - c.index) < Math.abs(b.index - c.index) ? s : b, null);
+        return {
+          ...c, dateStr: dates[c.index], before: segments[i].shares, after: segments[i + 1].shares,
+          nearestSwitch: near && { ...near, distance: near.index - c.index },
+        };
+      });
+      positions.push({ pos, scan, changes, segments });
+      if (onProgress) onProgress(pos + 1, numLen);
+    }
+    return { prize, draws: series.length, dates, sources, positions };
+  }
+
+  // ── Digit model ─────────────────────────────────────────────────────────
+  /**
+   * Running per-digit counts for one digit stream, updated in O(1) per draw so
+   * a walk-forward backtest can score every step without refitting from
+   * scratch. push(ds) adds the next draw: the digits seen in it — both halves
+   * of the TWO number, or one position of each THREE_FIRST number. A digit
+   * seen twice in one draw counts twice towards its frequency but is one
+   * appearance for its gaps. The recency window is the last min(W, n − 1) draws.
+   */
+  function createDigitState(W) {
+    const history  = [];
+    const recCnt   = Object.fromEntries(DIGITS.map(d => [d, 0]));
+    const baseCnt  = Object.fromEntries(DIGITS.map(d => [d, 0]));
+    const lastSeen = Object.fromEntries(DIGITS.map(d => [d, -1]));
+    const gapSum   = Object.fromEntries(DIGITS.map(d => [d, 0]));
+    const gapCnt   = Object.fromEntries(DIGITS.map(d => [d, 0]));
+    let recTotal = 0, baseTotal = 0, winStart = 0;
+
+    function push(ds) {
+      const i = history.length;
+      history.push(ds);
+      ds.forEach(d => { baseCnt[d]++; recCnt[d]++; });
+      baseTotal += ds.length;
+      recTotal  += ds.length;
+      new Set(ds).forEach(d => {
+        if (lastSeen[d] >= 0) { gapSum[d] += i - lastSeen[d]; gapCnt[d]++; }
+        lastSeen[d] = i;
+      });
+      // The window only ever grows by one or slides by one
+      const n = history.length;
+      while (n - winStart > Math.min(W, n - 1)) {
+        history[winStart].forEach(d => recCnt[d]--);
+        recTotal -= history[winStart].length;
+        winStart++;
+      }
+    }
+
+    /** Per-digit probabilities from recency, overdue-ness and base rate. */
+    function score(weights = DEFAULT_WEIGHTS) {
+      const { wRec, wOv, wBase, ovCap } = weights;
+      const n = history.length;
+      // Digits per draw: 2 for TWO, so a digit's fair gap is 10/2 = 5 draws
+      const perDraw = baseTotal / n;
+
+      const raw = {}, meta = {};
+      DIGITS.forEach(d => {
+        const recFreq  = recCnt[d]  / recTotal;
+        const baseFreq = baseCnt[d] / baseTotal;
+        const avgGap   = gapCnt[d] >= 2 ? gapSum[d] / gapCnt[d] : 10 / perDraw;
+        const since    = lastSeen[d] >= 0 ? (n - 1 - lastSeen[d]) : n;
+        const ovRatio  = Math.min(since / Math.max(avgGap, 1), ovCap) / ovCap;
+
+        raw[d]   = wRec * recFreq + wOv * ovRatio + wBase * baseFreq;
+        meta[d]  = { recFreq, baseFreq, avgGap, since, ovRatioRaw: since / Math.max(avgGap, 1) };
+      });
+
+      const total = DIGITS.reduce((s, d) => s + raw[d], 0);
+      const digitProb = {};
+      DIGITS.forEach(d => {
+        const p          = raw[d] / total;
+        digitProb[d]     = p;
+        meta[d].prob     = p;
+        meta[d].vsBase   = p - meta[d].baseFreq;
+        meta[d].pDraw    = 1 - Math.pow(1 - p, perDraw);
+        meta[d].isCalib  = p >= CALIB_LO && p <= CALIB_HI;
+        meta[d].isElev   = p > CALIB_HI;
+      });
+      return { digitProb, digitMeta: meta };
+    }
+
+    return { push, score, get n() { return history.length; } };
+  }
+
+  /** One-off score of a whole digit stream (see createDigitState). */
+  function scoreDigits(drawDigits, W, weights) {
+    const state = createDigitState(W);
+    drawDigits.forEach(ds => state.push(ds));
+    return state.score(weights);
+  }
+
+  /**
+   * TWO model: both digits of each number pooled into one stream (no
+   * positional bias, so "59" and "95" score the same); number probability =
+   * product of its two digit probabilities. Null with fewer than MIN_HIST draws.
+   */
+  function computeModel(seq, W, weights) {
+    if (seq.length < MIN_HIST) return null;
+    const state = createDigitState(W);
+    seq.forEach(num => state.push([num[0], num[1]]));
+    return twoModel(state, weights);
+  }
+
+  function twoModel(state, weights) {
+    const { digitProb, digitMeta } = state.score(weights);
+    const numProbs = {};
+    DIGITS.forEach(a => DIGITS.forEach(b => { numProbs[a + b] = digitProb[a] * digitProb[b]; }));
+    return { digitProb, digitMeta, numProbs, n: state.n };
+  }
+
+  /**
+   * Walk-forward backtest of computeModel: for every draw after MIN_HIST, fit
+   * on the draws before it and check the actual result (or its mirror)
+   * against the topN most likely numbers. hit2/hit4 look 2/4 draws ahead.
+   * The digit state is carried forward one draw at a time, so the whole walk
+   * is linear in the number of draws.
+   */
+  function runBacktest(draws, { recW = REC_WIN, topN = 15, weights } = {}) {
+    const N = draws.length, out = [];
+    const state = createDigitState(recW);
+    const push  = i => state.push([draws[i].twoNum[0], draws[i].twoNum[1]]);
+    for (let i = 0; i < Math.min(MIN_HIST, N); i++) push(i);
+    for (let i = MIN_HIST; i < N; push(i), i++) {
+      const { numProbs, digitMeta } = twoModel(state, weights);
+      const topNums = Object.entries(numProbs).sort((a, b) => b[1]-a[1]).slice(0, topN).map(([n]) => n);
+      const actual  = draws[i].twoNum;
+      const pActual = Math.max(numProbs[actual]||0, numProbs[mirror(actual)]||0);
+      const pairHit = topNums.includes(actual) || topNums.includes(mirror(actual));
+      const topDigs = DIGITS.slice().sort((a, b) => digitMeta[b].prob - digitMeta[a].prob).slice(0, 4);
+      const hor = k => {
+        for (let j = 1; j <= k && (i+j) < N; j++) {
+          const a = draws[i+j].twoNum;
+          if (topNums.includes(a) || topNums.includes(mirror(a))) return a;
+        }
+        return null;
+      };
+      out.push({ i, dateStr: draws[i].dateStr, actual, topNums, topDigs, pActual, pairHit, hit: pairHit, hit2: hor(2), hit4: hor(4), digitMeta,
+                 baseline: mirrorCoverage(topNums), ...forecastScore(numProbs, [actual]) });
+    }
+    return out;
+  }
+
+  // ── Exact binomial inference ────────────────────────────────────────────
+  /** P(X ≥ k) for X ~ Binomial(n, p), summed in log space so large n cannot underflow. */
+  function binomUpper(k, n, p) {
+    if (k <= 0) return 1;
+    if (k > n || p <= 0) return 0;
+    if (p >= 1) return 1;
+    const logPmf = [n * Math.log1p(-p)], lr = Math.log(p) - Math.log1p(-p);
+    for (let j = 0; j < n; j++) logPmf.push(logPmf[j] + Math.log((n - j) / (j + 1)) + lr);
+    const max = Math.max(...logPmf);
+    let tail = 0, total = 0;
+    logPmf.forEach((l, j) => { const v = Math.exp(l - max); total += v; if (j >= k) tail += v; });
+    return Math.min(1, tail / total);
+  }
+
+  /** Clopper–Pearson (exact) confidence interval for k successes in n trials. */
+  function binomCI(k, n, level = 0.95) {
+    const a = (1 - level) / 2;
+    // binomUpper(k, n, p) rises with p: find where it crosses `target`
+    const solve = (kk, target) => {
+      let lo = 0, hi = 1;
+      for (let it = 0; it < 50; it++) {
+        const mid = (lo + hi) / 2;
+        if (binomUpper(kk, n, mid) < target) lo = mid; else hi = mid;
+      }
+      return (lo + hi) / 2;
+    };
+    return [k === 0 ? 0 : solve(k, a), k === n ? 1 : solve(k + 1, 1 - a)];
+  }
+
+  /** Holm step-down adjusted p-values, in the order given. */
+  function holm(pValues) {
+    const m = pValues.length;
+    const order = pValues.map((p, i) => i).sort((x, y) => pValues[x] - pValues[y]);
+    const adj = new Array(m);
+    let running = 0;
+    order.forEach((i, rank) => {
+      running = Math.max(running, Math.min(1, (m - rank) * pValues[i]));
+      adj[i] = running;
+    });
+    return adj;
+  }
+
+  /**
+   * Hit rate against a random-pick baseline rate; se is the baseline's
+   * standard error. `p` is the exact one-sided binomial p-value (chance of at
+   * least this many hits by luck) and [ciLo, ciHi] the 95% exact interval.
+   */
+  function hitRateZ(hits, n, baseline) {
+    const se       = Math.sqrt(baseline * (1 - baseline) / n);
+    const hitRate  = hits / n;
+    const [ciLo, ciHi] = binomCI(hits, n);
+    return { n, hitRate, baseline, z: (hitRate - baseline) / se, se, p: binomUpper(hits, n, baseline), ciLo, ciHi };
+  }
+
+  /**
+   * Share of 00–99 that would count as a TWO hit for this top list: its
+   * numbers and their mirrors. That is the chance a random draw hits, so it
+   * is the fair baseline for a list that is not closed under mirroring.
+   */
+  function mirrorCoverage(topNums) {
+    return new Set(topNums.concat(topNums.map(mirror))).size / 100;
+  }
+
+  // TWO rows carry their own mirrorCoverage baseline; otherwise topN/100
+  function rowBaseline(bt, topN) {
+    return bt.length && bt[0].baseline !== undefined ? bt.reduce((s, r) => s + r.baseline, 0) / bt.length : topN / 100;
+  }
+
+  /**
+   * Summary of runBacktest / runTargetBacktest rows: hit rate with z-score
+   * against `baseline` (for TWO the mean mirrorCoverage of the top lists),
+   * plus the +2/+4 draw horizons.
+   */
+  function backtestStats(bt, topN, baseline = rowBaseline(bt, topN)) {
+    const n = bt.length;
+    return {
+      ...hitRateZ(bt.filter(r => r.hit).length, n, baseline),
+      hit2Rate: bt.filter(r => r.hit2).length / n,
+      hit4Rate: bt.filter(r => r.hit4).length / n,
+    };
+  }
+
+  // ── Probabilistic scoring ───────────────────────────────────────────────
+  // Hit rates only ask whether the draw made the top N; these score the whole
+  // forecast distribution. Number bins are multiples of the uniform probability
+  // so TWO (1/100) and the three-digit targets (1/1000) share them; digit bins
+  // put the hand-picked calibrated zone (CALIB_LO–CALIB_HI) in a bin of its own.
+  const RELIAB_EDGES = [0, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, Infinity];
+  const DIGIT_EDGES  = [0, 0.06, 0.08, 0.1, 0.12, 0.14, CALIB_LO, CALIB_HI, 1];
+  const P_FLOOR      = 1e-12;   // keeps log-loss finite when a weight setting zeroes a number
+
+  // Reliability bins are [forecasts, sum of predicted p, outcomes that happened]
+  function binIndex(edges, x) {
+    let b = 0;
+    while (b < edges.length - 2 && x >= edges[b + 1]) b++;
+    return b;
+  }
+
+  /**
+   * Log-loss (natural log), multi-class Brier score and reliability-bin counts
+   * of one forecast `numProbs` against the numbers drawn. With two numbers
+   * drawn (Three Front / Back) each is scored as its own outcome and averaged.
+   */
+  function forecastScore(numProbs, drawn) {
+    const keys  = Object.keys(numProbs);
+    const edges = RELIAB_EDGES.map(e => e / keys.length);
+    const reliab = edges.slice(1).map(() => [0, 0, 0]);
+    // Every drawn number faces the same forecast, so bin it once
+    let sumSq = 0;
+    keys.forEach(k => {
+      const p = numProbs[k], bin = reliab[binIndex(edges, p)];
+      sumSq  += p * p;
+      bin[0] += drawn.length;
+      bin[1] += p * drawn.length;
+    });
+    let logLoss = 0, brier = 0;
+    drawn.forEach(a => {
+      const pa = numProbs[a] || 0;
+      logLoss -= Math.log(Math.max(pa, P_FLOOR));
+      brier   += sumSq - 2 * pa + 1;
+      reliab[binIndex(edges, pa)][2]++;
+    });
+    return { logLoss: logLoss / drawn.length, brier: brier / drawn.length, reliab };
+  }
+
+  // Summed bins → curve points; empty bins are dropped
+  function reliabCurve(bins, edges) {
+    return bins.map(([n, pSum, hits], b) => {
+      if (!n) return null;
+      const [ciLo, ciHi] = binomCI(hits, n);
+      return { lo: edges[b], hi: edges[b + 1], n, meanP: pSum / n, observed: hits / n, ciLo, ciHi };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Proper scores of runBacktest / runTargetBacktest rows against the uniform
+   * forecast (log-loss ln 10^digits, Brier 1 − 10^-digits). `gainZ` is the
+   * paired z-score of the per-draw log-loss improvement; skill scores are
+   * 1 − model / uniform, so 0 means no better than guessing. `curve` is the
+   * reliability diagram with bin edges in multiples of the uniform probability;
+   * for TWO rows `digitCurve` also bins each digit's probability against how
+   * often it then appeared in the draw (predicted: pDraw).
+   */
+  function probabilityStats(bt, digits = 2) {
+    const n = bt.length;
+    if (!n) return null;
+    const uLogLoss = Math.log(Math.pow(10, digits)), uBrier = 1 - Math.pow(10, -digits);
+    const logLoss = bt.reduce((s, r) => s + r.logLoss, 0) / n;
+    const brier   = bt.reduce((s, r) => s + r.brier, 0) / n;
+    const gains   = bt.map(r => uLogLoss - r.logLoss), gain = uLogLoss - logLoss;
+    const sd      = Math.sqrt(gains.reduce((s, g) => s + (g - gain) * (g - gain), 0) / Math.max(1, n - 1));
+
+    const bins = RELIAB_EDGES.slice(1).map(() => [0, 0, 0]);
+    bt.forEach(r => r.reliab.forEach((b, i) => b.forEach((v, j) => { bins[i][j] += v; })));
+
+    let digitCurve = null;
+    if (bt[0].digitMeta) {
+      const dBins = DIGIT_EDGES.slice(1).map(() => [0, 0, 0]);
+      // Binned on the digit probability, scored on its chance of appearing in the draw
+      bt.forEach(r => DIGITS.forEach(d => {
+        const { prob, pDraw } = r.digitMeta[d], bin = dBins[binIndex(DIGIT_EDGES, prob)];
+        bin[0]++;
+        bin[1] += pDraw;
+        bin[2] += r.actual.includes(d) ? 1 : 0;
+      }));
+      digitCurve = reliabCurve(dBins, DIGIT_EDGES);
+    }
+
+    return {
+      n, logLoss, uniformLogLoss: uLogLoss, logLossSkill: 1 - logLoss / uLogLoss,
+      gainZ: sd > 0 ? gain / (sd / Math.sqrt(n)) : 0,
+      brier, uniformBrier: uBrier, brierSkill: 1 - brier / uBrier,
+      curve: reliabCurve(bins, RELIAB_EDGES), digitCurve,
+    };
+  }
+
+  /** Pairs {a,b} (a ≤ b) with the combined probability of buying both ab and ba, most likely first. */
+  function rankPairs(model) {
+    const { digitMeta, numProbs } = model;
+    const pairs = [];
+    DIGITS.forEach(a => {
+      DIGITS.forEach(b => {
+        if (b < a) return;
+        const p = a === b ? numProbs[a+b] : numProbs[a+b] + numProbs[b+a];
+        pairs.push({ a, b, prob: p, aCalib: digitMeta[a].isCalib, bCalib: digitMeta[b].isCalib,
+                     aElev: digitMeta[a].isElev, bElev: digitMeta[b].isElev });
+      });
+    });
+    return pairs.sort((x, y) => y.prob - x.prob);
+  }
+
+  // ── Positional targets (THREE_FIRST, THREE_LAST, FIRST suffixes) ────────
+  // Unlike TWO (computeModel), order matters here: each position gets its own
+  // digit model and a ticket only wins on an exact match.
+  const TARGETS = {
+    THREE_FIRST: { label: 'Three Front',         prize: 'THREE_FIRST', digits: 3, perDraw: 2 },
+    THREE_LAST:  { label: 'Three Back',          prize: 'THREE_LAST',  digits: 3, perDraw: 2 },
+    FIRST_2:     { label: 'First Prize, last 2', prize: 'FIRST',       digits: 2, perDraw: 1, suffix: true },
+    FIRST_3:     { label: 'First Prize, last 3', prize: 'FIRST',       digits: 3, perDraw: 1, suffix: true },
+  };
+
+  /** Draws (oldest first) → [{dateStr, nums}] for a TARGETS key, skipping draws without a well-formed number. */
+  function targetDraws(draws, key) {
+    const t = TARGETS[key];
+    const len = t.suffix ? PRIZE_DIGITS[t.prize] : t.digits;
+    const out = [];
+    draws.forEach(({ dateStr, results }) => {
+      let nums = (results[t.prize] || []).filter(n => n.length === len && /^\d+$/.test(n));
+      if (t.suffix) nums = nums.map(n => n.slice(-t.digits));
+      nums = nums.slice(0, t.perDraw);
+      if (nums.length) out.push({ dateStr, nums });
+    });
+    return out;
+  }
+
+  /** Chance that topN random picks out of 10^digits catch one of perDraw independent numbers. */
+  function targetBaseline(key, topN) {
+    const { digits, perDraw } = TARGETS[key];
+    return 1 - Math.pow(1 - topN / Math.pow(10, digits), perDraw);
+  }
+
+  /**
+   * One digit model per position of `series` ([{dateStr, nums}]);
+   * number probability = product of its positional digit probabilities.
+   * Null with fewer than MIN_HIST draws.
+   */
+  function computeTargetModel(series, W, digits, weights) {
+    if (series.length < MIN_HIST) return null;
+    const states = createTargetState(W, digits);
+    series.forEach(states.push);
+    return targetModel(states, weights);
+  }
+
+  /** One createDigitState per position; push takes a {nums} draw. */
+  function createTargetState(W, digits) {
+    const states = Array.from({ length: digits }, () => createDigitState(W));
+    return {
+      states,
+      push: d => states.forEach((s, p) => s.push(d.nums.map(num => num[p]))),
+    };
+  }
+
+  function targetModel({ states }, weights) {
+    const positions = states.map(s => s.score(weights));
+    const n = states[0].n, digits = states.length;
+    let numProbs = { '': 1 };
+    positions.forEach(({ digitProb }) => {
+      const next = {};
+      Object.entries(numProbs).forEach(([prefix, p]) => DIGITS.forEach(d => { next[prefix + d] = p * digitProb[d]; }));
+      numProbs = next;
+    });
+    return { positions, numProbs, n, digits };
+  }
+
+  /** The k most likely numbers of a model, most likely first. */
+  function topNumbers(numProbs, k) {
+    return Object.entries(numProbs).sort((a, b) => b[1] - a[1]).slice(0, k).map(([n]) => n);
+  }
+
+  /**
+   * Walk-forward backtest of computeTargetModel: a hit is any number of the
+   * draw in the topN list (exact order). hit2/hit4 look 2/4 draws ahead.
+   * Like runBacktest, the positional states advance one draw at a time.
+   */
+  function runTargetBacktest(series, { recW = REC_WIN, topN = 15, digits, weights }) {
+    const N = series.length, out = [];
+    const states = createTargetState(recW, digits);
+    series.slice(0, MIN_HIST).forEach(states.push);
+    for (let i = MIN_HIST; i < N; states.push(series[i]), i++) {
+      const model = targetModel(states, weights);
+      const topNums = topNumbers(model.numProbs, topN);
+      const actual  = series[i].nums;
+      const pActual = Math.max(...actual.map(a => model.numProbs[a] || 0));
+      const topDigs = model.positions.map(({ digitProb }) => DIGITS.reduce((b, d) => digitProb[d] > digitProb[b] ? d : b));
+      const hor = k => {
+        for (let j = 1; j <= k && (i+j) < N; j++) {
+          const a = series[i+j].nums.find(num => topNums.includes(num));
+          if (a) return a;
+        }
+        return null;
+      };
+      out.push({ i, dateStr: series[i].dateStr, actual, topNums, topDigs, pActual,
+                 hit: actual.some(a => topNums.includes(a)), hit2: hor(2), hit4: hor(4),
+                 ...forecastScore(model.numProbs, actual) });
+    }
+    return out;
+  }
+
+  // ── Scout: number-level stats and composite ranking ─────────────────────
+  /** Frequency, gap, overdue and hot score for each of 00–99 (last 25% = recent). */
+  function computeNumStats(draws) {
+    const N         = draws.length;
+    const recentCut = Math.max(0, N - Math.ceil(N * 0.25));
+    const recentN   = N - recentCut;
+
+    const appearances = {};
+    for (let ni = 0; ni <= 99; ni++) appearances[String(ni).padStart(2, '0')] = [];
+    draws.forEach(({ twoNum }, di) => { if (appearances[twoNum]) appearances[twoNum].push(di); });
+
+    const stats = {};
+    Object.entries(appearances).forEach(([numStr, idx]) => {
+      const freq = idx.length;
+      const recentF = idx.filter(i => i >= recentCut).length;
+      let avgGap = N, since = N, overdueFrac = 0;
+      if (freq >= 1) since = N - 1 - idx[freq - 1];
+      if (freq >= 2) {
+        avgGap      = (idx[freq - 1] - idx[0]) / (freq - 1);
+        overdueFrac = Math.max(-2, Math.min(3, (since - avgGap) / Math.max(1, avgGap)));
+      }
+      const overallRate = freq / N;
+      const expRecent   = overallRate * recentN;
+      const hotScore    = expRecent > 0.3 ? recentF / expRecent : (recentF > 0 ? 2 : 0);
+      stats[numStr] = {
+        freq, recentF, avgGap, since, overdueFrac, hotScore, overallRate,
+        lastDate: freq > 0 ? draws[idx[freq - 1]].dateStr : 'never',
+      };
+    });
+    return stats;
+  }
+
+  /**
+   * Composite 0–100 score per number: 60% model probability, 30% reliable
+   * overdue-ness, 10% calibrated-digit bonus. Tier A/B = 3/2 signals active.
+   */
+  function scoreComposite(entries) {
+    let maxPM = 0.0001, maxOD = 0.0001;
+    entries.forEach(e => {
+      if (e.pM      > maxPM) maxPM = e.pM;
+      if (e.odBonus > maxOD) maxOD = e.odBonus;
+    });
+    entries.forEach(e => {
+      const normP = e.pM / maxPM, normOD = e.odBonus / maxOD;
+      e.rawScore  = normP * 0.60 + normOD * 0.30 + e.calibBonus * 0.10;
+      e.composite = Math.round(Math.max(0, Math.min(100, e.rawScore * 100)));
+      let sigs = 0;
+      if (normP  > 0.5)                  sigs++;
+      if (normOD > 0.35 && e.freq >= 3) sigs++;
+      if (e.aCalib || e.bCalib)         sigs++;
+      e.signalCount = sigs;
+      e.tier = sigs >= 3 ? 'A' : sigs === 2 ? 'B' : 'C';
+    });
+    return entries.slice().sort((x, y) => y.composite - x.composite);
+  }
+
+  /** Full Scout ranking for `draws` (TwoDraw[]); null with fewer than MIN_HIST draws. */
+  function computeComposite(draws, { recW = REC_WIN, weights } = {}) {
+    const mdl = computeModel(draws.map(d => d.twoNum), recW, weights);
+    if (!mdl) return null;
+
+    const { digitProb, digitMeta, numProbs } = mdl;
+    const numStats  = computeNumStats(draws);
+    const totalN    = draws.length;
+    const recentCut = Math.max(0, totalN - Math.ceil(totalN * 0.25));
+    const recentN   = totalN - recentCut;
+
+    const dRecCnt = Object.fromEntries(DIGITS.map(d => [d, 0]));
+    draws.slice(recentCut).forEach(({ twoNum }) => { dRecCnt[twoNum[0]]++; dRecCnt[twoNum[1]]++; });
+    const digitHot = {};
+    DIGITS.forEach(d => {
+      const exp = digitMeta[d].baseFreq * recentN * 2;
+      digitHot[d] = exp > 0.3 ? dRecCnt[d] / exp : (dRecCnt[d] > 0 ? 2 : 0);
+    });
+
+    const allNums = [];
+    for (let ni = 0; ni <= 99; ni++) {
+      const numStr = String(ni).padStart(2, '0');
+      const dA = numStr[0], dB = numStr[1];
+      const ns = numStats[numStr];
+      const acalib  = digitMeta[dA].isCalib, bcalib = digitMeta[dB].isCalib;
+      const reliab  = Math.min(1, ns.freq / 8);
+      allNums.push({
+        num: numStr, a: dA, b: dB, pM: numProbs[numStr],
+        aCalib: acalib, bCalib: bcalib, aElev: digitMeta[dA].isElev, bElev: digitMeta[dB].isElev,
+        aProb: digitProb[dA], bProb: digitProb[dB],
+        aOvR: digitMeta[dA].ovRatioRaw, bOvR: digitMeta[dB].ovRatioRaw,
+        odBonus: ns.freq >= 3 ? Math.max(0, ns.overdueFrac) * reliab : 0,
+        calibBonus: (acalib || bcalib) ? 1 : 0,
+        digitHotA: digitHot[dA], digitHotB: digitHot[dB],
+        freq: ns.freq, recentF: ns.recentF, avgGap: ns.avgGap, since: ns.since,
+        overdueFrac: ns.overdueFrac, hotScore: ns.hotScore,
+        overallRate: ns.overallRate, lastDate: ns.lastDate,
+        rawScore: 0, composite: 0, signalCount: 0, tier: 'C',
+      });
+    }
+
+    const ranked = scoreComposite(allNums);
+    const numMap = {};
+    ranked.forEach((e, i) => { e.rank = i + 1; numMap[e.num] = e; });
+
+    const pairArr = [];
+    DIGITS.forEach((da, pi) => DIGITS.slice(pi).forEach(db => {
+      const abKey = da + db, baKey = db + da;
+      const entAB = numMap[abKey], entBA = da !== db ? numMap[baKey] : null;
+      const pPair = da === db ? numProbs[abKey] : (numProbs[abKey] + numProbs[baKey]);
+      const comb  = entBA ? Math.round((entAB.composite + entBA.composite) / 2) : entAB.composite;
+      pairArr.push({ da, db, pPair, comb, entAB, entBA, anyCalib: (entAB.aCalib || entAB.bCalib) });
+    }));
+    pairArr.sort((x, y) => y.comb - x.comb);
+
+    const top30 = ranked.slice(0, 30);
+    const rankedDigits = DIGITS.map(d => {
+      const m = digitMeta[d];
+      return {
+        d, prob: m.prob, vsBase: m.vsBase, baseFreq: m.baseFreq,
+        avgGap: m.avgGap, since: m.since, ovRatioRaw: m.ovRatioRaw,
+        isCalib: m.isCalib, isElev: m.isElev, hotScore: digitHot[d],
+        inTop30: top30.filter(e => e.a === d || e.b === d).length,
+      };
+    });
+    rankedDigits.sort((x, y) => y.prob - x.prob);
+
+    return { ranked, pairArr, rankedDigits, numMap, digitMeta, N: totalN };
+  }
+
+  /**
+   * Running count, first and last index of each of 00–99: enough for the
+   * freq and overdueFrac of computeNumStats, updated in O(1) per draw.
+   */
+  function createNumState() {
+    const freq = {}, first = {}, last = {};
+    let n = 0;
+    function push(twoNum) {
+      if (!(twoNum in freq)) { freq[twoNum] = 0; first[twoNum] = n; }
+      freq[twoNum]++;
+      last[twoNum] = n++;
+    }
+    function stats(numStr) {
+      const f = freq[numStr] || 0;
+      let overdueFrac = 0;
+      if (f >= 2) {
+        const avgGap = (last[numStr] - first[numStr]) / (f - 1);
+        overdueFrac  = Math.max(-2, Math.min(3, (n - 1 - last[numStr] - avgGap) / Math.max(1, avgGap)));
+      }
+      return { freq: f, overdueFrac };
+    }
+    return { push, stats, get n() { return n; } };
+  }
+
+  /** Lean composite ranking for one walk-forward step (no pairs or digit table). */
+  function computeRankedBT(drawSlice, W, weights) {
+    if (drawSlice.length < MIN_HIST) return null;
+    const digits = createDigitState(W), nums = createNumState();
+    drawSlice.forEach(({ twoNum }) => { digits.push([twoNum[0], twoNum[1]]); nums.push(twoNum); });
+    return rankedFrom(digits, nums, weights);
+  }
+
+  function rankedFrom(digits, nums, weights) {
+    const { digitMeta, numProbs } = twoModel(digits, weights);
+    const allNums = [];
+    for (let ni = 0; ni <= 99; ni++) {
+      const numStr = String(ni).padStart(2, '0');
+      const dA = numStr[0], dB = numStr[1];
+      const { freq, overdueFrac } = nums.stats(numStr);
+      const reliab = Math.min(1, freq / 8);
+      const acalib = digitMeta[dA].isCalib, bcalib = digitMeta[dB].isCalib;
+      allNums.push({
+        num: numStr, pM: numProbs[numStr],
+        aCalib: acalib, bCalib: bcalib,
+        aElev: digitMeta[dA].isElev, bElev: digitMeta[dB].isElev,
+        odBonus: freq >= 3 ? Math.max(0, overdueFrac) * reliab : 0,
+        calibBonus: (acalib || bcalib) ? 1 : 0, freq,
+      });
+    }
+    return scoreComposite(allNums);
+  }
+
+  /**
+   * Walk-forward backtest of the Scout ranking over draws[MIN_HIST, end):
+   * where the actual number (or its mirror) ranked and whether it was in the topN.
+   * Digit and number states advance one draw at a time.
+   */
+  function runScoutBacktest(draws, { recW = REC_WIN, topN = 15, end = draws.length, weights } = {}) {
+    const out = [];
+    const digits = createDigitState(recW), nums = createNumState();
+    const push = i => { const { twoNum } = draws[i]; digits.push([twoNum[0], twoNum[1]]); nums.push(twoNum); };
+    for (let i = 0; i < Math.min(MIN_HIST, end, draws.length); i++) push(i);
+    for (let i = MIN_HIST; i < Math.min(end, draws.length); push(i), i++) {
+      const ranked = rankedFrom(digits, nums, weights);
+
+      const actual = draws[i].twoNum, mirAct = mirror(actual);
+      const r = ranked.findIndex(e => e.num === actual || e.num === mirAct);
+      const actualRank  = r >= 0 ? r + 1 : -1;
+      const topPicks    = ranked.slice(0, topN);
+
+      out.push({
+        i, dateStr: draws[i].dateStr, actual,
+        actualRank,
+        actualTier:  r >= 0 ? ranked[r].tier : 'C',
+        actualScore: r >= 0 ? ranked[r].composite : 0,
+        topHit:  actualRank > 0 && actualRank <= topN,
+        top1:    ranked[0],
+        tierANums: topPicks.filter(e => e.tier === 'A').map(e => e.num),
+        topPicks,
+        baseline: mirrorCoverage(topPicks.map(e => e.num)),
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Summary of runScoutBacktest rows: topN hit rate with z-score, average rank
+   * and tier counts. The composite is not mirror-symmetric, so its top list
+   * covers more than topN numbers and the baseline is its mirrorCoverage.
+   */
+  function scoutBacktestStats(bt, topN) {
+    const tierCnt = { A: 0, B: 0, C: 0 }, tierHit = { A: 0, B: 0, C: 0 };
+    let hits = 0, sumRank = 0, rankCount = 0;
+    bt.forEach(r => {
+      if (r.topHit) { hits++; tierHit[r.actualTier]++; }
+      if (r.actualRank > 0) { sumRank += r.actualRank; rankCount++; }
+      tierCnt[r.actualTier]++;
+    });
+    return {
+      ...hitRateZ(hits, bt.length, rowBaseline(bt, topN)),
+      avgRank: rankCount > 0 ? sumRank / rankCount : null,
+      tierCnt, tierHit,
+    };
+  }
+
+  // ── Weight grid search ──────────────────────────────────────────────────
+  // wRec and wOv step through 0..1 in tenths and wBase takes the rest, so every
+  // cell is a split of 100%. Each split is tried with every recW × ovCap.
+  const TUNE_GRID = { steps: 10, recW: [10, 15, 20], ovCap: [1.5, 2, 3] };
+
+  /**
+   * Walk-forward backtest of every TUNE_GRID combination on `series` (TwoDraw[]
+   * for TWO, else targetDraws(…, target)). Returns all combinations, most hits
+   * first, plus the best one; onProgress(done, total) runs after each backtest.
+   * The best cell is picked on the same draws it is scored on, so its hit rate
+   * is optimistic — splitEvaluation and rollingOrigin score the choice on
+   * later draws instead, using each result's per-row `hits` (1/0, aligned
+   * with `dates`). For TWO each result also keeps its rows' mirrorCoverage
+   * baselines (`baselines`), so every combination and block is scored
+   * against its own lists, as the Backtest card does; `baseline` is the
+   * combination's mean, and the search's is the best one's.
+   */
+  function gridSearch(series, { target = 'TWO', topN = 15, grid = TUNE_GRID, onProgress } = {}) {
+    const { steps } = grid;
+    const fixed = target === 'TWO' ? null : targetBaseline(target, topN);
+    const combos = [];
+    for (let r = 0; r <= steps; r++) {
+      for (let o = 0; r + o <= steps; o++) {
+        grid.recW.forEach(recW => grid.ovCap.forEach(ovCap => {
+          combos.push({ recW, weights: { wRec: r / steps, wOv: o / steps, wBase: (steps - r - o) / steps, ovCap } });
+        }));
+      }
+    }
+
+    let dates = [];
+    const results = combos.map((c, k) => {
+      const bt = target === 'TWO'
+        ? runBacktest(series, { recW: c.recW, topN, weights: c.weights })
+        : runTargetBacktest(series, { recW: c.recW, topN, digits: TARGETS[target].digits, weights: c.weights });
+      const { n, hitRate, z, baseline } = fixed === null ? backtestStats(bt, topN) : backtestStats(bt, topN, fixed);
+      if (k === 0) dates = bt.map(r => r.dateStr);
+      if (onProgress) onProgress(k + 1, combos.length);
+      return { ...c, n, hitRate, z, baseline, hits: bt.map(r => r.hit ? 1 : 0), ...(fixed === null && { baselines: bt.map(r => r.baseline) }) };
+    });
+    results.sort((a, b) => b.hitRate - a.hitRate);
+    return { results, best: results[0], baseline: results.length ? results[0].baseline : fixed, target, topN, dates };
+  }
+
+  // ── Permutation test ────────────────────────────────────────────────────
+  /** Small seeded PRNG (mulberry32) so a permutation test can be repeated exactly. */
+  function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /** Fisher–Yates shuffle of `arr` in place, driven by `rand` (e.g. seededRandom). */
+  function shuffle(arr, rand) {
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  }
+
+  /**
+   * Re-runs the walk-forward backtest on `shuffles` random orderings of
+   * `series`. If the model only wins by luck, shuffled histories do as well
+   * as the real one; p = (shuffles scoring ≥ observed + 1) / (shuffles + 1).
+   */
+  function permutationTest(series, { target = 'TWO', topN = 15, recW = REC_WIN, weights, shuffles = 200, seed = 1, onProgress } = {}) {
+    const hitsOf = s => (target === 'TWO'
+      ? runBacktest(s, { recW, topN, weights })
+      : runTargetBacktest(s, { recW, topN, weights, digits: TARGETS[target].digits })).filter(r => r.hit).length;
+    const observed = hitsOf(series);
+    const rand = seededRandom(seed);
+    const nullHits = [];
+    for (let k = 0; k < shuffles; k++) {
+      nullHits.push(hitsOf(shuffle(series.slice(), rand)));
+      if (onProgress) onProgress(k + 1, shuffles);
+    }
+    const exceed = nullHits.filter(h => h >= observed).length;
+    return { observed, n: Math.max(0, series.length - MIN_HIST), shuffles, exceed, p: (exceed + 1) / (shuffles + 1),
+             nullMean: nullHits.reduce((a, b) => a + b, 0) / shuffles };
+  }
+
+  // ── Out-of-sample evaluation of the weight choice ───────────────────────
+  const sameParams = (a, b) => a.recW === b.recW &&
+    ['wRec', 'wOv', 'wBase', 'ovCap'].every(k => Math.abs(a.weights[k] - b.weights[k]) < 1e-9);
+
+  /** Hits of one gridSearch result over rows [lo, hi). */
+  function countHits(result, lo, hi) {
+    let hits = 0;
+    for (let i = lo; i < hi; i++) hits += result.hits[i];
+    return hits;
+  }
+
+  /** Mean baseline of one gridSearch result over rows [lo, hi). */
+  function blockBaseline(result, lo, hi) {
+    if (!result.baselines) return result.baseline;
+    let sum = 0;
+    for (let i = lo; i < hi; i++) sum += result.baselines[i];
+    return sum / (hi - lo);
+  }
+
+  const blockStats = (result, lo, hi) => hitRateZ(countHits(result, lo, hi), hi - lo, blockBaseline(result, lo, hi));
+
+  /** The results with the most hits over rows [lo, hi), best first (ties keep gridSearch order). */
+  function rankOn(results, lo, hi) {
+    return results
+      .map(r => ({ r, hits: countHits(r, lo, hi) }))
+      .sort((a, b) => b.hits - a.hits)
+      .map(x => x.r);
+  }
+
+  /**
+   * Train / validation / test split of a gridSearch result by date. The
+   * shortlist best combinations on the train rows (before trainEnd) go to the
+   * validation rows (before validEnd), which pick one; the test rows after
+   * that are scored once and never used for a choice. `inSample` is the usual
+   * best-on-everything pick, `defaults` the published weights (null when off
+   * the grid). Null when a block has no rows.
+   */
+  function splitEvaluation(search, { trainEnd, validEnd, shortlist = 10 }) {
+    const { results, dates, baseline } = search;
+    const a = dates.findIndex(d => d >= trainEnd), b = dates.findIndex(d => d >= validEnd);
+    if (a <= 0 || b <= a) return null;
+    const blocks = { train: [0, a], valid: [a, b], test: [b, dates.length] };
+    const describe = (combo) => combo ? {
+      recW: combo.recW, weights: combo.weights,
+      ...Object.fromEntries(Object.entries(blocks).map(([k, [lo, hi]]) => [k, blockStats(combo, lo, hi)])),
+      all: blockStats(combo, 0, dates.length),
+    } : null;
+
+    const candidates = rankOn(results, 0, a).slice(0, shortlist);
+    const chosen = rankOn(candidates, a, b)[0];
+    const defaults = results.find(r => sameParams(r, { recW: REC_WIN, weights: DEFAULT_WEIGHTS }));
+    return {
+      blocks: Object.fromEntries(Object.entries(blocks).map(([k, [lo, hi]]) => [k, { from: dates[lo], to: dates[hi - 1], n: hi - lo }])),
+      baseline,
+      chosen: describe(chosen),
+      inSample: describe(search.best),
+      defaults: describe(defaults),
+    };
+  }
+
+  /**
+   * Rolling-origin cross-validation: the rows are cut into folds + 1 equal
+   * blocks; fold k picks the best combination on blocks 0..k (expanding
+   * window) and scores it on block k + 1. `outSample` pools those held-out
+   * rows; `inSampleRate` is the same picks' hit rate on their own training
+   * rows (which overlap between folds, hence no z).
+   */
+  function rollingOrigin(search, { folds = 5 } = {}) {
+    const { results, dates, baseline } = search;
+    const size = Math.floor(dates.length / (folds + 1));
+    if (size < 1) return null;
+    const out = [];
+    let inHits = 0, inN = 0, outHits = 0, outN = 0, outBase = 0;
+    for (let k = 1; k <= folds; k++) {
+      const trainHi = k * size, hi = k === folds ? dates.length : trainHi + size;
+      const pick = rankOn(results, 0, trainHi)[0];
+      inHits  += countHits(pick, 0, trainHi);  inN  += trainHi;
+      outHits += countHits(pick, trainHi, hi); outN += hi - trainHi;
+      outBase += blockBaseline(pick, trainHi, hi) * (hi - trainHi);
+      out.push({ fold: k, trainTo: dates[trainHi - 1], from: dates[trainHi], to: dates[hi - 1],
+                 recW: pick.recW, weights: pick.weights,
+                 inSample: blockStats(pick, 0, trainHi), outSample: blockStats(pick, trainHi, hi) });
+    }
+    return { folds: out, baseline, inSampleRate: inHits / inN, outSample: hitRateZ(outHits, outN, outBase / outN) };
+  }
+
+  // ── Model registry ──────────────────────────────────────────────────────
+  // A registered model ranks the TWO numbers: fit(draws) learns from the draws
+  // so far (TwoDraw[], oldest first) and rank() lists all 100 numbers, most
+  // likely first. An optional push(draw) adds one more draw so a walk-forward
+  // backtest need not refit. Register experiments at the end of this section:
+  // the pages, modelWorker.js and the CLI then all pick them up.
+
+  /**
+   * @typedef {Object} RankModel
+   * @property {function(TwoDraw[]):void} fit
+   * @property {function():string[]}     rank
+   * @property {function(TwoDraw):void}  [push]
+   */
+  const ALL_NUMS = Array.from({ length: 100 }, (_, i) => String(i).padStart(2, '0'));
+  const MODELS   = new Map();
+
+  /**
+   * Add a model. `create(opts)` returns a fresh RankModel; opts holds the
+   * caller's recW, weights and seed, which a model may ignore.
+   */
+  function registerModel(id, { label, description, create }) {
+    if (MODELS.has(id)) throw new Error(`Model "${id}" is already registered`);
+    MODELS.set(id, { id, label, description, create });
+  }
+
+  /** [{id, label, description}] of every registered model, in registration order. */
+  function listModels() {
+    return [...MODELS.values()].map(({ id, label, description }) => ({ id, label, description }));
+  }
+
+  function createModel(id, opts = {}) {
+    const entry = MODELS.get(id);
+    if (!entry) throw new Error(`Unknown model "${id}"`);
+    return entry.create(opts);
+  }
+
+  // For models built on push(): fit starts afresh and replays the history
+  function pushModel(reset, push, rank) {
+    return { fit: draws => { reset(); draws.forEach(push); }, push, rank };
+  }
+
+  // Stable sort of 00–99 by descending score, so ties stay in numeric order
+  const byScore = score => ALL_NUMS.slice().sort((a, b) => score(b) - score(a));
+
+  /**
+   * Walk-forward backtest of a registered model over draws[MIN_HIST, end):
+   * where the actual number (or its mirror) ranked and whether it made the
+   * topN. Each row's baseline is the mirrorCoverage of its top list.
+   */
+  function runModelBacktest(draws, id, { topN = 15, end = draws.length, ...opts } = {}) {
+    const model = createModel(id, opts), out = [];
+    model.fit(draws.slice(0, MIN_HIST));
+    for (let i = MIN_HIST; i < Math.min(end, draws.length); i++) {
+      const ranked = model.rank(), actual = draws[i].twoNum, mirAct = mirror(actual);
+      const r = ranked.findIndex(n => n === actual || n === mirAct);
+      const topPicks = ranked.slice(0, topN);
+      out.push({ i, dateStr: draws[i].dateStr, actual, actualRank: r + 1, hit: r >= 0 && r < topN,
+                 baseline: mirrorCoverage(topPicks), topPicks });
+      if (model.push) model.push(draws[i]);
+      else model.fit(draws.slice(0, i + 1));
+    }
+    return out;
+  }
+
+  /** Summary of runModelBacktest rows: hit rate against the mean baseline, and average rank. */
+  function modelBacktestStats(bt, topN) {
+    return {
+      ...hitRateZ(bt.filter(r => r.hit).length, bt.length, rowBaseline(bt, topN)),
+      avgRank: bt.length ? bt.reduce((s, r) => s + r.actualRank, 0) / bt.length : null,
+    };
+  }
+
+  /**
+   * Backtest every registered model (or just `ids`) on the same draws. Each
+   * entry has its stats and a Holm-adjusted p over all the models compared;
+   * onProgress(done, total) runs after each model.
+   */
+  function compareModels(draws, { ids = [...MODELS.keys()], topN = 15, onProgress, ...opts } = {}) {
+    const out = ids.map((id, k) => {
+      const stats = modelBacktestStats(runModelBacktest(draws, id, { topN, ...opts }), topN);
+      if (onProgress) onProgress(k + 1, ids.length);
+      const { label, description } = MODELS.get(id);
+      return { id, label, description, stats };
+    });
+    if (out.length && out[0].stats.n) holm(out.map(m => m.stats.p)).forEach((p, k) => { out[k].holmP = p; });
+    return out;
+  }
+
+  registerModel('uniform', {
+    label: 'Uniform random',
+    description: 'A fresh random order every draw: what chance alone scores',
+    create: ({ seed = 1 } = {}) => {
+      const rand = seededRandom(seed);
+      return { fit: () => {}, push: () => {}, rank: () => shuffle(ALL_NUMS.slice(), rand) };
+    },
+  });
+
+  registerModel('frequency', {
+    label: 'Pure frequency',
+    description: 'Most often drawn over the whole history first',
+    create: () => {
+      let cnt;
+      return pushModel(() => { cnt = Object.fromEntries(ALL_NUMS.map(n => [n, 0])); },
+        d => { cnt[d.twoNum]++; },
+        () => byScore(n => cnt[n]));
+    },
+  });
+
+  registerModel('recency', {
+    label: 'Pure recency',
+    description: 'Most often drawn in the last W draws first, latest breaking ties',
+    create: ({ recW = REC_WIN } = {}) => {
+      let seen, cnt, last;
+      return pushModel(() => { seen = []; cnt = Object.fromEntries(ALL_NUMS.map(n => [n, 0])); last = {}; },
+        d => {
+          seen.push(d.twoNum);
+          cnt[d.twoNum]++;
+          last[d.twoNum] = seen.length;
+          if (seen.length > recW) cnt[seen[seen.length - 1 - recW]]--;
+        },
+        () => byScore(n => cnt[n] * 1e6 + (last[n] || 0)));
+    },
+  });
+
+  registerModel('notLast', {
+    label: 'Never repeat last',
+    description: 'Random order, but the last number drawn and its mirror go to the bottom',
+    create: ({ seed = 1 } = {}) => {
+      const rand = seededRandom(seed);
+      let avoid = [];
+      return pushModel(() => { avoid = []; },
+        d => { avoid = [d.twoNum, mirror(d.twoNum)]; },
+        () => {
+          const order = shuffle(ALL_NUMS.slice(), rand);
+          return order.filter(n => !avoid.includes(n)).concat(order.filter(n => avoid.includes(n)));
+        });
+    },
+  });
+
+  registerModel('markov', {
+    label: 'Markov on last digit',
+    description: 'Digits that followed the previous units digit most often (add-one smoothed)',
+    create: () => {
+      let trans, prev;
+      return pushModel(() => { trans = DIGITS.map(() => DIGITS.map(() => 1)); prev = null; },
+        d => {
+          if (prev !== null) { trans[prev][+d.twoNum[0]]++; trans[prev][+d.twoNum[1]]++; }
+          prev = +d.twoNum[1];
+        },
+        () => {
+          const row = prev === null ? DIGITS.map(() => 1) : trans[prev];
+          return byScore(n => row[+n[0]] * row[+n[1]]);
+        });
+    },
+  });
+
+  registerModel('predict', {
+    label: 'Digit model (Predictions)',
+    description: 'Recency, overdue and base-rate digit scores; pair probability = product',
+    create: ({ recW = REC_WIN, weights } = {}) => {
+      let state;
+      return pushModel(() => { state = createDigitState(recW); },
+        d => state.push([d.twoNum[0], d.twoNum[1]]),
+        () => topNumbers(twoModel(state, weights).numProbs, 100));
+    },
+  });
+
+  registerModel('scout', {
+    label: 'Composite (Scout)',
+    description: 'Digit model plus per-number overdue and calibrated-zone bonuses',
+    create: ({ recW = REC_WIN, weights } = {}) => {
+      let digits, nums;
+      return pushModel(() => { digits = createDigitState(recW); nums = createNumState(); },
+        d => { digits.push([d.twoNum[0], d.twoNum[1]]); nums.push(d.twoNum); },
+        () => rankedFrom(digits, nums, weights).map(e => e.num));
+    },
+  });
+
+  // ── Ticket checker ──────────────────────────────────────────────────────
+  /** The part of a six-digit ticket each prize's numbers are compared with. */
+  const TICKET_MATCH = {
+    FIRST: t => t, SECOND: t => t, THIRD: t => t, FOURTH: t => t, FIFTH: t => t, NEAR_FIRST: t => t,
+    THREE_FIRST: t => t.slice(0, 3),
+    THREE_LAST: t => t.slice(-3), THREE_LEGACY: t => t.slice(-3),
+    TWO: t => t.slice(-2),
+  };
+
+  /**
+   * What each six-digit ticket would have won in every draw, under the real
+   * rules: an exact match for FIRST–FIFTH and NEAR_FIRST, the first three
+   * digits for Three Front, the last three for Three Back (and the pre-2015
+   * last-three), the last two for Two Digit. A ticket collects every prize it
+   * matches, once per matching number, so a draw whose two Three Back numbers
+   * are equal pays it twice. Amounts are those in force at each draw
+   * (LottoData.payoutsFor) unless one `payouts` table is given for all of them.
+   * @param {Array<{dateStr:string, results:Object}>} draws  Oldest first
+   * @param {string[]} tickets  Six-digit strings
+   * @returns {{tickets:string[], draws:number, cost:number, total:number, net:number,
+   *   byPrize:Object<string,{count:number, amount:number}>, byTicket:Object<string,{count:number, amount:number, draws:number}>,
+   *   hits:Array<{dateStr:string, ticket:string, prize:string, number:string, amount:number}>}}
+   *   hits oldest first; draws counts the draws checked, cost what buying
+   *   every ticket in each of them would have cost
+   */
+  function checkTickets(draws, tickets, { payouts, price = TICKET_PRICE } = {}) {
+    const hits = [];
+    const byPrize  = {};
+    const byTicket = Object.fromEntries(tickets.map(t => [t, { count: 0, amount: 0, draws: 0 }]));
+    draws.forEach(({ dateStr, results }) => {
+      const pays = payouts || payoutsFor(dateStr);
+      tickets.forEach(ticket => {
+        let won = false;
+        PRIZE_LIST.forEach(prize => {
+          const part = TICKET_MATCH[prize](ticket);
+          (results[prize] || []).forEach(number => {
+            if (number !== part) return;
+            const amount = pays[prize] || 0;
+            hits.push({ dateStr, ticket, prize, number, amount });
+            byPrize[prize] = byPrize[prize] || { count: 0, amount: 0 };
+            byPrize[prize].count++;
+            byPrize[prize].amount += amount;
+            byTicket[ticket].count++;
+            byTicket[ticket].amount += amount;
+            won = true;
+          });
+        });
+        if (won) byTicket[ticket].draws++;
+      });
+    });
+    const total = hits.reduce((s, h) => s + h.amount, 0);
+    const cost  = draws.length * tickets.length * price;
+    return { tickets, draws: draws.length, cost, total, net: total - cost, byPrize, byTicket, hits };
+  }
+
+  // ── Ticket ledger ───────────────────────────────────────────────────────
+  // The "My Tickets" records themselves live in LottoData's TICKETS_STORE.
+  const LEDGER_VERSION = 1;
+
+  /**
+   * What a ledger ticket won in `draw` (a LottoData.TicketResult), at the
+   * payouts of that draw.
+   * @param {{number:string}} ticket
+   * @param {{dateStr:string, results:Object}} draw
+   */
+  function settleTicket(ticket, draw) {
+    const { total, hits } = checkTickets([draw], [ticket.number], { price: 0 });
+    return { drawDate: draw.dateStr, amount: total, prizes: hits.map(({ prize, number, amount }) => ({ prize, number, amount })) };
+  }
+
+  /**
+   * Spending and winnings of ledger tickets per month and per year, oldest
+   * first, each with the running net to date. Tickets still waiting for
+   * their draw count as spent and pending.
+   * @param {Array<{dateStr:string, price:number, result?:{amount:number}}>} tickets
+   * @returns {{months:LedgerRow[], years:LedgerRow[], total:LedgerRow}}
+   *   LedgerRow = {key, tickets, pending, wins, spent, won, net, running}
+   */
+  function ledgerSummary(tickets) {
+    const blank = key => ({ key, tickets: 0, pending: 0, wins: 0, spent: 0, won: 0, net: 0, running: 0 });
+    const months = new Map(), years = new Map(), total = blank('total');
+    tickets.slice().sort((a, b) => a.dateStr.localeCompare(b.dateStr)).forEach(t => {
+      const m = t.dateStr.slice(0, 7), y = t.dateStr.slice(0, 4);
+      if (!months.has(m)) months.set(m, blank(m));
+      if (!years.has(y)) years.set(y, blank(y));
+      [months.get(m), years.get(y), total].forEach(row => {
+        row.tickets++;
+        row.spent += t.price;
+        if (!t.result) row.pending++;
+        else if (t.result.amount > 0) { row.wins++; row.won += t.result.amount; }
+        row.net = row.won - row.spent;
+      });
+    });
+    const running = rows => { let cum = 0; return rows.map(r => { cum += r.net; r.running = cum; return r; }); };
+    total.running = total.net;
+    return { months: running([...months.values()]), years: running([...years.values()]), total };
+  }
+
+  /** The ledger as a JSON string for moving it to another browser (results are re-checked on import). */
+  function exportLedger(tickets) {
+    return JSON.stringify({
+      kind: 'thai-lotto-tickets', version: LEDGER_VERSION, exportedAt: new Date().toISOString(),
+      tickets: tickets.map(({ number, dateStr, price }) => ({ number, dateStr, price })),
+    }, null, 2);
+  }
+
+  /**
+   * Tickets from exportLedger's output (or a bare array of tickets).
+   * Throws an Error naming the first invalid entry.
+   * @param {string} text
+   * @returns {Array<{number:string, dateStr:string, price:number}>}
+   */
+  function parseLedger(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('Not a JSON file');
+    }
+    const list = Array.isArray(data) ? data : data && data.kind === 'thai-lotto-tickets' ? data.tickets : null;
+    if (!Array.isArray(list)) throw new Error('Not a ticket ledger export');
+    if (!Array.isArray(data) && data.version > LEDGER_VERSION) throw new Error(`Ledger version ${data.version} is newer than this app`);
+    return list.map((t, i) => {
+      const where = `Ticket ${i + 1}`;
+      if (!t || !/^\d{6}$/.test(String(t.number))) throw new Error(`${where}: the number must be six digits`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(t.dateStr))) throw new Error(`${where}: the draw date must be YYYY-MM-DD`);
+      const price = Number(t.price);
+      if (!(price >= 0)) throw new Error(`${where}: the price must be a number of baht`);
+      return { number: String(t.number), dateStr: t.dateStr, price };
+    });
+  }
+
+  // ── Expected value ──────────────────────────────────────────────────────
+  /**
+   * What one ticket returns on average under fair draws: each prize pays
+   * count × payout × the chance a random ticket matches one of its numbers.
+   * @param {Object<string,number>} [payouts=PRIZE_PAYOUTS]  e.g. LottoData.payoutsFor(dateStr)
+   * @returns {{price:number, perTicket:number, returnRate:number, byPrize:Object<string,number>}}
+   */
+  function expectedValue(payouts = PRIZE_PAYOUTS, price = TICKET_PRICE) {
+    const byPrize = {};
+    Object.keys(payouts).forEach(prize => {
+      byPrize[prize] = PRIZE_COUNTS[prize] * payouts[prize] * Math.pow(10, -PRIZE_DIGITS[prize]);
+    });
+    const perTicket = Object.values(byPrize).reduce((s, v) => s + v, 0);
+    return { price, perTicket, returnRate: perTicket / price, byPrize };
+  }
+
+  /**
+   * Cost and expected return of buying one ticket for each pick of a target
+   * (the pick as the ticket's last two digits for TWO, its first or last three
+   * for Three Front/Back, the end of the number for the First prize suffixes).
+   * Every ticket returns perTicket if the draw is fair; with the model's
+   * numProbs, modelReturn is what it returns if the model were right, since a
+   * pick's prize pays in proportion to its probability and the rest of the
+   * ticket is unaffected.
+   * @param {string[]} picks
+   * @param {string}   target  'TWO' or a TARGETS key
+   * @param {Object}   [opts]
+   * @param {Object<string,number>} [opts.numProbs]  Model probability of each number, for modelReturn
+   * @returns {{target:string, prize:string, tickets:number, cost:number, perTicket:number,
+   *   fairReturn:number, fairNet:number, modelReturn?:number, modelNet?:number}}
+   */
+  function strategyValue(picks, target, { numProbs, payouts = PRIZE_PAYOUTS, price = TICKET_PRICE } = {}) {
+    const prize  = target === 'TWO' ? 'TWO' : TARGETS[target].prize;
+    const digits = target === 'TWO' ? 2 : TARGETS[target].digits;
+    const { perTicket } = expectedValue(payouts, price);
+    const cost = picks.length * price;
+    const fairReturn = picks.length * perTicket;
+    const out = { target, prize, tickets: picks.length, cost, perTicket, fairReturn, fairNet: fairReturn - cost };
+    if (numProbs) {
+      // The pick fixes `digits` of the prize number; the rest must still match
+      const perMatch = PRIZE_COUNTS[prize] * (payouts[prize] || 0) * Math.pow(10, digits - PRIZE_DIGITS[prize]);
+      const uniform  = Math.pow(10, -digits);
+      out.modelReturn = fairReturn + picks.reduce((s, n) => s + ((numProbs[n] || 0) - uniform) * perMatch, 0);
+      out.modelNet    = out.modelReturn - cost;
+    }
+    return out;
+  }
+
+  // ── Bankroll simulation ─────────────────────────────────────────────────
+  const BANKROLL_QUANTILES = [0.05, 0.25, 0.5, 0.75, 0.95];
+
+  /**
+   * Replay a registered model's walk-forward picks as Two Digit bets: every
+   * draw, `stake` on each of the top-N numbers (and their mirrors), each
+   * winning ticket paying stake × the TWO payout multiplier in force that day
+   * (2,000 baht per 80, i.e. 25×). Draws are then resampled with replacement
+   * `sims` times to show how much the final result owes to luck.
+   * @param {Array<{dateStr:string, twoNum:string}>} draws  Oldest first
+   * @param {string} id  Key of the model registry
+   * @param {Object} [opts]  Also passed to runModelBacktest (recW, weights…)
+   * @returns {{model:string, topN:number, mirrors:boolean, stake:number, draws:number, hits:number,
+   *   staked:number, returned:number, net:number, roi:number,
+   *   rows:Array<{dateStr:string, actual:string, tickets:number, won:number, pnl:number, cum:number}>,
+   *   maxDrawdown:{amount:number, from:string|null, to:string|null},
+   *   longestLosingStreak:{length:number, from:string|null, to:string|null},
+   *   bootstrap:{sims:number, finals:number[], mean:number, quantiles:number[], pLoss:number}}|null}
+   *   Null without any tested draw. Only the Two Digit prize is counted, not the
+   *   rest of a real ticket. A drawdown `from` of null is the start; finals
+   *   sorted ascending, quantiles at BANKROLL_QUANTILES.
+   */
+  function simulateBankroll(draws, id, { topN = 15, mirrors = true, stake = TICKET_PRICE, sims = 1000, seed = 1, onProgress, ...opts } = {}) {
+    const bt = runModelBacktest(draws, id, { topN, ...opts });
+    if (!bt.length) return null;
+
+    let cum = 0, peak = 0, peakAt = null, hits = 0, staked = 0;
+    const maxDrawdown = { amount: 0, from: null, to: null };
+    const longestLosingStreak = { length: 0, from: null, to: null };
+    let streak = 0, streakFrom = null;
+    const rows = bt.map(({ dateStr, actual, topPicks }) => {
+      const tickets  = mirrors ? new Set(topPicks.concat(topPicks.map(mirror))) : new Set(topPicks);
+      const multiple = payoutsFor(dateStr).TWO / TICKET_PRICE;
+      const won = tickets.has(actual) ? stake * multiple : 0;
+      const pnl = won - stake * tickets.size;
+      if (won) hits++;
+      staked += stake * tickets.size;
+      cum += pnl;
+      if (cum > peak) { peak = cum; peakAt = dateStr; }
+      if (peak - cum > maxDrawdown.amount) Object.assign(maxDrawdown, { amount: peak - cum, from: peakAt, to: dateStr });
+      if (pnl < 0) {
+        if (!streak++) streakFrom = dateStr;
+        if (streak > longestLosingStreak.length) Object.assign(longestLosingStreak, { length: streak, from: streakFrom, to: dateStr });
+      } else streak = 0;
+      return { dateStr, actual, tickets: tickets.size, won, pnl, cum };
+    });
+
+    const rand = seededRandom(seed), n = rows.length, finals = [];
+    for (let s = 0; s < sims; s++) {
+      let total = 0;
+      for (let k = 0; k < n; k++) total += rows[Math.floor(rand() * n)].pnl;
+      finals.push(total);
+      if (onProgress && (s + 1) % 100 === 0) onProgress(s + 1, sims);
+    }
+    finals.sort((a, b) => a - b);
+    const quantile = q => finals[Math.min(sims - 1, Math.floor(q * sims))];
+
+    return {
+      model: id, topN, mirrors, stake, draws: n, hits, staked, returned: staked + cum, net: cum, roi: cum / staked,
+      rows, maxDrawdown, longestLosingStreak,
+      bootstrap: {
+        sims, finals,
+        mean: sims ? finals.reduce((a, b) => a + b, 0) / sims : null,
+        quantiles: sims ? BANKROLL_QUANTILES.map(quantile) : [],
+        pLoss: sims ? finals.filter(f => f < 0).length / sims : null,
+      },
+    };
+  }
+
+  return {
+    DIGITS, W_REC, W_OV, W_BASE, OV_CAP, REC_WIN, MIN_HIST, CALIB_LO, CALIB_HI, DEFAULT_WEIGHTS,
+    mirror, twoDigitDraws,
+    computeInsights, NULL_RANKS, syntheticDraws, insightStatistics, simulateInsightsNull, nullPercentile,
+    chiSquareUpper, normalTwoSided, ksUpper, FAIRNESS_TESTS, fairnessTests, sourceRuns, changePoints,
+    computeModel, rankPairs, runBacktest, backtestStats,
+    binomUpper, binomCI, holm, probabilityStats, seededRandom, permutationTest,
+    TARGETS, targetDraws, targetBaseline, computeTargetModel, topNumbers, runTargetBacktest,
+    TUNE_GRID, gridSearch, splitEvaluation, rollingOrigin,
+    computeNumStats, computeComposite, computeRankedBT, runScoutBacktest, scoutBacktestStats,
+    registerModel, listModels, createModel, runModelBacktest, modelBacktestStats, compareModels,
+    TICKET_MATCH, checkTickets, settleTicket, ledgerSummary, exportLedger, parseLedger, expectedValue, strategyValue, BANKROLL_QUANTILES, simulateBankroll,
+  };
+});
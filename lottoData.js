@@ -0,0 +1,491 @@
+// Thai Lotto Analyzer — Shared data access  (lottoData.js)
+// The one place that knows where the draw cache lives and what shape it has.
+// Loaded with a plain <script> tag before each page script (exposes `LottoData`),
+// or with require() from Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.LottoData = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ── Schema ──────────────────────────────────────────────────────────────
+  const PRIZE_LIST = ['FIRST','SECOND','THIRD','FOURTH','FIFTH','TWO','THREE_FIRST','THREE_LAST','THREE_LEGACY','NEAR_FIRST'];
+  // Exact digit length each prize number must have
+  const PRIZE_DIGITS = {
+    FIRST:6, SECOND:6, THIRD:6, FOURTH:6, FIFTH:6,
+    TWO:2, THREE_FIRST:3, THREE_LAST:3, THREE_LEGACY:3, NEAR_FIRST:6,
+  };
+  // How many numbers a well-formed draw has for each prize
+  const PRIZE_COUNTS = {
+    FIRST:1, SECOND:5, THIRD:10, FOURTH:50, FIFTH:100,
+    TWO:1, THREE_FIRST:2, THREE_LAST:2, THREE_LEGACY:4, NEAR_FIRST:2,
+  };
+  // Baht paid per winning number on 80 baht of tickets (a 40-baht pair before
+  // single tickets), by the draw the amounts took effect, oldest first. Each
+  // entry lists only the prizes drawn while it applied: the September 2015
+  // reform replaced the four last-three numbers with Three Front and Three
+  // Back, and raised the First prize from 4 to 6 million.
+  const TICKET_PRICE    = 80;
+  const PAYOUT_SCHEDULE = [
+    { from: '2006-01-01', payouts: {
+      FIRST:4000000, SECOND:200000, THIRD:80000, FOURTH:40000, FIFTH:20000,
+      TWO:2000, THREE_LEGACY:4000, NEAR_FIRST:100000 } },
+    { from: '2015-09-01', payouts: {
+      FIRST:6000000, SECOND:200000, THIRD:80000, FOURTH:40000, FIFTH:20000,
+      TWO:2000, THREE_FIRST:4000, THREE_LAST:4000, NEAR_FIRST:100000 } },
+  ];
+  // Today's amounts
+  const PRIZE_PAYOUTS = PAYOUT_SCHEDULE[PAYOUT_SCHEDULE.length - 1].payouts;
+
+  /** The payouts in force for a draw on dateStr (the oldest entry for earlier dates). */
+  function payoutsFor(dateStr) {
+    let entry = PAYOUT_SCHEDULE[0];
+    PAYOUT_SCHEDULE.forEach(e => { if (e.from <= dateStr) entry = e; });
+    return entry.payouts;
+  }
+
+  // Bump DB_VERSION whenever a store or record changes shape, and handle the
+  // previous version in upgrade().
+  const DB_NAME     = 'thai-lotto-agg-db';
+  const DB_VERSION    = 5;
+  const DRAWS_STORE   = 'draws';        // DrawRecord, keyed by dateStr
+  const AGG_STORE     = 'aggregates';   // DrawAggregate, keyed by dateStr
+  const META_STORE    = 'meta';         // loose values, e.g. fetchedAt
+  const TICKETS_STORE = 'tickets';      // TicketRecord, auto-numbered id, indexed by dateStr
+  // Draws are sometimes moved a day or two (2024-01-17, 2023-12-30): a ticket
+  // is settled by the first draw up to this many days after its date
+  const TICKET_DRAW_SLACK = 4;
+
+  /**
+   * @typedef {Object} DrawRecord      One draw as stored in DRAWS_STORE
+   * @property {string} dateStr                        YYYY-MM-DD (key)
+   * @property {number} year                           indexed
+   * @property {number} drawDay                        day of month, indexed
+   * @property {string} [hash]                         content hash from lottonumbers/index.json, indexed
+   * @property {Object<string,string[]>} results       prize → numbers
+   * @property {Anomaly[]} [anomalies]                 validation problems found in the source file
+   * @property {string} [source]                       host the file was copied from, e.g. 'news.sanook.com'
+   *
+   * @typedef {Object} Anomaly         One problem found while validating a draw file
+   * @property {string} prize                          prize tag as written in the file
+   * @property {string} kind                           'unknown-tag' | 'duplicate' | 'format' | 'count' | 'missing' | 'near-first'
+   * @property {string} detail                         human-readable description
+   *
+   * @typedef {Object} DrawAggregate   Derived counts for one draw, in AGG_STORE
+   * @property {string} dateStr                        YYYY-MM-DD (key)
+   * @property {Object<string,Object<string,number>>} prizesAgg   prize → number → count
+   * @property {Object<string,Array<Object<string,number>>>} digitAgg  prize → position → digit → count
+   *
+   * @typedef {Object} Draw            What getDraws() returns
+   * @property {string} dateStr                        YYYY-MM-DD
+   * @property {Object<string,string[]>} results       prize → numbers (only prizes present in the draw)
+   * @property {Anomaly[]} [anomalies]                 only when validation found problems
+   * @property {string} [source]                       only when the file names its source
+   *
+   * @typedef {Object} TicketRecord    One ticket the user bought, in TICKETS_STORE
+   * @property {number} [id]                           auto-numbered key (absent before the first put)
+   * @property {string} number                         six digits
+   * @property {string} dateStr                        draw the ticket is for, YYYY-MM-DD, indexed
+   * @property {number} price                          baht paid
+   * @property {TicketResult} [result]                 set once its draw is in the cache
+   *
+   * @typedef {Object} TicketResult    What a ticket won, from LottoCore.settleTicket
+   * @property {string} drawDate                       the draw that settled it
+   * @property {number} amount                         baht won (0 for no prize)
+   * @property {{prize:string, number:string, amount:number}[]} prizes
+   */
+
+  /**
+   * @param {string} dateStr
+   * @param {Object<string,string[]>} results
+   * @param {string} [hash]
+   * @param {Anomaly[]} [anomalies]
+   * @param {string} [source]
+   * @returns {DrawRecord}
+   */
+  function makeDrawRecord(dateStr, results, hash, anomalies, source) {
+    const rec = { dateStr, year: +dateStr.slice(0, 4), drawDay: +dateStr.slice(8, 10), results };
+    if (hash) rec.hash = hash;
+    if (anomalies && anomalies.length) rec.anomalies = anomalies;
+    if (source) rec.source = source;
+    return rec;
+  }
+
+  // ── Legacy blob cache ───────────────────────────────────────────────────
+  // Until DB_VERSION 2 the whole cache was one object under perFileAggMap_v<N>
+  // in 'agg-store'. On upgrade the newest blob is run through `migrations` and,
+  // if it reaches v3, split into records (imported without hashes, so the loader
+  // re-parses and validates them). The perFileAggMap_v2 blob that visitors
+  // actually have cannot be migrated (see migrations[2]): it is discarded and
+  // the draws are fetched again. The store is deleted either way.
+  const LEGACY_STORE        = 'agg-store';
+  const LEGACY_BLOB_VERSION = 3;
+
+  // fromVersion → fn(blob) returning a blob for fromVersion + 1, or null to drop it.
+  const migrations = {
+    // v3 added THREE_LEGACY, which can only come from re-parsing the raw files
+    2: () => null,
+  };
+
+  /** Register a legacy blob migration from `fromVersion` to `fromVersion + 1`. */
+  function registerMigration(fromVersion, fn) {
+    migrations[fromVersion] = fn;
+  }
+
+  function migrate(blob, fromVersion) {
+    let v = fromVersion;
+    while (blob && v < LEGACY_BLOB_VERSION) {
+      const fn = migrations[v];
+      blob = fn ? fn(blob) : null;
+      v++;
+    }
+    return blob;
+  }
+
+  const splitNums = s => s ? s.split(',').map(x => x.trim()).filter(Boolean) : [];
+
+  // Runs inside the versionchange transaction; deletes the legacy store when done.
+  function importLegacy(db, tx) {
+    const req = tx.objectStore(LEGACY_STORE).openCursor();
+    let best = null;
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (cursor) {
+        const m = /^perFileAggMap_v(\d+)$/.exec(cursor.key);
+        if (m && (!best || +m[1] > best.version)) best = { version: +m[1], blob: cursor.value };
+        cursor.continue();
+        return;
+      }
+      const blob = best && migrate(best.blob, best.version);
+      if (blob && blob.data) {
+        const draws = tx.objectStore(DRAWS_STORE);
+        const aggs = tx.objectStore(AGG_STORE);
+        for (const [dateStr, agg] of Object.entries(blob.data)) {
+          const results = {};
+          for (const [p, s] of Object.entries(agg.results || {})) results[p] = splitNums(s);
+          draws.put(makeDrawRecord(dateStr, results));
+          aggs.put({ dateStr, prizesAgg: agg.prizesAgg, digitAgg: agg.digitAgg });
+        }
+        if (blob.fetchedAt) tx.objectStore(META_STORE).put(blob.fetchedAt, 'fetchedAt');
+      }
+      db.deleteObjectStore(LEGACY_STORE);
+    };
+  }
+
+  // ── IndexedDB ───────────────────────────────────────────────────────────
+  function upgrade(db, tx, oldVersion) {
+    // v3 records carry validation anomalies and v4 records their source host,
+    // which only a re-parse can produce; v5 only adds TICKETS_STORE
+    if (oldVersion === 2 || oldVersion === 3) {
+      tx.objectStore(DRAWS_STORE).clear();
+      tx.objectStore(AGG_STORE).clear();
+    }
+    if (!db.objectStoreNames.contains(DRAWS_STORE)) {
+      const draws = db.createObjectStore(DRAWS_STORE, { keyPath: 'dateStr' });
+      draws.createIndex('year', 'year');
+      draws.createIndex('drawDay', 'drawDay');
+      draws.createIndex('hash', 'hash');
+    }
+    if (!db.objectStoreNames.contains(AGG_STORE)) db.createObjectStore(AGG_STORE, { keyPath: 'dateStr' });
+    if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE);
+    if (!db.objectStoreNames.contains(TICKETS_STORE)) {
+      db.createObjectStore(TICKETS_STORE, { keyPath: 'id', autoIncrement: true }).createIndex('dateStr', 'dateStr');
+    }
+    if (db.objectStoreNames.contains(LEGACY_STORE)) importLegacy(db, tx);
+  }
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = (e) => upgrade(req.result, req.transaction, e.oldVersion);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => reject(req.error);
+      });
+      dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+  }
+
+  const reqP = req => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+
+  // Walk a cursor request, calling fn(cursor) for each entry
+  const walk = (req, fn) => new Promise((resolve, reject) => {
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve();
+      fn(cursor);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+
+  async function write(stores, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(stores, 'readwrite');
+      fn(tx);
+      tx.oncomplete = () => resolve();
+      tx.onabort = tx.onerror = () => reject(tx.error || new Error('abort'));
+    });
+  }
+
+  const keyRange = (from, to) =>
+    from || to ? IDBKeyRange.bound(from || '', to || '\uffff') : undefined;
+
+  // ── Writes ──────────────────────────────────────────────────────────────
+  /**
+   * Store parsed draws and their aggregates in one transaction, and stamp fetchedAt.
+   * @param {{draw: DrawRecord, aggregate: DrawAggregate}[]} entries
+   */
+  function putDraws(entries) {
+    if (!entries.length) return Promise.resolve();
+    return write([DRAWS_STORE, AGG_STORE, META_STORE], tx => {
+      const draws = tx.objectStore(DRAWS_STORE);
+      const aggs = tx.objectStore(AGG_STORE);
+      for (const { draw, aggregate } of entries) {
+        draws.put(draw);
+        aggs.put(aggregate);
+      }
+      tx.objectStore(META_STORE).put(Date.now(), 'fetchedAt');
+    });
+  }
+
+  /** Remove draws (and their aggregates) by date. */
+  function deleteDraws(dateStrs) {
+    if (!dateStrs.length) return Promise.resolve();
+    return write([DRAWS_STORE, AGG_STORE, META_STORE], tx => {
+      for (const d of dateStrs) {
+        tx.objectStore(DRAWS_STORE).delete(d);
+        tx.objectStore(AGG_STORE).delete(d);
+      }
+      tx.objectStore(META_STORE).put(Date.now(), 'fetchedAt');
+    });
+  }
+
+  // ── Ticket ledger ───────────────────────────────────────────────────────
+  const addDays = (dateStr, n) => {
+    const d = new Date(dateStr + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().slice(0, 10);
+  };
+
+  /**
+   * Add tickets, or replace those that carry an id.
+   * @param {TicketRecord[]} tickets
+   */
+  function putTickets(tickets) {
+    if (!tickets.length) return Promise.resolve();
+    return write([TICKETS_STORE], tx => {
+      const store = tx.objectStore(TICKETS_STORE);
+      tickets.forEach(t => store.put(t));
+    });
+  }
+
+  /** Remove tickets by id. */
+  function deleteTickets(ids) {
+    if (!ids.length) return Promise.resolve();
+    return write([TICKETS_STORE], tx => ids.forEach(id => tx.objectStore(TICKETS_STORE).delete(id)));
+  }
+
+  /**
+   * Every ticket in the ledger, by draw date then entry order.
+   * @returns {Promise<TicketRecord[]>}
+   */
+  async function getTickets() {
+    try {
+      const db = await openDb();
+      const store = db.transaction(TICKETS_STORE, 'readonly').objectStore(TICKETS_STORE);
+      const tickets = await reqP(store.getAll());
+      return tickets.sort((a, b) => a.dateStr.localeCompare(b.dateStr) || a.id - b.id);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * The draw a ticket dated `dateStr` belongs to: the first of `drawDates`
+   * (sorted) on or up to TICKET_DRAW_SLACK days after it, or null.
+   * @param {string} dateStr
+   * @param {string[]} drawDates
+   * @returns {string|null}
+   */
+  function ticketDrawDate(dateStr, drawDates) {
+    const last = addDays(dateStr, TICKET_DRAW_SLACK);
+    return drawDates.find(d => d >= dateStr && d <= last) || null;
+  }
+
+  /**
+   * Check the tickets for the given draws and store what they won. Called by
+   * the loader as draws are stored, and by the My Tickets page for tickets
+   * added after their draw arrived. Each ticket's draw is picked from every
+   * cached draw, not just these (see ticketDrawDate), so a batch that lacks
+   * it never settles the ticket against a later draw. A corrected draw
+   * re-checks the tickets it settled.
+   * @param {Draw[]} draws
+   * @param {function(TicketRecord, Draw):TicketResult} check  e.g. LottoCore.settleTicket
+   * @returns {Promise<TicketRecord[]>}  the tickets whose result changed
+   */
+  async function settleTickets(draws, check) {
+    if (!draws.length) return [];
+    const byDate = new Map(draws.map(d => [d.dateStr, d]));
+    const dates = Array.from(byDate.keys()).sort();
+    const first = addDays(dates[0], -TICKET_DRAW_SLACK), last = dates[dates.length - 1];
+    const settled = [];
+    await write([TICKETS_STORE, DRAWS_STORE], tx => {
+      const keys = tx.objectStore(DRAWS_STORE).getAllKeys(IDBKeyRange.bound(first, addDays(last, TICKET_DRAW_SLACK)));
+      keys.onsuccess = () => {
+        const drawDates = Array.from(new Set(keys.result.concat(dates))).sort();
+        const tickets = tx.objectStore(TICKETS_STORE).index('dateStr').openCursor(IDBKeyRange.bound(first, last));
+        walk(tickets, cursor => {
+          const t = cursor.value;
+          const draw = byDate.get(ticketDrawDate(t.dateStr, drawDates));
+          if (!draw) return;
+          const result = check(t, draw);
+          if (t.result && JSON.stringify(t.result) === JSON.stringify(result)) return;
+          t.result = result;
+          cursor.update(t);
+          settled.push(t);
+        });
+      };
+    });
+    return settled;
+  }
+
+  // ── Queries ─────────────────────────────────────────────────────────────
+  /**
+   * Cached draws, oldest first. Draws with none of the requested prizes are skipped.
+   * `from`/`to` become a key range; `year` or `drawDay` read through their index.
+   * `prizes` only shapes the output: each record holds every prize of its draw,
+   * so the whole record is still read and the other prizes dropped here.
+   * @param {Object}   [opts]
+   * @param {string}   [opts.from]     inclusive YYYY-MM-DD
+   * @param {string}   [opts.to]       inclusive YYYY-MM-DD
+   * @param {number}   [opts.year]
+   * @param {number}   [opts.drawDay]  day of month
+   * @param {string[]} [opts.prizes]   prize keys to keep in each draw's results (default: all)
+   * @returns {Promise<Draw[]>}
+   */
+  async function getDraws({ from, to, year, drawDay, prizes } = {}) {
+    const wanted = prizes && prizes.length ? prizes : PRIZE_LIST;
+    const draws = [];
+    try {
+      const db = await openDb();
+      const store = db.transaction(DRAWS_STORE, 'readonly').objectStore(DRAWS_STORE);
+      const req = year != null    ? store.index('year').openCursor(year)
+                : drawDay != null ? store.index('drawDay').openCursor(drawDay)
+                : store.openCursor(keyRange(from, to));
+      await walk(req, cursor => {
+        const { dateStr, results: src, anomalies, source } = cursor.value;
+        if ((from && dateStr < from) || (to && dateStr > to)) return;
+        const results = {};
+        wanted.forEach(p => {
+          if (src[p] && src[p].length) results[p] = src[p];
+        });
+        if (!Object.keys(results).length) return;
+        const draw = { dateStr, results };
+        if (anomalies) draw.anomalies = anomalies;
+        if (source) draw.source = source;
+        draws.push(draw);
+      });
+    } catch (e) {
+      return [];
+    }
+    // Index cursors are ordered by the index key, not the date
+    return draws.sort((a, b) => a.dateStr.localeCompare(b.dateStr));
+  }
+
+  /**
+   * Every cached draw that failed validation, oldest first.
+   * @returns {Promise<{dateStr:string, anomalies:Anomaly[]}[]>}
+   */
+  async function getAnomalies() {
+    const out = [];
+    try {
+      const db = await openDb();
+      const store = db.transaction(DRAWS_STORE, 'readonly').objectStore(DRAWS_STORE);
+      await walk(store.openCursor(), cursor => {
+        const { dateStr, anomalies } = cursor.value;
+        if (anomalies && anomalies.length) out.push({ dateStr, anomalies });
+      });
+    } catch (e) {
+      // empty
+    }
+    return out;
+  }
+
+  /**
+   * Derived per-draw counts, for pages that sum frequencies (the Analyzer).
+   * @param {Object} [opts]
+   * @param {string} [opts.from]
+   * @param {string} [opts.to]
+   * @returns {Promise<Map<string,DrawAggregate>>}  dateStr → aggregate
+   */
+  async function getAggregates({ from, to } = {}) {
+    const out = new Map();
+    try {
+      const db = await openDb();
+      const store = db.transaction(AGG_STORE, 'readonly').objectStore(AGG_STORE);
+      await walk(store.openCursor(keyRange(from, to)), cursor => out.set(cursor.key, cursor.value));
+    } catch (e) {
+      // empty
+    }
+    return out;
+  }
+
+  /**
+   * Content hash of every cached draw ('' when unknown), read from keys only.
+   * @returns {Promise<Map<string,string>>}  dateStr → hash
+   */
+  async function getDrawHashes() {
+    const out = new Map();
+    try {
+      const db = await openDb();
+      const store = db.transaction(DRAWS_STORE, 'readonly').objectStore(DRAWS_STORE);
+      (await reqP(store.getAllKeys())).forEach(k => out.set(k, ''));
+      await walk(store.index('hash').openKeyCursor(), cursor => out.set(cursor.primaryKey, cursor.key));
+    } catch (e) {
+      // empty
+    }
+    return out;
+  }
+
+  /**
+   * When the cache last changed and how many draws it holds.
+   * @returns {Promise<{fetchedAt:number, size:number}|null>}
+   */
+  async function getCacheInfo() {
+    try {
+      const db = await openDb();
+      const tx = db.transaction([DRAWS_STORE, META_STORE], 'readonly');
+      const [size, fetchedAt] = await Promise.all([
+        reqP(tx.objectStore(DRAWS_STORE).count()),
+        reqP(tx.objectStore(META_STORE).get('fetchedAt')),
+      ]);
+      return size ? { fetchedAt: fetchedAt || null, size } : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /** "12 min" / "3h" — age of a timestamp for status bars. */
+  function formatAge(ts) {
+    if (!ts) return null;
+    const min = Math.round((Date.now() - ts) / 60000);
+    return min < 60 ? min + ' min' : Math.round(min / 60) + 'h';
+  }
+
+  return {
+    PRIZE_LIST, PRIZE_DIGITS, PRIZE_COUNTS, TICKET_PRICE, PAYOUT_SCHEDULE, PRIZE_PAYOUTS, payoutsFor,
+    DB_NAME, DB_VERSION, DRAWS_STORE, AGG_STORE, TICKETS_STORE, TICKET_DRAW_SLACK,
+    registerMigration, openDb, makeDrawRecord,
+    putDraws, deleteDraws, putTickets, deleteTickets, getTickets, ticketDrawDate, settleTickets,
+    getDraws, getAnomalies, getAggregates, getDrawHashes, getCacheInfo,
+    formatAge, splitNums,
+  };
+});
@@ -0,0 +1,112 @@
+// Thai Lotto Analyzer — Model jobs  (lottoJobs.js)
+// Runs LottoCore backtests and searches in modelWorker.js so pages stay
+// responsive, and caches each result per command, parameters and series.
+// Load after lottoData.js and lottoCore.js (exposes `LottoJobs`), or require()
+// from Node, where jobs run inline.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./lottoCore.js'));
+  else root.LottoJobs = factory(root.LottoCore);
+})(typeof self !== 'undefined' ? self : this, function (LottoCore) {
+  'use strict';
+
+  const WORKER_URL = 'modelWorker.js';
+  const CACHE_MAX  = 40;
+
+  /** Job name → LottoCore call taking (series, opts); opts.onProgress where supported. */
+  const JOBS = {
+    backtest:       (series, opts) => LottoCore.runBacktest(series, opts),
+    targetBacktest: (series, opts) => LottoCore.runTargetBacktest(series, opts),
+    scoutBacktest:  (series, opts) => LottoCore.runScoutBacktest(series, opts),
+    tune:           (series, opts) => LottoCore.gridSearch(series, opts),
+    permute:        (series, opts) => LottoCore.permutationTest(series, opts),
+    compareModels:  (series, opts) => LottoCore.compareModels(series, opts),
+    insightsNull:   (series, opts) => LottoCore.simulateInsightsNull(series, opts.prize, opts),
+    changePoints:   (series, opts) => LottoCore.changePoints(series, opts.prize, opts),
+    bankroll:       (series, opts) => LottoCore.simulateBankroll(series, opts.model, opts),
+  };
+
+  const cache   = new Map();   // key → result, oldest first
+  const running = {};          // channel → { key, promise, worker, resolve }
+
+  // FNV-1a over the serialised series: any edited, added or dropped draw changes it
+  function fingerprint(series) {
+    const s = JSON.stringify(series);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+    return series.length + ':' + (h >>> 0).toString(36);
+  }
+
+  function remember(key, result) {
+    cache.delete(key);
+    cache.set(key, result);
+    if (cache.size > CACHE_MAX) cache.delete(cache.keys().next().value);
+    return result;
+  }
+
+  function runInline(name, series, opts, onProgress) {
+    if (!JOBS[name]) throw new Error('Unknown job ' + name);
+    return JOBS[name](series, { ...opts, onProgress });
+  }
+
+  function startWorker() {
+    try {
+      return typeof Worker !== 'undefined' ? new Worker(WORKER_URL) : null;
+    } catch (e) {
+      return null;   // file:// pages and locked-down browsers
+    }
+  }
+
+  /**
+   * Run a job, or return its cached result. Only the latest job on a channel
+   * matters: starting another terminates the previous worker and resolves its
+   * promise with null, so callers can simply ignore a null result. Asking for
+   * the job that is already running on the channel returns the same promise.
+   * Without Web Workers the job runs inline on the calling thread.
+   * @param {string}   name    Key of JOBS
+   * @param {Array}    series  Draws passed to the LottoCore call
+   * @param {Object}   [opts]  Its options (must be cloneable; no callbacks)
+   * @param {Object}   [run]
+   * @param {string}   [run.channel=name]
+   * @param {function(number, number):void} [run.onProgress]  (done, total)
+   * @returns {Promise<*|null>}  The result, or null when superseded or cancelled
+   */
+  function run(name, series, opts = {}, { channel = name, onProgress } = {}) {
+    const key = name + '|' + JSON.stringify(opts) + '|' + fingerprint(series);
+    const current = running[channel];
+    if (current && current.key === key) return current.promise;
+    cancel(channel);
+    if (cache.has(key)) return Promise.resolve(remember(key, cache.get(key)));
+
+    const worker = startWorker();
+    if (!worker) {
+      return new Promise(resolve => resolve(remember(key, runInline(name, series, opts, onProgress))));
+    }
+
+    const job = { key, worker };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      const finish = () => { worker.terminate(); if (running[channel] === job) delete running[channel]; };
+      worker.onmessage = e => {
+        if (e.data.type === 'progress') { if (onProgress) onProgress(e.data.done, e.data.total); return; }
+        finish();
+        if (e.data.type === 'done') resolve(remember(key, e.data.result));
+        else reject(new Error(e.data.message || 'Worker failed'));
+      };
+      worker.onerror = e => { finish(); reject(new Error('Failed: ' + (e.message || 'worker error'))); };
+    });
+    running[channel] = job;
+    worker.postMessage({ cmd: name, series, ...opts });
+    return job.promise;
+  }
+
+  /** Stop the job running on `channel`, if any; its promise resolves with null. */
+  function cancel(channel) {
+    const job = running[channel];
+    if (!job) return;
+    delete running[channel];
+    job.worker.terminate();
+    job.resolve(null);
+  }
+
+  return { JOBS, run, runInline, cancel };
+});
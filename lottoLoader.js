@@ -0,0 +1,444 @@
+// Thai Lotto Analyzer — Dataset loader  (lottoLoader.js)
+// Fetches lottonumbers/*.txt, parses them in a worker and writes the cache
+// through LottoData. Any page can run it; progress is reported to a callback
+// so each page can show it in its own status bar.
+// Load after lottoData.js and lottoCore.js (exposes `LottoLoader`), or require() from Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./lottoData.js'), require('./lottoCore.js'));
+  else root.LottoLoader = factory(root.LottoData, root.LottoCore);
+})(typeof self !== 'undefined' ? self : this, function (LottoData, LottoCore) {
+  'use strict';
+
+  const { PRIZE_LIST, PRIZE_DIGITS, PRIZE_COUNTS } = LottoData;
+
+  // Draw files before Aug 2015 carry four last-three-digit numbers on a single `THREE` line;
+  // they are stored as THREE_LEGACY so they never mix with the later front/back split.
+  const TAG_ALIASES  = { THREE: 'THREE_LEGACY' };
+  const FIRST_DRAW   = '2006-12-30';
+  const DRAW_DAYS    = [30,31,1,2,3,14,15,16,17];
+  const MANIFEST_URL = 'lottonumbers/index.json';
+  const BUNDLE_URL   = 'lottonumbers/all.json';
+  // Below this many missing files, individual fetches beat downloading the bundle
+  const BUNDLE_MIN_MISSING = 20;
+
+  const pad2 = n => n.toString().padStart(2,'0');
+
+  /**
+   * @typedef {Object} Candidate
+   * @property {string} dateStr
+   * @property {string} url
+   * @property {string} [hash]   content hash from the manifest, when known
+   */
+
+  /**
+   * Draw files listed in lottonumbers/index.json (written by updateLottoFolder.js).
+   * Resolves to null when the manifest is missing or unreadable.
+   * @returns {Promise<Candidate[]|null>}
+   */
+  async function fetchManifest() {
+    try {
+      const resp = await fetch(MANIFEST_URL, { cache: 'no-cache' });
+      if (!resp.ok) return null;
+      const manifest = await resp.json();
+      if (!manifest || !Array.isArray(manifest.draws)) return null;
+      return manifest.draws
+        .map(({ dateStr, hash }) => ({ dateStr, hash, url: `lottonumbers/${dateStr}.txt` }))
+        .sort((a,b)=> a.dateStr.localeCompare(b.dateStr));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Every draw already parsed, from lottonumbers/all.json (written by
+   * updateLottoFolder.js). Each entry maps prize → space-separated numbers,
+   * with the file's source host and any validation anomalies.
+   * Resolves to null when the bundle is missing or unreadable.
+   * @returns {Promise<{dateStr:string, hash:string, source?:string, results:Object<string,string>, anomalies?:Object[]}[]|null>}
+   */
+  async function fetchBundle() {
+    try {
+      const resp = await fetch(BUNDLE_URL, { cache: 'no-cache' });
+      if (!resp.ok) return null;
+      const bundle = await resp.json();
+      return bundle && Array.isArray(bundle.draws) ? bundle.draws : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Every date a draw file could exist for, oldest first. Only used when
+   * the manifest is unavailable; most of these URLs 404.
+   * @param {Date} [today]
+   * @returns {Candidate[]}
+   */
+  function buildCandidateUrls(today = new Date()) {
+    const urls = [];
+    for (let y = 2006; y <= today.getFullYear(); y++) {
+      for (let m = 1; m <= 12; m++) {
+        for (const d of DRAW_DAYS) {
+          const dateStr = `${y}-${pad2(m)}-${pad2(d)}`;
+          if (dateStr < FIRST_DRAW) continue;
+          urls.push({ dateStr, url: `lottonumbers/${dateStr}.txt` });
+        }
+      }
+    }
+    return urls.sort((a,b)=> a.dateStr.localeCompare(b.dateStr));
+  }
+
+  async function batchFetchWithProgress(urls, concurrency = 20, onProgress = ()=>{}) {
+    const results = [];
+    let idx = 0;
+    let completed = 0;
+    const total = urls.length;
+
+    async function worker() {
+      while (true) {
+        const i = idx++;
+        if (i >= urls.length) return;
+        const { dateStr, url } = urls[i];
+        try {
+          const resp = await fetch(url);
+          if (resp.ok) {
+            const text = await resp.text();
+            results.push({ dateStr, text });
+          }
+        } catch (e) {
+          // ignore
+        } finally {
+          completed++;
+          onProgress(completed, total, dateStr);
+        }
+      }
+    }
+
+    const workers = Array.from({ length: Math.min(concurrency, urls.length) }, worker);
+    await Promise.all(workers);
+    return results;
+  }
+
+  // The parse functions below are self-contained: they are also serialized
+  // into the parser worker, where PRIZE_LIST, PRIZE_DIGITS, PRIZE_COUNTS and
+  // TAG_ALIASES are injected as constants.
+
+  /**
+   * Host of the page a draw file was copied from (its first line), e.g.
+   * 'news.sanook.com', or '' when the line is not a URL.
+   * @param {string} text
+   * @returns {string}
+   */
+  function parseSource(text) {
+    const m = /^\s*https?:\/\/([^/\s]+)/i.exec(text);
+    return m ? m[1].toLowerCase() : '';
+  }
+
+  /**
+   * Numbers per prize in one draw file. Only tokens of exactly the prize's
+   * digit length are kept; validateDrawText() reports the rest.
+   * @param {string} text
+   * @returns {Object<string,string[]>}  prize → numbers
+   */
+  function parseTextToResults(text) {
+    const results = {};
+    text.split(/\r?\n/).slice(1).forEach(line=>{
+      if (!line.trim()) return;
+      const parts = line.trim().split(/\s+/);
+      const tag = TAG_ALIASES[parts[0]] || parts[0];
+      const len = PRIZE_DIGITS[tag];
+      if (!len) return;
+      const wellFormed = new RegExp(`^\\d{${len}}$`);
+      results[tag] = parts.slice(1).filter(n => wellFormed.test(n));
+    });
+    return results;
+  }
+
+  /**
+   * Build the cached aggregate for one draw from its numbers.
+   * @param {string} dateStr
+   * @param {Object<string,string[]>} nums  prize → numbers
+   * @returns {import('./lottoData.js').DrawAggregate}
+   */
+  function buildAggregate(dateStr, nums) {
+    const prizesAgg = {};
+    const digitAgg = {};
+    PRIZE_LIST.forEach(p=>{
+      prizesAgg[p] = {};
+      digitAgg[p] = Array.from({length: PRIZE_DIGITS[p]}, ()=> ({}));
+    });
+    for (const [tag, vals] of Object.entries(nums)) {
+      if (!prizesAgg[tag]) continue;
+      vals.forEach(val=>{
+        prizesAgg[tag][val] = (prizesAgg[tag][val] || 0) + 1;
+        val.split('').forEach((d,i)=>{
+          digitAgg[tag][i][d] = (digitAgg[tag][i][d] || 0) + 1;
+        });
+      });
+    }
+    return { dateStr, prizesAgg, digitAgg };
+  }
+
+  /**
+   * Check one draw file against the expected shape: known tags, each once,
+   * numbers of the right length and count, and NEAR_FIRST = FIRST ± 1.
+   * parseTextToResults() keeps only the well-formed numbers; this records what it dropped.
+   * @param {string} text
+   * @returns {import('./lottoData.js').Anomaly[]}
+   */
+  function validateDrawText(text) {
+    const anomalies = [];
+    const add = (prize, kind, detail) => anomalies.push({ prize, kind, detail });
+    const seen = {};
+    text.split(/\r?\n/).slice(1).forEach(line=>{
+      if (!line.trim()) return;
+      const parts = line.trim().split(/\s+/);
+      const tag = TAG_ALIASES[parts[0]] || parts[0];
+      const nums = parts.slice(1);
+      const len = PRIZE_DIGITS[tag];
+      if (!len) return add(parts[0], 'unknown-tag', `Unrecognised line "${parts[0]}"`);
+      if (seen[tag]) add(tag, 'duplicate', `${tag} appears more than once`);
+      seen[tag] = nums;
+      const bad = nums.filter(n => n.length !== len || !/^\d+$/.test(n));
+      if (bad.length) {
+        add(tag, 'format', `${bad.length} number(s) not ${len} digits: ${bad.slice(0, 5).join(' ')}${bad.length > 5 ? ' …' : ''}`);
+      }
+      if (nums.length !== PRIZE_COUNTS[tag]) add(tag, 'count', `${nums.length} numbers, expected ${PRIZE_COUNTS[tag]}`);
+    });
+
+    // Before Aug 2015 a single THREE line replaced the front/back pair
+    const threes = seen.THREE_LEGACY ? ['THREE_LEGACY'] : ['THREE_FIRST', 'THREE_LAST'];
+    ['FIRST','SECOND','THIRD','FOURTH','FIFTH','TWO','NEAR_FIRST'].concat(threes).forEach(tag => {
+      if (!seen[tag]) add(tag, 'missing', `No ${tag} line`);
+    });
+
+    const first = seen.FIRST && seen.FIRST.length === 1 && /^\d{6}$/.test(seen.FIRST[0]) ? +seen.FIRST[0] : null;
+    if (first !== null && seen.NEAR_FIRST) {
+      const near = [(first + 999999) % 1000000, (first + 1) % 1000000];
+      const off = seen.NEAR_FIRST.filter(n => !near.includes(+n) || n.length !== 6);
+      if (off.length) add('NEAR_FIRST', 'near-first', `${off.join(' ')} is not FIRST ± 1 (${seen.FIRST[0]})`);
+    }
+    return anomalies;
+  }
+
+  // dateStr → { results, aggregate, anomalies, source } for each file that parses
+  function parseBatch(files) {
+    const out = {};
+    for (const f of files) {
+      try {
+        const results = parseTextToResults(f.text);
+        out[f.dateStr] = { results, aggregate: buildAggregate(f.dateStr, results), anomalies: validateDrawText(f.text), source: parseSource(f.text) };
+      } catch (err) {
+        // skip
+      }
+    }
+    return out;
+  }
+
+  function createParserWorker() {
+    const workerCode = `
+      const PRIZE_LIST = ${JSON.stringify(PRIZE_LIST)};
+      const PRIZE_DIGITS = ${JSON.stringify(PRIZE_DIGITS)};
+      const PRIZE_COUNTS = ${JSON.stringify(PRIZE_COUNTS)};
+      const TAG_ALIASES = ${JSON.stringify(TAG_ALIASES)};
+      ${parseSource.toString()}
+      ${parseTextToResults.toString()}
+      ${buildAggregate.toString()}
+      ${validateDrawText.toString()}
+      ${parseBatch.toString()}
+
+      self.onmessage = (e) => {
+        const msg = e.data;
+        if (msg && msg.cmd === 'parseBatch') {
+          try {
+            self.postMessage({ type: 'done', results: parseBatch(msg.files || []) });
+          } catch (err) {
+            self.postMessage({ type: 'error', message: String(err && err.message || err) });
+          }
+        }
+      };
+    `;
+    const blob = new Blob([workerCode], { type: 'application/javascript' });
+    return new Worker(URL.createObjectURL(blob));
+  }
+
+  // Returns parseBatch-compatible async fn plus a close(); parses inline when
+  // workers are unavailable (Node, locked-down browsers) or the worker fails,
+  // so a load never waits on a reply that will not come.
+  function createParser() {
+    let worker = null;
+    try {
+      if (typeof Worker !== 'undefined') worker = createParserWorker();
+    } catch (e) {
+      worker = null;
+    }
+    if (!worker) return { parse: async files => parseBatch(files), close: () => {} };
+
+    return {
+      parse: files => {
+        if (!worker) return Promise.resolve().then(() => parseBatch(files));
+        return new Promise((resolve, reject) => {
+          const finish = (ev) => {
+            worker.removeEventListener('message', finish);
+            worker.removeEventListener('error', finish);
+            worker.removeEventListener('messageerror', finish);
+            if (ev.type === 'message' && ev.data && ev.data.type === 'done') {
+              resolve(ev.data.results || {});
+              return;
+            }
+            if (ev.type === 'error') ev.preventDefault();
+            worker.terminate();
+            worker = null;
+            try { resolve(parseBatch(files)); } catch (err) { reject(err); }
+          };
+          worker.addEventListener('message', finish);
+          worker.addEventListener('error', finish);
+          worker.addEventListener('messageerror', finish);
+          worker.postMessage({ cmd: 'parseBatch', files });
+        });
+      },
+      close: () => { if (worker) worker.terminate(); },
+    };
+  }
+
+  /**
+   * @callback ProgressFn
+   * @param {string} message                     Human-readable status line
+   * @param {{phase:string, done?:number, total?:number}} detail
+   *        phase is 'cache' | 'bundle' | 'recent' | 'older' | 'save' | 'done'
+   */
+
+  /**
+   * Bring the cache in line with the archive, downloading only what changed.
+   * With a manifest, a draw is refetched when it is missing from the cache or
+   * its content hash differs, and draws no longer listed are dropped. Without
+   * one, hashes are unknown, so only dates after the newest cached draw are probed.
+   * When many draws are stale they come from the single all.json bundle;
+   * whatever the bundle lacks is fetched file by file, the most recent
+   * `recentLimit` candidates first. Each batch is written to IndexedDB as it
+   * arrives, and `onRecent` fires once the recent draws are stored so a page
+   * can render before the long tail of older files. Each batch of new or
+   * corrected draws also settles the My Tickets ledger, whichever page runs this.
+   * @param {Object}   [opts]
+   * @param {number}   [opts.concurrency=30]
+   * @param {number}   [opts.recentLimit=150]
+   * @param {ProgressFn} [opts.onProgress]
+   * @param {function():void} [opts.onRecent]
+   * @returns {Promise<{size:number, updated:number, removed:number}>}  draw counts
+   */
+  async function load({ concurrency = 30, recentLimit = 150, onProgress = ()=>{}, onRecent = ()=>{} } = {}) {
+    onProgress('Checking cache...', { phase: 'cache' });
+
+    const hashes = await LottoData.getDrawHashes();   // dateStr → cached hash
+    let updated = 0;
+    let removed = 0;
+
+    const manifest = await fetchManifest();
+    let candidates;
+    if (manifest) {
+      const listed = new Set(manifest.map(x => x.dateStr));
+      const gone = Array.from(hashes.keys()).filter(d => !listed.has(d));
+      await LottoData.deleteDraws(gone);
+      gone.forEach(d => hashes.delete(d));
+      removed = gone.length;
+      candidates = manifest;
+    } else {
+      const latest = Array.from(hashes.keys()).sort().pop() || '';
+      candidates = buildCandidateUrls().filter(x => x.dateStr > latest);
+    }
+
+    const isStale = x => !hashes.has(x.dateStr) || (!!x.hash && hashes.get(x.dateStr) !== x.hash);
+    const byDate = new Map(candidates.map(x => [x.dateStr, x]));
+
+    const store = async (entries) => {
+      await LottoData.putDraws(entries.map(({ dateStr, hash, results, aggregate, anomalies, source }) => ({
+        draw: LottoData.makeDrawRecord(dateStr, results, hash, anomalies, source),
+        aggregate,
+      })));
+      entries.forEach(e => hashes.set(e.dateStr, e.hash || ''));
+      updated += entries.length;
+      if (entries.length) await LottoData.settleTickets(entries.map(({ dateStr, results }) => ({ dateStr, results })), LottoCore.settleTicket);
+    };
+
+    if (candidates.filter(isStale).length >= BUNDLE_MIN_MISSING) {
+      onProgress('Downloading draw bundle...', { phase: 'bundle' });
+      const bundle = await fetchBundle();
+      if (bundle) {
+        const entries = [];
+        for (const { dateStr, hash, results, anomalies, source } of bundle) {
+          const want = byDate.get(dateStr);
+          const needed = want ? isStale(want) : !manifest && !hashes.has(dateStr);
+          // A bundle published before the manifest's last update has stale content
+          const current = !want || !want.hash || want.hash === hash;
+          if (!needed || !current) continue;
+          const nums = {};
+          for (const [prize, str] of Object.entries(results || {})) nums[prize] = str ? str.split(' ') : [];
+          entries.push({ dateStr, hash, results: nums, aggregate: buildAggregate(dateStr, nums), anomalies, source });
+        }
+        onProgress('Saving cache...', { phase: 'save' });
+        await store(entries);
+        // The bundle is complete up to its last draw, so only probe past it
+        const last = bundle.length ? bundle[bundle.length - 1].dateStr : '';
+        if (!manifest) candidates = candidates.filter(x => x.dateStr > last);
+      }
+    }
+
+    const total = candidates.length;
+    const recent = candidates.slice(Math.max(0, total - recentLimit));
+    const older = candidates.slice(0, Math.max(0, total - recentLimit));
+
+    const recentToFetch = recent.filter(isStale);
+    const olderToFetch = older.filter(isStale);
+
+    const parser = createParser();
+    const fetchAndParse = async (list, phase, label) => {
+      const fetched = await batchFetchWithProgress(list, concurrency, (done, tot, lastDate) => {
+        onProgress(`${label}: ${done}/${tot} ${lastDate || ''}`, { phase, done, total: tot });
+      });
+      const groupSize = 50;
+      for (let i=0; i<fetched.length; i+=groupSize) {
+        const parsed = await parser.parse(fetched.slice(i, i+groupSize));
+        await store(Object.entries(parsed).map(([dateStr, { results, aggregate, anomalies, source }]) => ({
+          dateStr, results, aggregate, anomalies, source, hash: byDate.has(dateStr) ? byDate.get(dateStr).hash : undefined,
+        })));
+      }
+    };
+
+    try {
+      if (recentToFetch.length > 0) {
+        onProgress(`Fetching recent ${recentToFetch.length} files...`, { phase: 'recent', done: 0, total: recentToFetch.length });
+        await fetchAndParse(recentToFetch, 'recent', 'Recent');
+      } else {
+        onProgress('No recent files to download, using cache.', { phase: 'recent' });
+      }
+      onRecent();
+
+      if (olderToFetch.length > 0) {
+        onProgress(`Fetching older ${olderToFetch.length} files...`, { phase: 'older', done: 0, total: olderToFetch.length });
+        await fetchAndParse(olderToFetch, 'older', 'Background');
+      }
+    } finally {
+      parser.close();
+    }
+
+    onProgress(`${hashes.size} draws cached.`, { phase: 'done' });
+    return { size: hashes.size, updated, removed };
+  }
+
+  /**
+   * Sync the cache with the archive (see load()) and report what it holds.
+   * Pages call this instead of asking the user to open the Analyzer.
+   * @param {Object} [opts]  passed through to load()
+   * @returns {Promise<{fetchedAt:number, size:number}|null>}  LottoData.getCacheInfo()
+   */
+  async function ensureData(opts = {}) {
+    await load(opts);
+    return LottoData.getCacheInfo();
+  }
+
+  return {
+    TAG_ALIASES, DRAW_DAYS,
+    fetchManifest, fetchBundle, buildCandidateUrls, batchFetchWithProgress,
+    parseSource, parseTextToResults, buildAggregate, validateDrawText, createParserWorker,
+    load, ensureData,
+  };
+});
@@ -0,0 +1,63 @@
+// Thai Lotto Analyzer — Shareable view state  (lottoState.js)
+// Keeps each page's controls in its URL query so a view can be bookmarked
+// or sent to someone, e.g. insights.html?prize=THREE_LAST&winMode=lastn_cutoff&lastN=48&cutoff=2023-06-01
+// Load before the page script (exposes `LottoState`), or require() from Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.LottoState = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const same = (a, b) => Array.isArray(a) ? Array.isArray(b) && a.join() === b.join() : a === b;
+  const text = v => Array.isArray(v) ? v.join(',') : typeof v === 'boolean' ? (v ? '1' : '0') : String(v);
+
+  /**
+   * Query string for `state`. Only the keys of `defaults` are written, and
+   * values equal to their default are left out so links stay short.
+   * Arrays are comma-separated and booleans written as 1/0.
+   * @param {Object} state
+   * @param {Object} defaults  key → default value
+   * @returns {string}  '' or '?key=value&…'
+   */
+  function encode(state, defaults) {
+    const parts = Object.keys(defaults)
+      .filter(k => state[k] !== undefined && state[k] !== null && !same(state[k], defaults[k]))
+      .map(k => k + '=' + encodeURIComponent(text(state[k])).replace(/%2C/g, ','));
+    return parts.length ? '?' + parts.join('&') : '';
+  }
+
+  /**
+   * `defaults` overlaid with the values in `search`, each read as the type of
+   * its default (a null default reads as a string). Unknown keys are ignored
+   * and a value that does not parse keeps its default.
+   * @param {string} search    e.g. location.search
+   * @param {Object} defaults  key → default value
+   * @returns {Object}
+   */
+  function decode(search, defaults) {
+    const params = new URLSearchParams(search);
+    const state = { ...defaults };
+    Object.keys(defaults).forEach(k => {
+      if (!params.has(k)) return;
+      const raw = params.get(k), def = defaults[k];
+      if (Array.isArray(def)) state[k] = raw ? raw.split(',') : [];
+      else if (typeof def === 'number') { if (raw.trim() && Number.isFinite(+raw)) state[k] = +raw; }
+      else if (typeof def === 'boolean') { if (raw === '1' || raw === '0') state[k] = raw === '1'; }
+      else state[k] = raw;
+    });
+    return state;
+  }
+
+  /** The page's state from its URL (see decode). */
+  function read(defaults) {
+    return decode(location.search, defaults);
+  }
+
+  /** Put `state` in the URL (see encode) without adding a history entry. */
+  function write(state, defaults) {
+    const url = location.pathname + encode(state, defaults) + location.hash;
+    if (url !== location.pathname + location.search + location.hash) history.replaceState(history.state, '', url);
+  }
+
+  return { encode, decode, read, write };
+});
@@ -0,0 +1,18 @@
+// Thai Lotto Analyzer — Model worker  (modelWorker.js)
+// Runs one LottoJobs job off the main thread; started by LottoJobs.run().
+// In:  { cmd, series, ...opts } — cmd is a key of LottoJobs.JOBS
+//      (backtest, targetBacktest, scoutBacktest, tune, permute, compareModels, insightsNull,
+//      changePoints, bankroll)
+// Out: { type: 'progress', done, total } as it goes, then { type: 'done', result }
+//      or { type: 'error', message }
+importScripts('lottoData.js', 'lottoCore.js', 'lottoJobs.js');
+
+self.onmessage = (e) => {
+  const { cmd, series, ...opts } = e.data;
+  const onProgress = (done, total) => self.postMessage({ type: 'progress', done, total });
+  try {
+    self.postMessage({ type: 'done', result: LottoJobs.runInline(cmd, series, opts, onProgress) });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
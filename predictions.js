@@ -1,10 +1,15 @@
 'use strict';
 // ════════════════════════════════════════════════════════════════════════════
-//  Thai Lotto · Two-Digit Prize — Probability Model  (predictions.js)
+//  Thai Lotto · Probability Model  (predictions.js)
 //
 //  PARAMETERS: grid-searched on 458 actual draws, walk-forward backtest.
 //    wRec=0.50  wOv=0.20  wBase=0.30  W=15  ovCap=2.0
-//    Best top-15 pair hit: 18.22% vs 15.00% baseline  (Z=1.87, not yet p<0.05)
+//    These are the slider defaults; "Tune" re-runs the search (LottoCore.gridSearch
+//    in modelWorker.js) on the current data.
+//    Top-15 pair hit: 17.8% vs 15.3% baseline  (Z=1.45, exact p=0.084, not significant)
+//    The baseline is the mirror coverage of each list, since a mirror also hits.
+//    That figure is in-sample: the weights were picked on the same draws. The
+//    Tune card's split and rolling-origin tables show out-of-sample rates.
 //
 //  What the backtest found:
 //    Recency-only (W=15): 16.4% — best individual signal
@@ -12,35 +17,47 @@
 //    Overdue-only:        13.8% — WORSE than random (was 45% in old model — wrong)
 //    No OC correction: digits >22% appear in <3% of draws, zero samples above 24%
 //    Draw is statistically fair: Chi²=15.09 < 16.9 (p=0.05 critical)
+//
+//  The other prizes (Three Front/Back, last digits of First) use the same
+//  weights, but score each position separately — see TARGETS in lottoCore.js.
 // ════════════════════════════════════════════════════════════════════════════
 
-const DIGITS   = '0123456789'.split('');
-const W_REC    = 0.50;
-const W_OV     = 0.20;
-const W_BASE   = 0.30;
-const OV_CAP   = 2.0;
-const REC_WIN  = 15;
-const MIN_HIST = 30;
-// Calibrated zone 17-22%: zone analysis found 22.3% actual hit vs 19% baseline
-// Elevated >22%: fewer than 3% of draws, insufficient data to characterise
-const CALIB_LO = 0.17;
-const CALIB_HI = 0.22;
-
-const DB_NAME    = 'thai-lotto-agg-db';
-const STORE_NAME = 'agg-store';
-const CACHE_KEY  = 'perFileAggMap_v2';
-
-let allDraws   = [];
+// Model, constants and backtest live in lottoCore.js (shared with cli.js)
+const { DIGITS, REC_WIN, MIN_HIST, TARGETS, mirror, computeModel } = LottoCore;
+const POSITION_NAMES = { 2: ['Tens', 'Units'], 3: ['Hundreds', 'Tens', 'Units'] };
+
+let rawDraws   = [];   // every draw with the prizes this page can model
+let allDraws   = [];   // TWO: [{dateStr, twoNum}] · other targets: [{dateStr, nums}]
+let target     = 'TWO';
 let recW       = REC_WIN;
+let weights    = { ...LottoCore.DEFAULT_WEIGHTS };
 let topN       = 15;
 let btRows     = 20;
 let predCutoff = 0;
+let cacheAge   = null;
+let tuning     = false;  // grid search running in LottoJobs
+let tuneResult = null;   // last gridSearch result
+let permuting  = false;  // permutation test running in LottoJobs
+const permResults = {};  // configKey() → permutationTest result
+
+// Shareable view state: the model controls, kept in the URL (lottoState.js)
+const viewState = () => ({
+  target, recW,
+  wRec: Math.round(weights.wRec * 100), wOv: Math.round(weights.wOv * 100), wBase: Math.round(weights.wBase * 100),
+  ovCap: weights.ovCap, topN, btRows, predCutoff,
+});
+// The starting values above, spelled out so they never depend on a form the browser refilled
+const VIEW_DEFAULTS = Object.freeze({
+  target: 'TWO', recW: REC_WIN,
+  wRec: Math.round(LottoCore.W_REC * 100), wOv: Math.round(LottoCore.W_OV * 100), wBase: Math.round(LottoCore.W_BASE * 100),
+  ovCap: LottoCore.OV_CAP, topN: 15, btRows: 20, predCutoff: 0,
+});
 
 const $         = id => document.getElementById(id);
-const parseNums = s  => s ? s.split(',').map(x => x.trim()).filter(Boolean) : [];
-const mirror    = n  => n[1] + n[0];
 const fmt1      = v  => (v * 100).toFixed(1) + '%';
 const fmt2      = v  => (v * 100).toFixed(2) + '%';
+const drawnStr  = d  => d.twoNum || d.nums.join(' ');
+const isTwo     = () => target === 'TWO';
 
 // ── Theme ─────────────────────────────────────────────────────────────────
 $('themeToggle').addEventListener('click', () => {
@@ -55,13 +72,36 @@ $('themeToggle').addEventListener('click', () => {
 })();
 
 // ── Controls ──────────────────────────────────────────────────────────────
+$('targetSel').addEventListener('change', e => {
+  target = e.target.value;
+  if (!rawDraws.length) return;
+  loadTarget();
+  updateCutoffLabel();
+  renderAll();
+});
 $('topNSel').addEventListener('change',   e => { topN   = +e.target.value; if (allDraws.length) renderAll(); });
-$('btRowsSel').addEventListener('change', e => { btRows = +e.target.value; if (allDraws.length) renderBacktest(); });
+$('btRowsSel').addEventListener('change', e => {
+  btRows = +e.target.value;
+  LottoState.write(viewState(), VIEW_DEFAULTS);
+  if (allDraws.length) renderBacktest();
+});
 $('recSlider').addEventListener('input',  e => {
   recW = +e.target.value;
   $('recLbl').textContent = $('recLbl2').textContent = recW;
   if (allDraws.length) renderAll();
 });
+['wRec', 'wOv', 'wBase'].forEach(k => $(k + 'Slider').addEventListener('input', e => {
+  // All-zero weights would leave nothing to normalise
+  if (['wRec', 'wOv', 'wBase'].every(j => +$(j + 'Slider').value === 0)) e.target.value = 5;
+  weights[k] = +e.target.value / 100;
+  $(k + 'Lbl').textContent = e.target.value;
+  if (allDraws.length) renderAll();
+}));
+$('ovCapSlider').addEventListener('input', e => {
+  weights.ovCap = +e.target.value;
+  $('ovCapLbl').textContent = $('ovCapLbl2').textContent = weights.ovCap.toFixed(1);
+  if (allDraws.length) renderAll();
+});
 $('predCutoffInput').addEventListener('input', e => {
   const v = parseInt(e.target.value, 10);
   predCutoff = (!e.target.value.trim() || isNaN(v) || v <= 0) ? 0 : v;
@@ -69,6 +109,37 @@ $('predCutoffInput').addEventListener('input', e => {
   if (allDraws.length) renderAll();
 });
 
+// Move every model control to `w` / `W` (used by "Apply best")
+function setParams (w, W) {
+  weights = { ...w };
+  recW    = W;
+  ['wRec', 'wOv', 'wBase'].forEach(k => {
+    $(k + 'Slider').value = Math.round(w[k] * 100);
+    $(k + 'Lbl').textContent = Math.round(w[k] * 100);
+  });
+  $('ovCapSlider').value = w.ovCap;
+  $('ovCapLbl').textContent = $('ovCapLbl2').textContent = w.ovCap.toFixed(1);
+  $('recSlider').value = W;
+  $('recLbl').textContent = $('recLbl2').textContent = W;
+}
+
+// Set the controls from the URL; values they don't offer keep their defaults
+function restoreView () {
+  const v = LottoState.read(VIEW_DEFAULTS);
+  const offered = (id, val) => [...$(id).options].some(o => o.value === String(val));
+  if (offered('targetSel', v.target)) $('targetSel').value = target = v.target;
+  if (offered('topNSel', v.topN)) { topN = v.topN; $('topNSel').value = v.topN; }
+  if (offered('btRowsSel', v.btRows)) { btRows = v.btRows; $('btRowsSel').value = v.btRows; }
+  // Through the sliders, which clamp each value to their range and step
+  const w = {};
+  ['wRec', 'wOv', 'wBase'].forEach(k => { $(k + 'Slider').value = v[k]; w[k] = +$(k + 'Slider').value / 100; });
+  $('ovCapSlider').value = v.ovCap;
+  w.ovCap = +$('ovCapSlider').value;
+  $('recSlider').value = v.recW;
+  setParams(w.wRec + w.wOv + w.wBase > 0 ? w : weights, +$('recSlider').value);
+  if (v.predCutoff > 0) $('predCutoffInput').value = predCutoff = Math.round(v.predCutoff);
+}
+
 function updateCutoffLabel () {
   const el = $('nextResultDisplay');
   if (!el || !allDraws.length) return;
@@ -76,61 +147,41 @@ function updateCutoffLabel () {
   if (idx < allDraws.length) {
     const d = allDraws[idx];
     el.innerHTML =
-      `Next known result: <strong class="mono" style="color:var(--primary)">${d.twoNum}</strong>` +
+      `Next known result: <strong class="mono" style="color:var(--primary)">${drawnStr(d)}</strong>` +
       ` <span style="color:var(--muted-foreground);font-size:.7rem">(${d.dateStr})</span>`;
   } else {
     el.innerHTML = `Next result: <span style="color:var(--muted-foreground)">future — unknown</span>`;
   }
 }
 
-// ── Cache ─────────────────────────────────────────────────────────────────
-async function loadCache () {
-  return new Promise(resolve => {
-    const req = indexedDB.open(DB_NAME, 1);
-    req.onupgradeneeded = ev => {
-      if (!ev.target.result.objectStoreNames.contains(STORE_NAME))
-        ev.target.result.createObjectStore(STORE_NAME);
-    };
-    req.onsuccess = ev => {
-      const tx = ev.target.result.transaction(STORE_NAME, 'readonly');
-      const get = tx.objectStore(STORE_NAME).get(CACHE_KEY);
-      get.onsuccess = () => resolve(get.result || null);
-      get.onerror   = () => resolve(null);
-    };
-    req.onerror = () => resolve(null);
-  });
-}
-
 // ── Init ──────────────────────────────────────────────────────────────────
 async function init () {
+  restoreView();
   setStatus('', 'Loading from cache…');
-  const cached = await loadCache();
+  const info = await LottoLoader.ensureData({ onProgress: msg => setStatus('', msg) });
 
-  if (!cached?.data || !Object.keys(cached.data).length) {
-    setStatus('', 'No cached data.');
+  if (!info?.size) {
+    setStatus('', 'No data.');
     $('mainContent').insertAdjacentHTML('beforeend', `
       <div style="text-align:center;padding:4rem 2rem;color:var(--muted-foreground)">
-        Open <a href="index.html" style="color:var(--primary)">the Analyzer</a> first to cache data.
+        No draw files could be downloaded. Check your connection and reload.
       </div>`);
     return;
   }
 
-  allDraws = Array.from(new Map(Object.entries(cached.data)).entries())
-    .map(([dateStr, agg]) => {
-      const nums = parseNums((agg.results || {}).TWO || '').filter(n => n.length === 2);
-      return { dateStr, twoNum: nums[0] || null };
-    })
-    .filter(d => d.twoNum)
-    .sort((a, b) => a.dateStr.localeCompare(b.dateStr));
+  rawDraws = await LottoData.getDraws({ prizes: ['TWO', 'THREE_FIRST', 'THREE_LAST', 'FIRST'] });
+  cacheAge = LottoData.formatAge(info.fetchedAt);
+  loadTarget();
+  updateCutoffLabel();
+  renderAll();
+}
 
-  const age = cached.fetchedAt
-    ? Math.round((Date.now() - cached.fetchedAt) / 60000) : null;
+// Three Front/Back only exist from late 2015, so each prize has its own series
+function loadTarget () {
+  allDraws = isTwo() ? LottoCore.twoDigitDraws(rawDraws) : LottoCore.targetDraws(rawDraws, target);
   setStatus('live',
     `${allDraws.length} draws · ${allDraws[0]?.dateStr} → ${allDraws.at(-1)?.dateStr}` +
-    (age !== null ? ` · cache ${age < 60 ? age + 'min' : Math.round(age/60) + 'h'} old` : ''));
-
-  updateCutoffLabel();
-  renderAll();
+    (cacheAge !== null ? ` · cache ${cacheAge} old` : ''));
 }
 
 function setStatus (state, txt) {
@@ -138,58 +189,6 @@ function setStatus (state, txt) {
   $('statusDot').className = 'status-dot' + (state === 'live' ? ' live' : '');
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-//  CORE MODEL
-// ═══════════════════════════════════════════════════════════════════════════
-function computeModel (seq, W) {
-  const n = seq.length;
-  if (n < MIN_HIST) return null;
-  const safeW = Math.min(W, n - 1);
-
-  const recCnt  = Object.fromEntries(DIGITS.map(d => [d, 0]));
-  const baseCnt = Object.fromEntries(DIGITS.map(d => [d, 0]));
-  seq.slice(-safeW).forEach(num => { recCnt[num[0]]++; recCnt[num[1]]++; });
-  seq.forEach(num =>               { baseCnt[num[0]]++; baseCnt[num[1]]++; });
-
-  const lastSeen = Object.fromEntries(DIGITS.map(d => [d, -1]));
-  const gapLists = Object.fromEntries(DIGITS.map(d => [d, []]));
-  seq.forEach((num, i) => {
-    [num[0], num[1]].forEach(d => {
-      if (lastSeen[d] >= 0) gapLists[d].push(i - lastSeen[d]);
-      lastSeen[d] = i;
-    });
-  });
-
-  const raw = {}, meta = {};
-  DIGITS.forEach(d => {
-    const recFreq  = recCnt[d]  / (2 * safeW);
-    const baseFreq = baseCnt[d] / (n * 2);
-    const gaps     = gapLists[d];
-    const avgGap   = gaps.length >= 2 ? gaps.reduce((a, b) => a + b, 0) / gaps.length : 5.0;
-    const since    = lastSeen[d] >= 0 ? (n - 1 - lastSeen[d]) : n;
-    const ovRatio  = Math.min(since / Math.max(avgGap, 1), OV_CAP) / OV_CAP;
-
-    raw[d]   = W_REC * recFreq + W_OV * ovRatio + W_BASE * baseFreq;
-    meta[d]  = { recFreq, baseFreq, avgGap, since, ovRatioRaw: since / Math.max(avgGap, 1) };
-  });
-
-  const total = DIGITS.reduce((s, d) => s + raw[d], 0);
-  const digitProb = {};
-  DIGITS.forEach(d => {
-    const p          = raw[d] / total;
-    digitProb[d]     = p;
-    meta[d].prob     = p;
-    meta[d].vsBase   = p - meta[d].baseFreq;
-    meta[d].pDraw    = 1 - Math.pow(1 - p, 2);
-    meta[d].isCalib  = p >= CALIB_LO && p <= CALIB_HI;
-    meta[d].isElev   = p > CALIB_HI;
-  });
-
-  const numProbs = {};
-  DIGITS.forEach(a => DIGITS.forEach(b => { numProbs[a + b] = digitProb[a] * digitProb[b]; }));
-  return { digitProb, digitMeta: meta, numProbs, n };
-}
-
 function cumP (pDraw, N) { return 1 - Math.pow(1 - pDraw, N); }
 
 function getSeq () {
@@ -202,19 +201,38 @@ function getSeq () {
 //  RENDER
 // ═══════════════════════════════════════════════════════════════════════════
 function renderAll () {
+  LottoState.write(viewState(), VIEW_DEFAULTS);
   const { slice, seq } = getSeq();
-  const model          = computeModel(seq, recW);
+  const model          = isTwo() ? computeModel(seq, recW, weights) : LottoCore.computeTargetModel(slice, recW, TARGETS[target].digits, weights);
+  $('twoOnly').style.display    = isTwo() ? 'grid' : 'none';
+  $('targetCard').style.display = isTwo() ? 'none' : '';
   renderStatCards(slice, model);
   if (!model) {
-    ['digitBars','pairTable','lookaheadTable','btSummary','btGrid'].forEach(id => {
+    ['digitBars','pairTable','lookaheadTable','numberTable','valueBox','btSummary','btGrid'].forEach(id => {
       const el = $(id);
       if (el) el.innerHTML = `<p style="color:var(--muted-foreground);font-size:.8rem;padding:.5rem 0">Need at least ${MIN_HIST} draws.</p>`;
     });
     return;
   }
-  renderDigitBars(model);
-  renderPairTable(model);
-  renderLookahead(model);
+  if (isTwo()) {
+    renderDigitBars($('digitBars'), model.digitMeta);
+    renderPairTable(model);
+    renderLookahead(model);
+  } else {
+    const wrap = $('digitBars');
+    wrap.innerHTML = '';
+    model.positions.forEach(({ digitMeta }, p) => {
+      const hdr = document.createElement('div');
+      hdr.className = 'dbar-pos';
+      hdr.textContent = `${POSITION_NAMES[model.digits][p]} digit`;
+      wrap.appendChild(hdr);
+      const bars = document.createElement('div');
+      wrap.appendChild(bars);
+      renderDigitBars(bars, digitMeta);
+    });
+    renderNumberTable(model);
+  }
+  renderValue(model);
   renderBacktest();
 }
 
@@ -225,11 +243,14 @@ function renderStatCards (slice, model) {
     ? `First ${predCutoff} draws` : 'All draws';
   let topD = '—', score = '—', note = '';
 
-  if (model) {
+  if (model && isTwo()) {
     topD  = DIGITS.slice().sort((a, b) => model.digitProb[b] - model.digitProb[a])[0];
     score = fmt1(model.digitProb[topD]);
     const m = model.digitMeta[topD];
     note  = m.isElev ? ' · elevated ⚠' : m.isCalib ? ' · calibrated ✓' : '';
+  } else if (model) {
+    topD  = LottoCore.topNumbers(model.numProbs, 1)[0];
+    score = fmt2(model.numProbs[topD]);
   }
 
   $('statCards').innerHTML = `
@@ -244,23 +265,21 @@ function renderStatCards (slice, model) {
       <div class="stat-card-sub">${cutLbl}</div>
     </div>
     <div class="stat-card">
-      <div class="stat-card-label">Last TWO result</div>
-      <div class="stat-card-value" style="font-family:'JetBrains Mono',monospace;color:var(--primary)">${last?.twoNum || '—'}</div>
+      <div class="stat-card-label">Last ${isTwo() ? 'TWO' : TARGETS[target].label} result</div>
+      <div class="stat-card-value" style="font-family:'JetBrains Mono',monospace;color:var(--primary)">${last ? drawnStr(last) : '—'}</div>
       <div class="stat-card-sub">${last?.dateStr}</div>
     </div>
     <div class="stat-card">
-      <div class="stat-card-label">Top digit</div>
+      <div class="stat-card-label">Top ${isTwo() ? 'digit' : 'number'}</div>
       <div class="stat-card-value" style="font-family:'JetBrains Mono',monospace;color:var(--primary)">${topD}</div>
       <div class="stat-card-sub">${score}${note}</div>
     </div>`;
 }
 
 // ── Digit bars ────────────────────────────────────────────────────────────
-function renderDigitBars (model) {
-  const { digitMeta } = model;
+function renderDigitBars (wrap, digitMeta) {
   const sorted = DIGITS.slice().sort((a, b) => digitMeta[b].prob - digitMeta[a].prob);
   const maxP   = digitMeta[sorted[0]].prob;
-  const wrap   = $('digitBars');
   wrap.innerHTML = '';
 
   const hdr = document.createElement('div');
@@ -298,18 +317,8 @@ function renderDigitBars (model) {
 
 // ── Pair table ────────────────────────────────────────────────────────────
 function renderPairTable (model) {
-  const { digitMeta, numProbs, digitProb } = model;
-  const pairs = [];
-  DIGITS.forEach(a => {
-    DIGITS.forEach(b => {
-      if (b < a) return;
-      const p = a === b ? numProbs[a+b] : numProbs[a+b] + numProbs[b+a];
-      pairs.push({ a, b, prob: p, aCalib: digitMeta[a].isCalib, bCalib: digitMeta[b].isCalib,
-                   aElev: digitMeta[a].isElev, bElev: digitMeta[b].isElev });
-    });
-  });
-  pairs.sort((x, y) => y.prob - x.prob);
-  const top  = pairs.slice(0, topN);
+  const { digitProb } = model;
+  const top  = LottoCore.rankPairs(model).slice(0, topN);
   const maxP = top[0].prob;
 
   let html = `<table class="pt"><thead><tr>
@@ -339,7 +348,7 @@ function renderPairTable (model) {
     <p class="pair-note">
       {5,9} = both "59" and "95" — always buy both. Symmetry confirmed (no positional bias, Z=−1.52).
       Combined P = 2 × P(A) × P(B).
-      ✓ calibrated zone 17–22% (backtest: 22.3% hit vs 19% baseline).
+      ✓ calibrated zone 17–22% (backtest: digits there appear 17.9% of the time vs ~19% baseline, so the zone is not supported).
       ⚠ elevated &gt;22% — fewer than 3% of draws reach this, too little data to trust.
     </p>`;
   $('pairTable').innerHTML = html;
@@ -384,75 +393,137 @@ function renderLookahead (model) {
     <p style="font-size:.7rem;color:var(--muted-foreground);margin-top:.625rem;line-height:1.6">
       P(digit appears ≥1× in N draws) = 1−(1−P<sub>draw</sub>)<sup>N</sup>,
       P<sub>draw</sub> = 1−(1−score)².
-      Calibrated 17–22%: zone analysis found 22.3% actual hit rate vs 19% baseline.
+      Calibrated 17–22%: the backtest finds those digits in 17.9% of draws (95% CI 11.9–25.2%) vs ~19% baseline, so the zone is not supported.
       Elevated &gt;22%: almost never occurs — do not over-interpret those readings.
     </p>`;
   $('lookaheadTable').innerHTML = html;
 }
 
-// ── Backtest ──────────────────────────────────────────────────────────────
-function runBacktest () {
-  const N = allDraws.length, out = [];
-  for (let i = MIN_HIST; i < N; i++) {
-    const seq   = allDraws.slice(0, i).map(d => d.twoNum);
-    const model = computeModel(seq, recW);
-    if (!model) continue;
-    const { numProbs, digitMeta } = model;
-    const topNums = Object.entries(numProbs).sort((a, b) => b[1]-a[1]).slice(0, topN).map(([n]) => n);
-    const actual  = allDraws[i].twoNum;
-    const pActual = Math.max(numProbs[actual]||0, numProbs[mirror(actual)]||0);
-    const pairHit = topNums.includes(actual) || topNums.includes(mirror(actual));
-    const topDigs = DIGITS.slice().sort((a, b) => digitMeta[b].prob - digitMeta[a].prob).slice(0, 4);
-    function hor (k) {
-      for (let j = 1; j <= k && (i+j) < N; j++) {
-        const a = allDraws[i+j].twoNum;
-        if (topNums.includes(a) || topNums.includes(mirror(a))) return a;
-      }
-      return null;
-    }
-    out.push({ i, dateStr: allDraws[i].dateStr, actual, topNums, topDigs, pActual, pairHit, hit2: hor(2), hit4: hor(4), digitMeta });
-  }
-  return out;
+// ── Top numbers (positional targets) ─────────────────────────────────────
+function renderNumberTable (model) {
+  const uniform = Math.pow(10, -model.digits);
+  const top     = LottoCore.topNumbers(model.numProbs, topN);
+  const maxP    = model.numProbs[top[0]];
+
+  let html = `<table class="pt"><thead><tr>
+    <th>#</th><th>Number</th><th>Score</th><th>× random</th><th>Digit scores</th>
+  </tr></thead><tbody>`;
+
+  top.forEach((num, i) => {
+    const p = model.numProbs[num];
+    html += `<tr>
+      <td style="color:var(--muted-foreground);font-size:.7rem">${i+1}</td>
+      <td style="font-family:'JetBrains Mono',monospace;font-weight:700;font-size:.9375rem;color:hsl(142,55%,44%)">${num}</td>
+      <td>
+        <div style="font-family:'JetBrains Mono',monospace;font-size:.8rem;font-weight:600">${fmt2(p)}</div>
+        <div class="pt-bar"><div class="pt-bar-fill" style="width:${(p/maxP*100).toFixed(1)}%;background:var(--primary)"></div></div>
+      </td>
+      <td style="font-family:'JetBrains Mono',monospace;font-size:.8rem">×${(p/uniform).toFixed(2)}</td>
+      <td style="font-size:.72rem;white-space:nowrap">${[...num].map((d, pos) => `${d} ${fmt1(model.positions[pos].digitProb[d])}`).join(' &nbsp;')}</td>
+    </tr>`;
+  });
+
+  $('numberTable').innerHTML = html + '</tbody></table>';
+}
+
+// ── Cost vs expected return ───────────────────────────────────────────────
+function renderValue (model) {
+  // Two Digit buys both orientations of each top pair, as the pair table advises
+  const picks = isTwo()
+    ? [...new Set(LottoCore.rankPairs(model).slice(0, topN).flatMap(({ a, b }) => [a + b, b + a]))]
+    : LottoCore.topNumbers(model.numProbs, topN);
+  const v    = LottoCore.strategyValue(picks, target, { numProbs: model.numProbs });
+  const baht = n => '฿' + Math.round(n).toLocaleString('en-US');
+  const net  = n => `<span style="color:${n >= 0 ? 'hsl(142,55%,40%)' : 'hsl(5,68%,48%)'}">${n >= 0 ? '+' : '−'}${baht(Math.abs(n))}</span>`;
+  const ev   = LottoCore.expectedValue();
+
+  $('valueBox').innerHTML = `
+    <div class="bt-sum-item"><div class="bt-sum-lbl">Tickets</div><div class="bt-sum-val">${v.tickets}</div></div>
+    <div class="bt-sum-item"><div class="bt-sum-lbl">Cost</div><div class="bt-sum-val">${baht(v.cost)}</div></div>
+    <div class="bt-sum-item"><div class="bt-sum-lbl">Return if fair</div><div class="bt-sum-val">${baht(v.fairReturn)}</div></div>
+    <div class="bt-sum-item"><div class="bt-sum-lbl">Net if fair</div><div class="bt-sum-val">${net(v.fairNet)}</div></div>
+    <div class="bt-sum-item"><div class="bt-sum-lbl">Return if the model is right</div><div class="bt-sum-val">${baht(v.modelReturn)}</div></div>
+    <div class="bt-sum-item"><div class="bt-sum-lbl">Net if the model is right</div><div class="bt-sum-val">${net(v.modelNet)}</div></div>
+    <div class="bt-sum-item"><div class="bt-sum-lbl">Per ticket</div><div class="bt-sum-val" style="color:var(--muted-foreground)">${baht(ev.perTicket)} of ${baht(ev.price)} (${fmt1(ev.returnRate)})</div></div>`;
 }
 
-function renderBacktest () {
-  const bt  = runBacktest();
+// ── Backtest ──────────────────────────────────────────────────────────────
+// Runs in modelWorker.js; while sliders move, each newer run supersedes the
+// last and the stale one resolves null, so only the latest settings render.
+async function renderBacktest () {
+  const pending = on => ['btSummary', 'btGrid'].forEach(id => $(id).classList.toggle('bt-pending', on));
+  pending(true);
+  let bt;
+  try {
+    bt = await (isTwo()
+      ? LottoJobs.run('backtest', allDraws, { recW, topN, weights })
+      : LottoJobs.run('targetBacktest', allDraws, { recW, topN, weights, digits: TARGETS[target].digits }, { channel: 'backtest' }));
+  } catch (err) {
+    bt = [];
+    $('btSummary').textContent = err.message;
+  }
+  if (!bt) return;
+  pending(false);
   if (!bt.length) return;
-  const n   = bt.length;
-  const pr  = bt.filter(r => r.pairHit).length / n;
-  const h2r = bt.filter(r => r.hit2).length    / n;
-  const h4r = bt.filter(r => r.hit4).length    / n;
-  const bl  = topN / 100;
-  const z   = (pr - bl) / Math.sqrt(bl * (1 - bl) / n);
-  const se  = Math.sqrt(bl * (1 - bl) / n) * 100;
+  const st  = LottoCore.backtestStats(bt, topN, isTwo() ? undefined : LottoCore.targetBaseline(target, topN));
+  const ps  = LottoCore.probabilityStats(bt, isTwo() ? 2 : TARGETS[target].digits);
+  const { n, baseline: bl, z } = st;
+  const pr  = st.hitRate, h2r = st.hit2Rate, h4r = st.hit4Rate;
+  const key = configKey();
+  const { tried, holmP } = recordTried(key, st.p);
+  const perm = permResults[key];
+  const verdict = significance(pr > bl, holmP, perm);
 
   $('btSummary').innerHTML = `
     <div class="bt-sum-item"><div class="bt-sum-lbl">Tested</div><div class="bt-sum-val">${n}</div></div>
     <div class="bt-sum-item">
-      <div class="bt-sum-lbl">Pair hit (top ${topN})</div>
+      <div class="bt-sum-lbl">${isTwo() ? 'Pair hit' : 'Hit'} (top ${topN})</div>
       <div class="bt-sum-val" style="color:${pr>bl?'hsl(142,55%,40%)':'hsl(5,68%,48%)'}">${(pr*100).toFixed(1)}%</div>
     </div>
     <div class="bt-sum-item">
       <div class="bt-sum-lbl">Random baseline</div>
-      <div class="bt-sum-val" style="color:var(--muted-foreground)">${(bl*100).toFixed(0)}%</div>
+      <div class="bt-sum-val" style="color:var(--muted-foreground)">${fmt1(bl)}</div>
+    </div>
+    <div class="bt-sum-item"><div class="bt-sum-lbl">95% CI (exact)</div><div class="bt-sum-val" style="color:var(--muted-foreground)">${fmt1(st.ciLo)}–${fmt1(st.ciHi)}</div></div>
+    <div class="bt-sum-item"><div class="bt-sum-lbl">Z-score</div><div class="bt-sum-val" style="color:var(--muted-foreground)">${z.toFixed(2)}</div></div>
+    <div class="bt-sum-item"><div class="bt-sum-lbl">Binomial p</div><div class="bt-sum-val">${fmtP(st.p)}</div></div>
+    <div class="bt-sum-item" title="Bonferroni: ${fmtP(Math.min(1, st.p * tried))}">
+      <div class="bt-sum-lbl">Holm p · ${tried} tried</div><div class="bt-sum-val">${fmtP(holmP)}</div>
     </div>
     <div class="bt-sum-item">
-      <div class="bt-sum-lbl">Z-score</div>
-      <div class="bt-sum-val" style="color:${Math.abs(z)>=1.96?'hsl(142,55%,40%)':'var(--muted-foreground)'}">
-        ${z.toFixed(2)}${Math.abs(z)>=1.96?' ✓':' (not sig.)'}
-      </div>
+      <div class="bt-sum-lbl">Permutation p</div>
+      <div class="bt-sum-val"${perm ? ` title="${perm.exceed} of ${perm.shuffles} shuffles hit ≥ ${perm.observed} times (mean ${perm.nullMean.toFixed(1)})"` : ''}>${perm ? fmtP(perm.p) : '—'}</div>
+    </div>
+    <div class="bt-sum-item">
+      <div class="bt-sum-lbl">Verdict</div>
+      <div class="bt-sum-val" style="color:${verdict.ok ? 'hsl(142,55%,40%)' : 'var(--muted-foreground)'}" title="${verdict.why}">${verdict.label}</div>
     </div>
-    <div class="bt-sum-item"><div class="bt-sum-lbl">Margin of error</div><div class="bt-sum-val" style="color:var(--muted-foreground)">±${se.toFixed(1)}pp</div></div>
     <div class="bt-sum-item"><div class="bt-sum-lbl">Hit in +2 draws</div><div class="bt-sum-val">${(h2r*100).toFixed(1)}%</div></div>
-    <div class="bt-sum-item"><div class="bt-sum-lbl">Hit in +4 draws</div><div class="bt-sum-val">${(h4r*100).toFixed(1)}%</div></div>`;
+    <div class="bt-sum-item"><div class="bt-sum-lbl">Hit in +4 draws</div><div class="bt-sum-val">${(h4r*100).toFixed(1)}%</div></div>
+    <div class="bt-sum-item" title="Mean −ln p(drawn number); uniform guessing scores ${ps.uniformLogLoss.toFixed(3)}">
+      <div class="bt-sum-lbl">Log-loss</div><div class="bt-sum-val">${ps.logLoss.toFixed(3)}</div>
+    </div>
+    <div class="bt-sum-item" title="1 − log-loss / uniform; Z=${ps.gainZ.toFixed(2)} for the per-draw improvement">
+      <div class="bt-sum-lbl">Log-loss skill</div><div class="bt-sum-val" style="color:${skillColor(ps.logLossSkill, ps.gainZ)}">${fmtSkill(ps.logLossSkill)}</div>
+    </div>
+    <div class="bt-sum-item" title="1 − Brier / uniform (${ps.uniformBrier.toFixed(4)}); Brier = ${ps.brier.toFixed(4)}">
+      <div class="bt-sum-lbl">Brier skill</div><div class="bt-sum-val">${fmtSkill(ps.brierSkill)}</div>
+    </div>`;
+  renderCalibration(ps);
 
   const rows = bt.slice(-btRows);
   let grid = `<div class="bt-hdr">
     <div>Date</div><div>Drawn</div><div>Prob</div>
     <div>Pred digits → got</div><div>Top picks (first 10)</div>
-    <div style="text-align:center">Pair</div><div style="text-align:center">+2</div><div style="text-align:center">+4</div>
+    <div style="text-align:center">${isTwo() ? 'Pair' : 'Hit'}</div><div style="text-align:center">+2</div><div style="text-align:center">+4</div>
   </div>`;
 
+  if (!isTwo()) {
+    rows.forEach(r => { grid += targetBacktestRow(r); });
+    $('btGrid').innerHTML = grid;
+    return;
+  }
+
   rows.forEach(r => {
     const actualDs = [r.actual[0], r.actual[1]];
     const chips = r.topNums.slice(0, 10).map(n => {
@@ -482,4 +553,257 @@ function renderBacktest () {
   $('btGrid').innerHTML = grid;
 }
 
+// ── Probability scores ────────────────────────────────────────────────────
+function fmtSkill (s) { return (s > 0 ? '+' : '') + (s * 100).toFixed(2) + '%'; }
+function skillColor (s, z) { return Math.abs(z) < 1.96 ? 'var(--muted-foreground)' : s > 0 ? 'hsl(142,55%,40%)' : 'hsl(5,68%,48%)'; }
+
+// Reliability diagram: mean forecast (x) against how often it came true (y),
+// one point per bin with its 95% interval. `scale` converts probabilities to
+// axis units; calibrated points sit on the dashed diagonal.
+function reliabilitySvg (curve, { scale, tick, highlight = () => false }) {
+  const W = 260, H = 200, L = 38, B = 20, T = 8, R = 10;
+  const top = Math.max(...curve.map(c => Math.max(c.meanP, c.observed))) * scale * 1.15;
+  const x = v => L + Math.min(v * scale / top, 1) * (W - L - R);
+  const y = v => H - B - Math.min(v * scale / top, 1) * (H - B - T);
+  let svg = `<svg class="calib-svg" viewBox="0 0 ${W} ${H}" role="img">
+    <line class="calib-axis" x1="${L}" y1="${H - B}" x2="${W - R}" y2="${H - B}"/>
+    <line class="calib-axis" x1="${L}" y1="${T}" x2="${L}" y2="${H - B}"/>
+    <line class="calib-diag" x1="${x(0)}" y1="${y(0)}" x2="${x(top / scale)}" y2="${y(top / scale)}"/>`;
+  [0.5, 1].forEach(f => {
+    const v = top * f / scale;
+    svg += `<text class="calib-tick" x="${x(v)}" y="${H - 6}" text-anchor="middle">${tick(v)}</text>
+      <text class="calib-tick" x="${L - 4}" y="${y(v) + 3}" text-anchor="end">${tick(v)}</text>`;
+  });
+  curve.forEach(c => {
+    svg += `<line class="calib-ci" x1="${x(c.meanP)}" y1="${y(c.ciLo)}" x2="${x(c.meanP)}" y2="${y(c.ciHi)}"/>
+      <circle class="calib-pt${highlight(c) ? ' calib-hl' : ''}" cx="${x(c.meanP)}" cy="${y(c.observed)}" r="${(2.5 + Math.min(3.5, Math.sqrt(c.n) / 25)).toFixed(1)}">
+        <title>predicted ${tick(c.meanP)} · observed ${tick(c.observed)} (95% CI ${tick(c.ciLo)}–${tick(c.ciHi)}) · ${c.n} forecasts</title></circle>`;
+  });
+  return svg + '</svg>';
+}
+
+function renderCalibration (ps) {
+  const u = Math.pow(10, isTwo() ? 2 : TARGETS[target].digits);
+  let html = `<div class="calib-wrap"><div class="calib-fig">
+    <div class="calib-cap">Number reliability (× uniform 1/${u})</div>
+    ${reliabilitySvg(ps.curve, { scale: u, tick: v => (v * u).toFixed(1) + '×' })}</div>`;
+  if (ps.digitCurve) {
+    const zone = c => c.lo === LottoCore.CALIB_LO;
+    html += `<div class="calib-fig">
+      <div class="calib-cap">Digit in draw (amber = ${LottoCore.CALIB_LO * 100}–${LottoCore.CALIB_HI * 100}% calibrated zone)</div>
+      ${reliabilitySvg(ps.digitCurve, { scale: 100, tick: v => (v * 100).toFixed(0) + '%', highlight: zone })}</div>`;
+  }
+  $('btCalib').innerHTML = html + `</div>
+    <p class="oos-note">Each point bins the backtest forecasts by predicted probability (x) and shows how often they came true (y).
+      Points below the diagonal are over-confident. Hover a point for its counts.</p>`;
+}
+
+// ── Significance ──────────────────────────────────────────────────────────
+// Every backtest shown is one more chance for a lucky result, so the p-value
+// is Holm-corrected over all distinct configurations shown in this tab.
+const TRIED_KEY = 'predTriedConfigs';
+
+function configKey () {
+  return JSON.stringify([target, topN, recW, weights.wRec, weights.wOv, weights.wBase, weights.ovCap]);
+}
+
+function recordTried (key, p) {
+  let tried = {};
+  try { tried = JSON.parse(sessionStorage.getItem(TRIED_KEY)) || {}; } catch (e) { /* start afresh */ }
+  tried[key] = p;
+  try { sessionStorage.setItem(TRIED_KEY, JSON.stringify(tried)); } catch (e) { /* storage full or blocked */ }
+  const keys = Object.keys(tried);
+  return { tried: keys.length, holmP: LottoCore.holm(keys.map(k => tried[k]))[keys.indexOf(key)] };
+}
+
+// ✓ needs the corrected binomial p and, once run, the permutation p below 0.05
+function significance (aboveBaseline, holmP, perm) {
+  if (!aboveBaseline) return { ok: false, label: 'No edge', why: 'Hit rate is not above the random baseline.' };
+  if (holmP >= 0.05)  return { ok: false, label: 'Not sig.', why: 'Holm-corrected p ≥ 0.05 for the configurations tried so far.' };
+  if (!perm)          return { ok: false, label: 'Run perm. test', why: 'Significant after Holm; confirm with the permutation test.' };
+  if (perm.p >= 0.05) return { ok: false, label: 'Not sig.', why: 'Shuffled draw orders do as well in at least 5% of runs.' };
+  return { ok: true, label: 'Significant ✓', why: 'Holm-corrected binomial p and permutation p both below 0.05.' };
+}
+
+function fmtP (p) { return p < 0.001 ? '<0.001' : p.toFixed(3); }
+
+$('permBtn').addEventListener('click', async () => {
+  if (permuting) { LottoJobs.cancel('permute'); $('permStatus').textContent = 'Cancelled.'; return; }
+  if (!allDraws.length) return;
+  const key = configKey(), shuffles = 200;
+  permuting = true;
+  $('permBtn').textContent = 'Cancel';
+  try {
+    const result = await LottoJobs.run('permute', allDraws, { target, topN, recW, weights, shuffles }, {
+      onProgress: (done, total) => { $('permStatus').textContent = `${done} / ${total} shuffled histories…`; },
+    });
+    if (!result) return;
+    permResults[key] = result;
+    $('permStatus').textContent = `${result.exceed} of ${result.shuffles} shuffles did as well (p = ${fmtP(result.p)}).`;
+    if (key === configKey()) renderBacktest();
+  } catch (err) {
+    $('permStatus').textContent = err.message;
+  } finally {
+    permuting = false;
+    $('permBtn').textContent = 'Permutation test';
+  }
+});
+
+// Same columns as the TWO rows; predicted digits are the best digit per position
+function targetBacktestRow (r) {
+  const chips = r.topNums.slice(0, 10).map(n =>
+    `<span class="bt-chip${r.actual.includes(n)?' pair-hit':''}">${n}</span>`).join('');
+  const predStr = r.topDigs.map((d, p) => {
+    const h = r.actual.some(a => a[p] === d);
+    return `<span style="font-weight:${h?700:400};color:${h?'hsl(142,55%,38%)':'var(--muted-foreground)'}">${d}</span>`;
+  }).join('');
+
+  return `<div class="bt-row">
+    <div class="bt-date">${r.dateStr}</div>
+    <div class="bt-actual" style="color:${r.hit?'hsl(142,55%,40%)':'var(--foreground)'}">${r.actual.join(' ')}</div>
+    <div style="font-family:'JetBrains Mono',monospace;font-size:.7rem;color:var(--muted-foreground)">${fmt2(r.pActual)}</div>
+    <div style="font-size:.68rem;font-family:'JetBrains Mono',monospace;white-space:nowrap">${predStr}→${r.actual.join(' ')}</div>
+    <div class="bt-chips">${chips}</div>
+    ${r.hit?'<div class="bt-cell bt-yes">✓</div>':'<div class="bt-cell bt-no">—</div>'}
+    ${r.hit2?`<div class="bt-cell bt-hit2">${r.hit2}</div>`:'<div class="bt-cell bt-no">—</div>'}
+    ${r.hit4?`<div class="bt-cell bt-hit4">${r.hit4}</div>`:'<div class="bt-cell bt-no">—</div>'}
+  </div>`;
+}
+
+// ── Weight tuning ─────────────────────────────────────────────────────────
+$('tuneBtn').addEventListener('click', () => {
+  if (tuning) { LottoJobs.cancel('tune'); $('tuneStatus').textContent = 'Cancelled.'; return; }
+  if (allDraws.length) startTune();
+});
+$('trainEndInput').addEventListener('change', () => renderOutOfSample());
+$('validEndInput').addEventListener('change', () => renderOutOfSample());
+$('cvFoldsSel').addEventListener('change', () => renderOutOfSample());
+$('tuneApplyBtn').addEventListener('click', () => {
+  if (!tuneResult) return;
+  setParams(tuneResult.best.weights, tuneResult.best.recW);
+  renderAll();
+  renderHeatmap();
+});
+
+async function startTune () {
+  const label = isTwo() ? 'Two Digit' : TARGETS[target].label;
+  tuning = true;
+  $('tuneBtn').textContent = 'Cancel';
+  $('tuneStatus').textContent = 'Starting…';
+  try {
+    const result = await LottoJobs.run('tune', allDraws, { target, topN }, {
+      onProgress: (done, total) => { $('tuneStatus').textContent = `${label}, top ${topN}: ${done} / ${total} backtests…`; },
+    });
+    if (!result) return;
+    tuneResult = { ...result, label };
+    // Default split: 60% train, 20% validation, 20% test
+    const { dates } = tuneResult;
+    $('trainEndInput').value = dates[Math.floor(dates.length * 0.6)];
+    $('validEndInput').value = dates[Math.floor(dates.length * 0.8)];
+    renderHeatmap();
+    renderOutOfSample();
+  } catch (err) {
+    $('tuneStatus').textContent = err.message;
+  } finally {
+    tuning = false;
+    $('tuneBtn').textContent = 'Tune';
+  }
+}
+
+// Rows = overdue weight, columns = recency weight; each cell keeps its best W × cap
+function renderHeatmap () {
+  if (!tuneResult) return;
+  const { results, best, baseline, label } = tuneResult;
+  const key = w => Math.round(w.wRec * 10) + ':' + Math.round(w.wOv * 10);
+  const cells = {};
+  results.forEach(r => { if (!cells[key(r.weights)]) cells[key(r.weights)] = r; });   // results are best first
+  // Each cell against its own baseline (for TWO, its lists' mirror coverage)
+  const maxDev = Math.max(...Object.values(cells).map(c => Math.abs(c.hitRate - c.baseline)), 1e-9);
+
+  // Ring the current settings when they sit on the grid
+  const sum = weights.wRec + weights.wOv + weights.wBase;
+  const onGrid = v => Math.abs(v * 10 - Math.round(v * 10)) < 1e-9;
+  const curKey = onGrid(weights.wRec / sum) && onGrid(weights.wOv / sum)
+    ? key({ wRec: weights.wRec / sum, wOv: weights.wOv / sum }) : null;
+
+  const steps = [...Array(11).keys()];
+  let html = `<table class="hm"><thead><tr><th class="hm-axis">ov ╲ rec</th>${steps.map(r => `<th>${r * 10}</th>`).join('')}</tr></thead><tbody>`;
+  steps.forEach(o => {
+    html += `<tr><th>${o * 10}</th>`;
+    steps.forEach(r => {
+      const c = cells[r + ':' + o];
+      if (!c) { html += '<td class="hm-empty"></td>'; return; }
+      const dev = (c.hitRate - c.baseline) / maxDev;
+      const cls = [r + ':' + o === key(best.weights) ? 'hm-best' : '', r + ':' + o === curKey ? 'hm-cur' : ''].join(' ').trim();
+      html += `<td class="${cls}" style="background:hsla(${dev >= 0 ? 142 : 5},60%,42%,${(0.1 + 0.75 * Math.abs(dev)).toFixed(2)})"
+        title="rec ${r * 10}% · ov ${o * 10}% · base ${100 - r * 10 - o * 10}% · best at W=${c.recW}, cap ${c.weights.ovCap}× → ${fmt1(c.hitRate)} vs ${fmt1(c.baseline)} (Z=${c.z.toFixed(2)})">${(c.hitRate * 100).toFixed(1)}</td>`;
+    });
+    html += '</tr>';
+  });
+  html += `</tbody></table>
+    <p class="pair-note">Base-rate weight = 100 − rec − ov. Cells show the top-${tuneResult.topN} hit rate in %.</p>`;
+
+  $('tuneHeatmap').innerHTML = html;
+  $('tuneApplyBtn').disabled = false;
+  const bw = best.weights;
+  $('tuneStatus').textContent =
+    `${label}, top ${tuneResult.topN}: best rec ${Math.round(bw.wRec * 100)} · ov ${Math.round(bw.wOv * 100)} · base ${Math.round(bw.wBase * 100)}, ` +
+    `W=${best.recW}, cap ${bw.ovCap}× → ${fmt1(best.hitRate)} vs ${fmt1(baseline)} baseline (Z=${best.z.toFixed(2)}, in-sample)`;
+}
+
+// Weight combination as "rec 50 · ov 20 · base 30, W=15, cap 2×"
+function paramStr ({ weights: w, recW: W }) {
+  return `rec ${Math.round(w.wRec * 100)} · ov ${Math.round(w.wOv * 100)} · base ${Math.round(w.wBase * 100)}, W=${W}, cap ${w.ovCap}×`;
+}
+
+function rateCell (st, inSample) {
+  return `<td class="${inSample ? 'oos-in' : ''}" style="font-family:'JetBrains Mono',monospace;font-size:.8rem">
+    <strong style="color:${inSample ? 'inherit' : st.hitRate > st.baseline ? 'hsl(142,55%,40%)' : 'hsl(5,68%,48%)'}">${fmt1(st.hitRate)}</strong>
+    <span style="font-size:.65rem;color:var(--muted-foreground)"> Z=${st.z.toFixed(2)} · n=${st.n}</span></td>`;
+}
+
+function renderOutOfSample () {
+  if (!tuneResult) return;
+  $('tuneOos').style.display = '';
+  const bl = tuneResult.baseline;   // the heatmap best's; each rate is coloured against its own
+
+  const ev = LottoCore.splitEvaluation(tuneResult, { trainEnd: $('trainEndInput').value, validEnd: $('validEndInput').value });
+  if (!ev) {
+    $('splitTable').innerHTML = `<p class="oos-note">Each block needs at least one backtested draw — pick a train date after ${tuneResult.dates[0]} and a later validation date.</p>`;
+  } else {
+    const { train, valid, test } = ev.blocks;
+    const head = (lbl, b) => `<th>${lbl}<div style="font-weight:400;text-transform:none;letter-spacing:0">${b.from} → ${b.to}</div></th>`;
+    // Which columns each row's choice was made on
+    const rows = [
+      ['Picked on train + validation', ev.chosen,   [true, true, false, false]],
+      ['Best on all draws (heatmap)',  ev.inSample, [true, true, true, true]],
+      ['Published defaults',           ev.defaults, [true, true, true, true]],
+    ].filter(([, r]) => r);
+    $('splitTable').innerHTML = `<table class="pt"><thead><tr><th>Weights</th>
+        ${head('Train', train)}${head('Validation', valid)}${head('Test (held out)', test)}<th>All draws</th>
+      </tr></thead><tbody>${rows.map(([lbl, r, inS]) => `<tr>
+        <td><div style="font-weight:600;font-size:.8rem">${lbl}</div><div style="font-size:.68rem;color:var(--muted-foreground)">${paramStr(r)}</div></td>
+        ${rateCell(r.train, inS[0])}${rateCell(r.valid, inS[1])}${rateCell(r.test, inS[2])}${rateCell(r.all, inS[3])}
+      </tr>`).join('')}</tbody></table>
+      <p class="oos-note">Grey cells are in-sample: those draws helped choose the weights. Only the coloured cells are a fair estimate
+        (random baseline about ${fmt1(bl)}; for Two Digit each list's mirror coverage). The published defaults were tuned on the whole archive, so every column is in-sample for them.</p>`;
+  }
+
+  const cv = LottoCore.rollingOrigin(tuneResult, { folds: +$('cvFoldsSel').value });
+  if (!cv) { $('cvTable').innerHTML = ''; return; }
+  $('cvTable').innerHTML = `<table class="pt"><thead><tr>
+      <th>Fold</th><th>Tuned on draws to</th><th>Scored on</th><th>Picked weights</th><th>In-sample</th><th>Out-of-sample</th>
+    </tr></thead><tbody>${cv.folds.map(f => `<tr>
+      <td>${f.fold}</td>
+      <td style="font-family:'JetBrains Mono',monospace;font-size:.75rem">${f.trainTo}</td>
+      <td style="font-family:'JetBrains Mono',monospace;font-size:.75rem">${f.from} → ${f.to}</td>
+      <td style="font-size:.72rem">${paramStr(f)}</td>
+      ${rateCell(f.inSample, true)}${rateCell(f.outSample, false)}
+    </tr>`).join('')}
+    <tr><td colspan="4" style="font-weight:600;font-size:.8rem">Pooled</td>
+      <td class="oos-in" style="font-family:'JetBrains Mono',monospace;font-size:.8rem"><strong>${fmt1(cv.inSampleRate)}</strong></td>
+      ${rateCell(cv.outSample, false)}</tr>
+    </tbody></table>`;
+}
+
 init().catch(err => { setStatus('', 'Error: ' + err.message); console.error(err); });
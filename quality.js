@@ -0,0 +1,124 @@
+// Thai Lotto Analyzer – Data Quality Page
+// Lists the validation anomalies recorded for each draw file (see validateDrawText in lottoLoader.js)
+
+const KIND_LABELS = {
+  'count':       'Wrong count',
+  'format':      'Bad number',
+  'near-first':  'Near-first mismatch',
+  'missing':     'Missing prize',
+  'duplicate':   'Duplicate line',
+  'unknown-tag': 'Unrecognised line',
+};
+
+// DOM
+const kindSelect   = document.getElementById('kindSelect');
+const summaryEl    = document.getElementById('summary');
+const tableEl      = document.getElementById('anomalyTable');
+const statusDot    = document.getElementById('statusDot');
+const statusText   = document.getElementById('statusText');
+const themeToggle  = document.getElementById('themeToggle');
+
+// State
+let drawCount = 0;
+let flagged = []; // [{ dateStr, anomalies: [{ prize, kind, detail }] }], newest first
+
+// Shareable view state: the problem filter, kept in the URL (lottoState.js)
+const viewState = () => ({ kind: kindSelect.value });
+const VIEW_DEFAULTS = Object.freeze({ kind: '' });   // quality.html's default, not the (possibly restored) select
+
+// ── Theme ────────────────────────────────────────────────────────────────────
+themeToggle.addEventListener('click', () => {
+  const isDark = document.documentElement.classList.toggle('dark');
+  localStorage.setItem('theme', isDark ? 'dark' : 'light');
+});
+const savedTheme = localStorage.getItem('theme');
+if (savedTheme === 'dark' || (!savedTheme && window.matchMedia('(prefers-color-scheme: dark)').matches)) {
+  document.documentElement.classList.add('dark');
+}
+
+// ── Bootstrap ─────────────────────────────────────────────────────────────────
+async function init() {
+  const { kind } = LottoState.read(VIEW_DEFAULTS);
+  if ([...kindSelect.options].some(o => o.value === kind)) kindSelect.value = kind;
+  setStatus('loading', 'Loading data from cache…');
+  const info = await LottoLoader.ensureData({ onProgress: msg => setStatus('loading', msg) });
+
+  if (!info || info.size === 0) {
+    setStatus('empty', 'No data. The lottery files could not be downloaded.');
+    tableEl.innerHTML = `
+      <div class="empty-state">
+        <h2>No data available</h2>
+        <p>No draw files could be fetched from <code>lottonumbers/</code>. Check your connection and reload.</p>
+      </div>`;
+    return;
+  }
+
+  drawCount = info.size;
+  flagged = (await LottoData.getAnomalies()).reverse();
+
+  const age = LottoData.formatAge(info.fetchedAt);
+  setStatus('live', `${drawCount} draws checked${age !== null ? ` · cached ${age} ago` : ''}`);
+  render();
+}
+
+function setStatus(state, text) {
+  statusText.textContent = text;
+  statusDot.className = 'status-dot' + (state === 'live' ? ' live' : '');
+}
+
+// ── Render ────────────────────────────────────────────────────────────────────
+function tile(value, label, warn) {
+  return `<div class="q-tile${warn ? ' warn' : ''}"><div class="q-tile-val">${value}</div><div class="q-tile-lbl">${label}</div></div>`;
+}
+
+function esc(s) {
+  return String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function render() {
+  LottoState.write(viewState(), VIEW_DEFAULTS);
+  const byKind = {};
+  flagged.forEach(d => d.anomalies.forEach(a => { byKind[a.kind] = (byKind[a.kind] || 0) + 1; }));
+
+  summaryEl.innerHTML =
+    tile(drawCount, 'Draws checked') +
+    tile(drawCount - flagged.length, 'Clean') +
+    tile(flagged.length, 'With issues', flagged.length > 0) +
+    Object.entries(byKind).map(([k, n]) => tile(n, KIND_LABELS[k] || k, true)).join('');
+
+  const kind = kindSelect.value;
+  const rows = [];
+  flagged.forEach(({ dateStr, anomalies }) => {
+    anomalies.filter(a => !kind || a.kind === kind).forEach(a => {
+      rows.push(`<tr>
+        <td class="q-date">${dateStr}</td>
+        <td>${esc(a.prize)}</td>
+        <td><span class="q-kind">${esc(KIND_LABELS[a.kind] || a.kind)}</span></td>
+        <td class="q-detail">${esc(a.detail)}</td>
+      </tr>`);
+    });
+  });
+
+  if (!rows.length) {
+    tableEl.innerHTML = `
+      <div class="empty-state">
+        <h2>No problems found</h2>
+        <p>${kind ? 'No draw has this kind of problem.' : 'Every draw file matches the expected format.'}</p>
+      </div>`;
+    return;
+  }
+
+  tableEl.innerHTML = `
+    <table>
+      <thead><tr><th>Draw</th><th>Prize</th><th>Problem</th><th>Detail</th></tr></thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>`;
+}
+
+kindSelect.addEventListener('change', () => { if (drawCount) render(); });
+
+// ── Init ─────────────────────────────────────────────────────────────────────
+init().catch(err => {
+  console.error('quality.js init error:', err);
+  setStatus('empty', 'Failed to load data.');
+});
@@ -1,7 +1,7 @@
 // Thai Lotto Analyzer – Draw Results Page
-// Reads from the same IndexedDB cache as script.js
+// Reads draws through lottoData.js
 
-const PRIZE_LIST = ['FIRST','SECOND','THIRD','FOURTH','FIFTH','TWO','THREE_FIRST','THREE_LAST','NEAR_FIRST'];
+const { PRIZE_LIST } = LottoData;
 const PRIZE_LABELS = {
   FIRST: 'First',
   SECOND: 'Second',
@@ -11,13 +11,10 @@ const PRIZE_LABELS = {
   TWO: 'Two Digit',
   THREE_FIRST: 'Three (Front)',
   THREE_LAST: 'Three (Back)',
+  THREE_LEGACY: 'Three (Legacy)',
   NEAR_FIRST: 'Near First',
 };
 
-const DB_NAME = 'thai-lotto-agg-db';
-const STORE_NAME = 'agg-store';
-const CACHE_KEY = 'perFileAggMap_v2';
-
 // DOM
 const drawList     = document.getElementById('drawList');
 const searchInput  = document.getElementById('searchInput');
@@ -33,7 +30,12 @@ const matchNumCount  = document.getElementById('matchNumCount');
 const themeToggle  = document.getElementById('themeToggle');
 
 // State
-let allDraws = []; // [{ dateStr, results: { PRIZE: 'num1, num2, ...' } }], newest first
+let allDraws = []; // [{ dateStr, results: { PRIZE: ['num1', 'num2', ...] }, anomalies? }], newest first
+
+// Shareable view state: the search and filters, kept in the URL (lottoState.js)
+const viewState = () => ({ q: searchInput.value.trim(), limit: +limitSelect.value, prize: prizeFilter.value });
+// As results.html ships the controls; not read from them, since a reload can refill the form
+const VIEW_DEFAULTS = Object.freeze({ q: '', limit: 50, prize: '' });
 
 // ── Theme ────────────────────────────────────────────────────────────────────
 themeToggle.addEventListener('click', () => {
@@ -45,52 +47,38 @@ if (savedTheme === 'dark' || (!savedTheme && window.matchMedia('(prefers-color-s
   document.documentElement.classList.add('dark');
 }
 
-// ── IndexedDB ─────────────────────────────────────────────────────────────────
-async function loadCache() {
-  return new Promise((resolve) => {
-    const req = indexedDB.open(DB_NAME, 1);
-    req.onupgradeneeded = (ev) => {
-      const db = ev.target.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) db.createObjectStore(STORE_NAME);
-    };
-    req.onsuccess = (ev) => {
-      const db = ev.target.result;
-      const tx = db.transaction(STORE_NAME, 'readonly');
-      const store = tx.objectStore(STORE_NAME);
-      const get = store.get(CACHE_KEY);
-      get.onsuccess = () => resolve(get.result || null);
-      get.onerror = () => resolve(null);
-    };
-    req.onerror = () => resolve(null);
-  });
-}
-
 // ── Bootstrap ─────────────────────────────────────────────────────────────────
 async function init() {
+  restoreView();
   setStatus('loading', 'Loading data from cache…');
 
-  const cached = await loadCache();
+  const info = await LottoLoader.ensureData({ onProgress: msg => setStatus('loading', msg) });
 
-  if (!cached || !cached.data || Object.keys(cached.data).length === 0) {
-    setStatus('empty', 'No cached data. Visit the main Analyzer page first to load lottery data.');
+  if (!info || info.size === 0) {
+    setStatus('empty', 'No data. The lottery files could not be downloaded.');
     renderEmpty();
     return;
   }
 
-  const map = new Map(Object.entries(cached.data));
-  const age = cached.fetchedAt ? Math.round((Date.now() - cached.fetchedAt) / 60000) : null;
-  const ageStr = age !== null ? ` · cached ${age < 60 ? age + ' min' : Math.round(age/60) + 'h'} ago` : '';
+  const age = LottoData.formatAge(info.fetchedAt);
+  const ageStr = age !== null ? ` · cached ${age} ago` : '';
 
-  // Build sorted draws array (newest first)
-  allDraws = Array.from(map.entries())
-    .map(([dateStr, agg]) => ({ dateStr, results: agg.results || {} }))
-    .filter(d => Object.keys(d.results).length > 0)
-    .sort((a, b) => b.dateStr.localeCompare(a.dateStr));
+  // Newest first
+  allDraws = (await LottoData.getDraws()).reverse();
 
   setStatus('live', `${allDraws.length} draws loaded${ageStr}`);
   render();
 }
 
+// Set the controls from the URL; values they don't offer keep their defaults
+function restoreView() {
+  const v = LottoState.read(VIEW_DEFAULTS);
+  const offered = (sel, val) => [...sel.options].some(o => o.value === String(val));
+  searchInput.value = v.q;
+  if (offered(limitSelect, v.limit)) limitSelect.value = v.limit;
+  if (offered(prizeFilter, v.prize)) prizeFilter.value = v.prize;
+}
+
 function setStatus(state, text) {
   statusText.textContent = text;
   statusDot.className = 'status-dot' + (state === 'live' ? ' live' : '');
@@ -101,9 +89,8 @@ function renderEmpty() {
     <div class="empty-state">
       <h2>No data available</h2>
       <p>
-        The results page reads from the same cache as the Analyzer.<br>
-        Please open <a href="index.html" style="color:var(--primary)">index.html</a>
-        first to let it fetch and cache the lottery data, then come back here.
+        No draw files could be fetched from <code>lottonumbers/</code>.<br>
+        Check your connection and reload this page.
       </p>
     </div>`;
 }
@@ -130,6 +117,7 @@ function numberMatchesSearch(num, term) {
 }
 
 function render() {
+  LottoState.write(viewState(), VIEW_DEFAULTS);
   const draws = getVisibleDraws();
   const term  = getSearchTerm();
   const prizes = getActivePrizes();
@@ -146,7 +134,7 @@ function render() {
     if (term) {
       let drawHasMatch = false;
       prizes.forEach(prize => {
-        const nums = parseNums(draw.results[prize] || '');
+        const nums = draw.results[prize] || [];
         nums.forEach(n => {
           if (numberMatchesSearch(n, term)) {
             drawHasMatch = true;
@@ -173,19 +161,14 @@ function render() {
   }
 }
 
-function parseNums(str) {
-  if (!str) return [];
-  return str.split(',').map(n => n.trim()).filter(Boolean);
-}
-
 function buildCard(draw, term, activePrizes) {
-  const { dateStr, results } = draw;
+  const { dateStr, results, anomalies } = draw;
 
   // Check if any match exists in this card
   let hasMatch = false;
   if (term) {
     activePrizes.forEach(p => {
-      parseNums(results[p] || '').forEach(n => {
+      (results[p] || []).forEach(n => {
         if (numberMatchesSearch(n, term)) hasMatch = true;
       });
     });
@@ -207,7 +190,7 @@ function buildCard(draw, term, activePrizes) {
   dateEl.className = 'draw-date';
   dateEl.textContent = dateStr;
 
-  const firstNum = parseNums(results['FIRST'] || '')[0] || '—';
+  const firstNum = (results['FIRST'] || [])[0] || '—';
   const firstBadge = document.createElement('span');
   firstBadge.className = 'draw-first-badge';
   firstBadge.textContent = firstNum;
@@ -215,6 +198,16 @@ function buildCard(draw, term, activePrizes) {
   datePart.appendChild(dateEl);
   datePart.appendChild(firstBadge);
 
+  if (anomalies) {
+    const qb = document.createElement('a');
+    qb.className = 'quality-badge';
+    qb.href = 'quality.html';
+    qb.textContent = `⚠ ${anomalies.length} issue${anomalies.length !== 1 ? 's' : ''}`;
+    qb.title = anomalies.map(a => `${a.prize}: ${a.detail}`).join('\n');
+    qb.addEventListener('click', e => e.stopPropagation());
+    datePart.appendChild(qb);
+  }
+
   if (hasMatch) {
     const mc = document.createElement('span');
     mc.className = 'match-count';
@@ -226,7 +219,7 @@ function buildCard(draw, term, activePrizes) {
   rightPart.className = 'draw-meta';
 
   // Quick summary of key prizes in collapsed view
-  const twoNum = parseNums(results['TWO'] || '')[0] || '—';
+  const twoNum = (results['TWO'] || [])[0] || '—';
   const summary = document.createElement('span');
   summary.textContent = `2-digit: ${twoNum}`;
   rightPart.appendChild(summary);
@@ -243,11 +236,22 @@ function buildCard(draw, term, activePrizes) {
   const body = document.createElement('div');
   body.className = 'draw-card-body';
 
+  if (anomalies) {
+    const list = document.createElement('ul');
+    list.className = 'quality-list';
+    anomalies.forEach(a => {
+      const li = document.createElement('li');
+      li.textContent = `${PRIZE_LABELS[a.prize] || a.prize}: ${a.detail}`;
+      list.appendChild(li);
+    });
+    body.appendChild(list);
+  }
+
   const rows = document.createElement('div');
   rows.className = 'prize-rows';
 
   activePrizes.forEach(prize => {
-    const nums = parseNums(results[prize] || '');
+    const nums = results[prize] || [];
     if (nums.length === 0) return;
 
     const row = document.createElement('div');
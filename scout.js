@@ -2,32 +2,25 @@
 // ════════════════════════════════════════════════════════════════════════════
 //  Thai Lotto Scout — Composite Cross-Signal Ranking  (scout.js)
 //  Weights: wRec=0.50  wBase=0.30  wOv=0.20  W=15  ovCap=2.0
-//  Top-15 pair hit: 18.22% vs 15.00% baseline  (Z=1.87, n=428)
+//  Top-15 pair hit: 18.8% vs 18.7% mirror-coverage baseline  (Z=0.03, n=437)
 // ════════════════════════════════════════════════════════════════════════════
 
-var DIGITS    = ['0','1','2','3','4','5','6','7','8','9'];
-var W_REC     = 0.50;
-var W_OV      = 0.20;
-var W_BASE    = 0.30;
-var OV_CAP    = 2.0;
-var REC_WIN   = 15;
-var MIN_HIST  = 30;
-var CALIB_LO  = 0.17;
-var CALIB_HI  = 0.22;
-
-var DB_NAME    = 'thai-lotto-agg-db';
-var STORE_NAME = 'agg-store';
-var CACHE_KEY  = 'perFileAggMap_v2';
+// Model, composite ranking and backtest live in lottoCore.js (shared with cli.js)
+var MIN_HIST  = LottoCore.MIN_HIST;
 
 var allDraws   = [];
-var recW       = REC_WIN;
+var recW       = LottoCore.REC_WIN;
 var topN       = 15;
 var predCutoff = 0;
 var btRowsN    = 20;
 
+// Shareable view state: the controls below, kept in the URL (lottoState.js)
+function viewState() { return { recW: recW, topN: topN, btRows: btRowsN, predCutoff: predCutoff }; }
+// The starting values above, spelled out so they never depend on a form the browser refilled
+var VIEW_DEFAULTS = { recW: LottoCore.REC_WIN, topN: 15, btRows: 20, predCutoff: 0 };
+
 function $el(id) { return document.getElementById(id); }
-function parseNums(s) { return s ? s.split(',').map(function(x){return x.trim();}).filter(Boolean) : []; }
-function mirrorNum(n) { return n[1] + n[0]; }
+var mirrorNum = LottoCore.mirror;
 function fmt1(v) { return (v * 100).toFixed(1) + '%'; }
 function fmt2(v) { return (v * 100).toFixed(2) + '%'; }
 
@@ -65,10 +58,26 @@ if ($el('predCutoffInput')) {
 if ($el('btRowsSel')) {
   $el('btRowsSel').addEventListener('change', function(e) {
     btRowsN = +e.target.value;
+    LottoState.write(viewState(), VIEW_DEFAULTS);
     if (allDraws.length) renderScoutBacktest();
   });
 }
 
+// Set the controls from the URL; values they don't offer keep their defaults
+function restoreView() {
+  var v = LottoState.read(VIEW_DEFAULTS);
+  function offered(id, val) {
+    return Array.prototype.some.call($el(id).options, function(o) { return o.value === String(val); });
+  }
+  if (offered('topNSel', v.topN)) { topN = v.topN; $el('topNSel').value = v.topN; }
+  if (offered('btRowsSel', v.btRows)) { btRowsN = v.btRows; $el('btRowsSel').value = v.btRows; }
+  $el('recSlider').value = v.recW;
+  recW = +$el('recSlider').value;   // the slider clamps it to its range
+  $el('recLbl').textContent  = recW;
+  $el('recLbl2').textContent = recW;
+  if (v.predCutoff > 0) $el('predCutoffInput').value = predCutoff = Math.round(v.predCutoff);
+}
+
 function updateCutoffLabel() {
   var el = $el('nextResultDisplay');
   if (!el || !allDraws.length) return;
@@ -83,52 +92,27 @@ function updateCutoffLabel() {
   }
 }
 
-// ── IndexedDB Cache ───────────────────────────────────────────────────────
-function loadCache() {
-  return new Promise(function(resolve) {
-    var req = indexedDB.open(DB_NAME, 1);
-    req.onupgradeneeded = function(ev) {
-      if (!ev.target.result.objectStoreNames.contains(STORE_NAME))
-        ev.target.result.createObjectStore(STORE_NAME);
-    };
-    req.onsuccess = function(ev) {
-      var get = ev.target.result.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(CACHE_KEY);
-      get.onsuccess = function() { resolve(get.result || null); };
-      get.onerror   = function() { resolve(null); };
-    };
-    req.onerror = function() { resolve(null); };
-  });
-}
-
 // ── Init ──────────────────────────────────────────────────────────────────
 async function init() {
+  restoreView();
   setStatus('', 'Loading from cache\u2026');
-  var cached = await loadCache();
-  if (!cached || !cached.data || !Object.keys(cached.data).length) {
-    setStatus('', 'No cached data.');
+  var info = await LottoLoader.ensureData({ onProgress: function(msg) { setStatus('', msg); } });
+  if (!info || !info.size) {
+    setStatus('', 'No data.');
     $el('mainContent').insertAdjacentHTML('beforeend',
       '<div style="text-align:center;padding:4rem 2rem;color:var(--muted-foreground)">' +
-      'Open <a href="index.html" style="color:var(--primary)">the Analyzer</a> first to cache data.' +
+      'No draw files could be downloaded. Check your connection and reload.' +
       '</div>');
     return;
   }
 
-  var entries = Object.entries(cached.data);
-  var tmp = [];
-  for (var ei = 0; ei < entries.length; ei++) {
-    var dateStr = entries[ei][0];
-    var agg     = entries[ei][1];
-    var nums    = parseNums((agg.results || {}).TWO || '').filter(function(n) { return n.length === 2; });
-    if (nums[0]) tmp.push({ dateStr: dateStr, twoNum: nums[0] });
-  }
-  tmp.sort(function(a, b) { return a.dateStr < b.dateStr ? -1 : 1; });
-  allDraws = tmp;
+  allDraws = LottoCore.twoDigitDraws(await LottoData.getDraws({ prizes: ['TWO'] }));
 
-  var age = cached.fetchedAt ? Math.round((Date.now() - cached.fetchedAt) / 60000) : null;
+  var age = LottoData.formatAge(info.fetchedAt);
   setStatus('live',
     allDraws.length + ' draws \xb7 ' + (allDraws[0] ? allDraws[0].dateStr : '') +
     ' \u2192 ' + (allDraws[allDraws.length - 1] ? allDraws[allDraws.length - 1].dateStr : '') +
-    (age !== null ? ' \xb7 cache ' + (age < 60 ? age + 'min' : Math.round(age / 60) + 'h') + ' old' : ''));
+    (age !== null ? ' \xb7 cache ' + age + ' old' : ''));
   updateCutoffLabel();
   renderAll();
 }
@@ -139,353 +123,46 @@ function setStatus(state, txt) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-//  CORE DIGIT MODEL
-// ═══════════════════════════════════════════════════════════════════════════
-function computeModel(seq, W) {
-  var n = seq.length;
-  if (n < MIN_HIST) return null;
-  var safeW = Math.min(W, n - 1);
-
-  var recCnt = {}, baseCnt = {}, lastSeen = {}, gapLists = {};
-  for (var di = 0; di < DIGITS.length; di++) {
-    var d = DIGITS[di];
-    recCnt[d] = 0; baseCnt[d] = 0; lastSeen[d] = -1; gapLists[d] = [];
-  }
-  var recStart = n - safeW;
-  for (var i = 0; i < n; i++) {
-    var num = seq[i], d0 = num[0], d1 = num[1];
-    baseCnt[d0]++; baseCnt[d1]++;
-    if (i >= recStart) { recCnt[d0]++; recCnt[d1]++; }
-    if (lastSeen[d0] >= 0) gapLists[d0].push(i - lastSeen[d0]);
-    lastSeen[d0] = i;
-    if (d1 !== d0) {
-      if (lastSeen[d1] >= 0) gapLists[d1].push(i - lastSeen[d1]);
-      lastSeen[d1] = i;
-    }
-  }
-
-  var raw = {}, meta = {};
-  for (var di2 = 0; di2 < DIGITS.length; di2++) {
-    var dig     = DIGITS[di2];
-    var recFreq  = recCnt[dig]  / (2 * safeW);
-    var baseFreq = baseCnt[dig] / (n * 2);
-    var gaps     = gapLists[dig];
-    var avgGap   = gaps.length >= 2 ? gaps.reduce(function(a, b) { return a + b; }, 0) / gaps.length : 5.0;
-    var since    = lastSeen[dig] >= 0 ? (n - 1 - lastSeen[dig]) : n;
-    var ovRaw    = since / Math.max(avgGap, 1);
-    var ovRatio  = Math.min(ovRaw, OV_CAP) / OV_CAP;
-    raw[dig]  = W_REC * recFreq + W_OV * ovRatio + W_BASE * baseFreq;
-    meta[dig] = { recFreq: recFreq, baseFreq: baseFreq, avgGap: avgGap, since: since, ovRatioRaw: ovRaw };
-  }
-
-  var total = 0;
-  for (var di3 = 0; di3 < DIGITS.length; di3++) total += raw[DIGITS[di3]];
-
-  var digitProb = {};
-  for (var di4 = 0; di4 < DIGITS.length; di4++) {
-    var dg = DIGITS[di4];
-    var p  = raw[dg] / total;
-    digitProb[dg]    = p;
-    meta[dg].prob    = p;
-    meta[dg].vsBase  = p - meta[dg].baseFreq;
-    meta[dg].isCalib = (p >= CALIB_LO && p <= CALIB_HI);
-    meta[dg].isElev  = (p > CALIB_HI);
-  }
-
-  var numProbs = {};
-  for (var ai = 0; ai < DIGITS.length; ai++) {
-    for (var bi = 0; bi < DIGITS.length; bi++) {
-      numProbs[DIGITS[ai] + DIGITS[bi]] = digitProb[DIGITS[ai]] * digitProb[DIGITS[bi]];
-    }
-  }
-  return { digitProb: digitProb, digitMeta: meta, numProbs: numProbs };
-}
-
-// ═══════════════════════════════════════════════════════════════════════════
-//  NUMBER-LEVEL STATS  (draws passed as parameter)
-// ═══════════════════════════════════════════════════════════════════════════
-function computeNumStats(draws) {
-  var N         = draws.length;
-  var recentCut = Math.max(0, N - Math.ceil(N * 0.25));
-  var recentN   = N - recentCut;
-
-  var appearances = {};
-  for (var ni = 0; ni <= 99; ni++) appearances[String(ni).padStart(2, '0')] = [];
-  for (var di = 0; di < N; di++) {
-    var num = draws[di].twoNum;
-    if (appearances[num]) appearances[num].push(di);
-  }
-
-  var stats = {}, keys = Object.keys(appearances);
-  for (var ki = 0; ki < keys.length; ki++) {
-    var numStr = keys[ki], idx = appearances[numStr];
-    var freq = idx.length, recentF = 0;
-    for (var ri = 0; ri < idx.length; ri++) { if (idx[ri] >= recentCut) recentF++; }
-    var avgGap = N, since = N, overdueFrac = 0;
-    if (freq >= 1) since = N - 1 - idx[freq - 1];
-    if (freq >= 2) {
-      var gs = 0;
-      for (var gi = 1; gi < idx.length; gi++) gs += idx[gi] - idx[gi - 1];
-      avgGap      = gs / (idx.length - 1);
-      overdueFrac = Math.max(-2, Math.min(3, (since - avgGap) / Math.max(1, avgGap)));
-    }
-    var overallRate = freq / N;
-    var expRecent   = overallRate * recentN;
-    var hotScore    = expRecent > 0.3 ? recentF / expRecent : (recentF > 0 ? 2 : 0);
-    stats[numStr] = {
-      freq: freq, recentF: recentF, avgGap: avgGap, since: since,
-      overdueFrac: overdueFrac, hotScore: hotScore, overallRate: overallRate,
-      lastDate: freq > 0 ? draws[idx[freq - 1]].dateStr : 'never'
-    };
-  }
-  return stats;
-}
-
-// ═══════════════════════════════════════════════════════════════════════════
-//  COMPOSITE SCORING  (respects predCutoff)
+//  DRAW WINDOW  (respects predCutoff)
 // ═══════════════════════════════════════════════════════════════════════════
-function computeComposite() {
-  var draws = (predCutoff > 0 && predCutoff < allDraws.length)
+function cutoffDraws() {
+  return (predCutoff > 0 && predCutoff < allDraws.length)
     ? allDraws.slice(0, predCutoff) : allDraws;
-
-  var drawSeq = [];
-  for (var qi = 0; qi < draws.length; qi++) drawSeq.push(draws[qi].twoNum);
-
-  var mdl = computeModel(drawSeq, recW);
-  if (!mdl) return null;
-
-  var digitProb = mdl.digitProb, digitMeta = mdl.digitMeta, numProbs = mdl.numProbs;
-  var numStats  = computeNumStats(draws);
-  var totalN    = draws.length;
-  var recentCut = Math.max(0, totalN - Math.ceil(totalN * 0.25));
-  var recentN   = totalN - recentCut;
-
-  var dRecCnt = {};
-  for (var di2 = 0; di2 < DIGITS.length; di2++) dRecCnt[DIGITS[di2]] = 0;
-  for (var ri = recentCut; ri < draws.length; ri++) {
-    dRecCnt[draws[ri].twoNum[0]]++;
-    dRecCnt[draws[ri].twoNum[1]]++;
-  }
-  var digitHot = {};
-  for (var di3 = 0; di3 < DIGITS.length; di3++) {
-    var dg  = DIGITS[di3];
-    var exp = digitMeta[dg].baseFreq * recentN * 2;
-    digitHot[dg] = exp > 0.3 ? dRecCnt[dg] / exp : (dRecCnt[dg] > 0 ? 2 : 0);
-  }
-
-  var allNums = [];
-  for (var ni = 0; ni <= 99; ni++) {
-    var numStr  = String(ni).padStart(2, '0');
-    var dA = numStr[0], dB = numStr[1];
-    var ns = numStats[numStr];
-    var pM = numProbs[numStr];
-    var acalib   = digitMeta[dA].isCalib, bcalib = digitMeta[dB].isCalib;
-    var aelev    = digitMeta[dA].isElev,  belev  = digitMeta[dB].isElev;
-    var reliab   = Math.min(1, ns.freq / 8);
-    var odBonus  = ns.freq >= 3 ? Math.max(0, ns.overdueFrac) * reliab : 0;
-    var calibBon = (acalib || bcalib) ? 1 : 0;
-    allNums.push({
-      num: numStr, a: dA, b: dB, pM: pM,
-      aCalib: acalib, bCalib: bcalib, aElev: aelev, bElev: belev,
-      aProb: digitProb[dA], bProb: digitProb[dB],
-      aOvR: digitMeta[dA].ovRatioRaw, bOvR: digitMeta[dB].ovRatioRaw,
-      odBonus: odBonus, calibBonus: calibBon,
-      digitHotA: digitHot[dA], digitHotB: digitHot[dB],
-      freq: ns.freq, recentF: ns.recentF, avgGap: ns.avgGap, since: ns.since,
-      overdueFrac: ns.overdueFrac, hotScore: ns.hotScore,
-      overallRate: ns.overallRate, lastDate: ns.lastDate,
-      rawScore: 0, composite: 0, signalCount: 0, tier: 'C'
-    });
-  }
-
-  var maxPM = 0.0001, maxOD = 0.0001;
-  for (var mi = 0; mi < allNums.length; mi++) {
-    if (allNums[mi].pM      > maxPM) maxPM = allNums[mi].pM;
-    if (allNums[mi].odBonus > maxOD) maxOD = allNums[mi].odBonus;
-  }
-
-  for (var si = 0; si < allNums.length; si++) {
-    var e = allNums[si];
-    var normP = e.pM / maxPM, normOD = e.odBonus / maxOD;
-    e.rawScore  = normP * 0.60 + normOD * 0.30 + e.calibBonus * 0.10;
-    e.composite = Math.round(Math.max(0, Math.min(100, e.rawScore * 100)));
-    var sigs = 0;
-    if (normP  > 0.5)                  sigs++;
-    if (normOD > 0.35 && e.freq >= 3) sigs++;
-    if (e.aCalib || e.bCalib)         sigs++;
-    e.signalCount = sigs;
-    e.tier = sigs >= 3 ? 'A' : sigs === 2 ? 'B' : 'C';
-  }
-
-  var ranked = allNums.slice().sort(function(x, y) { return y.composite - x.composite; });
-  var numMap = {};
-  for (var mpi = 0; mpi < ranked.length; mpi++) {
-    numMap[ranked[mpi].num] = ranked[mpi];
-    numMap[ranked[mpi].num].rank = mpi + 1;
-  }
-
-  var pairArr = [];
-  for (var pi = 0; pi < DIGITS.length; pi++) {
-    for (var pj = pi; pj < DIGITS.length; pj++) {
-      var da = DIGITS[pi], db = DIGITS[pj];
-      var abKey = da + db, baKey = db + da;
-      var entAB = numMap[abKey], entBA = da !== db ? numMap[baKey] : null;
-      if (!entAB) continue;
-      var pPair = da === db ? numProbs[abKey] : (numProbs[abKey] + numProbs[baKey]);
-      var comb  = entBA ? Math.round((entAB.composite + entBA.composite) / 2) : entAB.composite;
-      pairArr.push({ da: da, db: db, pPair: pPair, comb: comb, entAB: entAB, entBA: entBA,
-                     anyCalib: (entAB.aCalib || entAB.bCalib) });
-    }
-  }
-  pairArr.sort(function(x, y) { return y.comb - x.comb; });
-
-  var top30 = ranked.slice(0, 30);
-  var rankedDigits = [];
-  for (var rdi = 0; rdi < DIGITS.length; rdi++) {
-    var dg2 = DIGITS[rdi], m = digitMeta[dg2];
-    var cnt30 = 0;
-    for (var ti = 0; ti < top30.length; ti++) {
-      if (top30[ti].a === dg2 || top30[ti].b === dg2) cnt30++;
-    }
-    rankedDigits.push({
-      d: dg2, prob: m.prob, vsBase: m.vsBase, baseFreq: m.baseFreq,
-      avgGap: m.avgGap, since: m.since, ovRatioRaw: m.ovRatioRaw,
-      isCalib: m.isCalib, isElev: m.isElev, hotScore: digitHot[dg2], inTop30: cnt30
-    });
-  }
-  rankedDigits.sort(function(x, y) { return y.prob - x.prob; });
-
-  return { ranked: ranked, pairArr: pairArr, rankedDigits: rankedDigits,
-           numMap: numMap, digitMeta: digitMeta, N: totalN };
-}
-
-// ═══════════════════════════════════════════════════════════════════════════
-//  BACKTEST — lean composite per step (for walk-forward)
-// ═══════════════════════════════════════════════════════════════════════════
-function computeRankedBT(drawSlice, W) {
-  var seq = [];
-  for (var qi = 0; qi < drawSlice.length; qi++) seq.push(drawSlice[qi].twoNum);
-  var mdl = computeModel(seq, W);
-  if (!mdl) return null;
-
-  var digitMeta = mdl.digitMeta, numProbs = mdl.numProbs, N = drawSlice.length;
-
-  var appearances = {};
-  for (var ni = 0; ni <= 99; ni++) appearances[String(ni).padStart(2, '0')] = [];
-  for (var di = 0; di < N; di++) {
-    var num = drawSlice[di].twoNum;
-    if (appearances[num]) appearances[num].push(di);
-  }
-
-  var allNums = [];
-  for (var ni2 = 0; ni2 <= 99; ni2++) {
-    var numStr = String(ni2).padStart(2, '0');
-    var dA = numStr[0], dB = numStr[1];
-    var idx = appearances[numStr], freq = idx.length;
-    var avgGap = N, since = N, overdueFrac = 0;
-    if (freq >= 1) since = N - 1 - idx[freq - 1];
-    if (freq >= 2) {
-      var gs = 0;
-      for (var gi = 1; gi < idx.length; gi++) gs += idx[gi] - idx[gi - 1];
-      avgGap      = gs / (idx.length - 1);
-      overdueFrac = Math.max(-2, Math.min(3, (since - avgGap) / Math.max(1, avgGap)));
-    }
-    var reliab   = Math.min(1, freq / 8);
-    var odBonus  = freq >= 3 ? Math.max(0, overdueFrac) * reliab : 0;
-    var acalib   = digitMeta[dA].isCalib, bcalib = digitMeta[dB].isCalib;
-    allNums.push({
-      num: numStr, pM: numProbs[numStr],
-      aCalib: acalib, bCalib: bcalib,
-      aElev: digitMeta[dA].isElev, bElev: digitMeta[dB].isElev,
-      odBonus: odBonus, calibBonus: (acalib || bcalib) ? 1 : 0, freq: freq
-    });
-  }
-
-  var maxPM = 0.0001, maxOD = 0.0001;
-  for (var mi = 0; mi < allNums.length; mi++) {
-    if (allNums[mi].pM      > maxPM) maxPM = allNums[mi].pM;
-    if (allNums[mi].odBonus > maxOD) maxOD = allNums[mi].odBonus;
-  }
-  for (var si = 0; si < allNums.length; si++) {
-    var e = allNums[si];
-    var normP = e.pM / maxPM, normOD = e.odBonus / maxOD;
-    e.composite = Math.round(Math.max(0, Math.min(100,
-      (normP * 0.60 + normOD * 0.30 + e.calibBonus * 0.10) * 100)));
-    var sigs = 0;
-    if (normP  > 0.5)                  sigs++;
-    if (normOD > 0.35 && e.freq >= 3) sigs++;
-    if (e.aCalib || e.bCalib)         sigs++;
-    e.tier = sigs >= 3 ? 'A' : sigs === 2 ? 'B' : 'C';
-  }
-  return allNums.slice().sort(function(x, y) { return y.composite - x.composite; });
-}
-
-function runScoutBacktest() {
-  var N   = allDraws.length;
-  var end = (predCutoff > 0 && predCutoff < N) ? predCutoff : N;
-  var out = [];
-  for (var i = MIN_HIST; i < end; i++) {
-    var slice  = allDraws.slice(0, i);
-    var ranked = computeRankedBT(slice, recW);
-    if (!ranked) continue;
-
-    var actual = allDraws[i].twoNum, mirAct = mirrorNum(actual);
-    var actualRank = -1, actualTier = 'C', actualScore = 0;
-    for (var r = 0; r < ranked.length; r++) {
-      if (ranked[r].num === actual || ranked[r].num === mirAct) {
-        actualRank = r + 1; actualTier = ranked[r].tier; actualScore = ranked[r].composite;
-        break;
-      }
-    }
-
-    var tierANums = [];
-    for (var tr = 0; tr < topN && tr < ranked.length; tr++) {
-      if (ranked[tr].tier === 'A') tierANums.push(ranked[tr].num);
-    }
-
-    out.push({
-      i: i, dateStr: allDraws[i].dateStr, actual: actual,
-      actualRank: actualRank, actualTier: actualTier, actualScore: actualScore,
-      topHit:  actualRank > 0 && actualRank <= topN,
-      top1:    ranked[0],
-      tierANums: tierANums,
-      topPicks: ranked.slice(0, topN)
-    });
-  }
-  return out;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
 //  RENDER BACKTEST (compact preview + link to full page)
 // ═══════════════════════════════════════════════════════════════════════════
-function renderScoutBacktest() {
+// Runs in modelWorker.js via LottoJobs; a newer run supersedes this one (null)
+async function renderScoutBacktest() {
   var btEl = $el('scoutBT');
   if (!btEl || !allDraws.length) return;
 
-  var bt = runScoutBacktest(), n = bt.length;
+  btEl.style.opacity = '.45';
+  var bt;
+  try {
+    bt = await LottoJobs.run('scoutBacktest', cutoffDraws(), { recW: recW, topN: topN });
+  } catch (err) {
+    btEl.style.opacity = '';
+    btEl.innerHTML = '<p style="color:var(--muted-foreground);font-size:.8rem">' + err.message + '</p>';
+    return;
+  }
+  if (!bt) return;
+  btEl.style.opacity = '';
+  var n = bt.length;
   if (!n) { btEl.innerHTML = '<p style="color:var(--muted-foreground);font-size:.8rem">Not enough data.</p>'; return; }
 
-  var hits = 0, sumRank = 0, rankCount = 0;
-  var tierCnt = { A: 0, B: 0, C: 0 }, tierHit = { A: 0, B: 0, C: 0 };
-  var bl = topN / 100;
-  for (var i = 0; i < n; i++) {
-    var r = bt[i];
-    if (r.topHit) hits++;
-    if (r.actualRank > 0) { sumRank += r.actualRank; rankCount++; }
-    tierCnt[r.actualTier]++;
-    if (r.topHit) tierHit[r.actualTier]++;
-  }
-  var pr  = hits / n;
-  var z   = (pr - bl) / Math.sqrt(bl * (1 - bl) / n);
-  var se  = Math.sqrt(bl * (1 - bl) / n) * 100;
-  var avgR = rankCount > 0 ? (sumRank / rankCount).toFixed(1) : '\u2014';
+  var st  = LottoCore.scoutBacktestStats(bt, topN);
+  var bl  = st.baseline, pr = st.hitRate, z = st.z, tierCnt = st.tierCnt;
+  var se  = st.se * 100;
+  var avgR = st.avgRank !== null ? st.avgRank.toFixed(1) : '\u2014';
 
   var sumHtml =
     '<div class="bt-summary">' +
     '<div class="bt-sum-item"><div class="bt-sum-lbl">Tested</div><div class="bt-sum-val">' + n + '</div></div>' +
     '<div class="bt-sum-item"><div class="bt-sum-lbl">Top-' + topN + ' hit rate</div>' +
       '<div class="bt-sum-val" style="color:' + (pr > bl ? 'hsl(142,55%,40%)' : 'hsl(5,68%,48%)') + '">' + (pr * 100).toFixed(1) + '%</div></div>' +
-    '<div class="bt-sum-item"><div class="bt-sum-lbl">Random baseline</div><div class="bt-sum-val" style="color:var(--muted-foreground)">' + (bl * 100).toFixed(0) + '%</div></div>' +
+    '<div class="bt-sum-item"><div class="bt-sum-lbl">Random baseline</div><div class="bt-sum-val" style="color:var(--muted-foreground)">' + fmt1(bl) + '</div></div>' +
     '<div class="bt-sum-item"><div class="bt-sum-lbl">Z-score</div>' +
       '<div class="bt-sum-val" style="color:' + (Math.abs(z) >= 1.96 ? 'hsl(142,55%,40%)' : 'var(--muted-foreground)') + '">' + z.toFixed(2) + (Math.abs(z) >= 1.96 ? ' \u2713' : ' (not sig.)') + '</div></div>' +
     '<div class="bt-sum-item"><div class="bt-sum-lbl">Margin of error</div><div class="bt-sum-val" style="color:var(--muted-foreground)">\xb1' + se.toFixed(1) + 'pp</div></div>' +
@@ -641,6 +318,25 @@ function renderBestNumbers(data) {
   }
   html += '</tbody></table></div>';
   $el('bestNumbers').innerHTML = html;
+  renderBestValue(data, top);
+}
+
+// Cost of buying every pick in the list against its expected return
+function renderBestValue(data, top) {
+  var numProbs = {};
+  for (var i = 0; i < data.ranked.length; i++) numProbs[data.ranked[i].num] = data.ranked[i].pM;
+  var v  = LottoCore.strategyValue(top.map(function(e) { return e.num; }), 'TWO', { numProbs: numProbs });
+  var ev = LottoCore.expectedValue();
+  function baht(n) { return '\u0e3f' + Math.round(n).toLocaleString('en-US'); }
+  function net(n) {
+    return '<span style="color:' + (n >= 0 ? 'hsl(142,55%,40%)' : 'hsl(5,68%,48%)') + '">' + (n >= 0 ? '+' : '\u2212') + baht(Math.abs(n)) + '</span>';
+  }
+  function item(lbl, val) { return '<div class="bt-sum-item"><div class="bt-sum-lbl">' + lbl + '</div><div class="bt-sum-val">' + val + '</div></div>'; }
+  $el('bestValue').innerHTML =
+    item('Tickets', v.tickets) + item('Cost', baht(v.cost)) +
+    item('Return if fair', baht(v.fairReturn)) + item('Net if fair', net(v.fairNet)) +
+    item('Return if the model is right', baht(v.modelReturn)) + item('Net if the model is right', net(v.modelNet)) +
+    item('Per ticket', '<span style="color:var(--muted-foreground)">' + baht(ev.perTicket) + ' of ' + baht(ev.price) + ' (' + fmt1(ev.returnRate) + ')</span>');
 }
 
 function renderBestPairs(data) {
@@ -731,9 +427,10 @@ function renderMatrix(data) {
 //  RENDER ALL
 // ═══════════════════════════════════════════════════════════════════════════
 function renderAll() {
-  var data = computeComposite();
+  LottoState.write(viewState(), VIEW_DEFAULTS);
+  var data = LottoCore.computeComposite(cutoffDraws(), { recW: recW });
   if (!data) {
-    var ids = ['statCards','digitSection','bestNumbers','bestPairs','avoidList','signalMatrix','scoutBT'];
+    var ids = ['statCards','digitSection','bestNumbers','bestValue','bestPairs','avoidList','signalMatrix','scoutBT'];
     for (var i = 0; i < ids.length; i++) {
       var el = $el(ids[i]);
       if (el) el.innerHTML = '<p style="color:var(--muted-foreground);font-size:.8rem;padding:.75rem 0">Need at least ' + MIN_HIST + ' draws.</p>';
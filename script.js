@@ -1,7 +1,6 @@
 // Thai Lotto Analyzer - Main Script
-const PRIZE_LIST = ['FIRST','SECOND','THIRD','FOURTH','FIFTH','TWO','THREE_FIRST','THREE_LAST','NEAR_FIRST'];
+const { PRIZE_LIST } = LottoData;
 const FIXED_START = new Date('2006-12-30T00:00');
-const DRAW_DAYS = [30,31,1,2,3,14,15,16,17];
 
 // DOM Elements
 const topNInput = document.getElementById('topN');
@@ -34,12 +33,6 @@ let selectedDates = new Set();
 let resultsByDate = {};
 let perFileAggMap = new Map();
 
-// IndexedDB cache settings
-const DB_NAME = 'thai-lotto-agg-db';
-const STORE_NAME = 'agg-store';
-const CACHE_KEY = 'perFileAggMap_v2';
-const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
-
 // Theme toggle
 themeToggle.addEventListener('click', () => {
   const isDark = document.documentElement.classList.toggle('dark');
@@ -77,6 +70,38 @@ function getTimeDirection() {
   return Array.from(timeDirectionRadios).find(r=>r.checked).value;
 }
 
+// Shareable view state: every control that shapes the tables, kept in the URL (lottoState.js)
+function viewState() {
+  const active = prizeTabsEl.querySelector('.tab.active');
+  return {
+    prize: active ? active.getAttribute('data-prize') : 'all',
+    prizes: prizeTabContent.querySelector('#prizeFieldset') ? getSelectedPrizesFromTabState() : PRIZE_LIST.slice(),
+    mode: getTimeMode(),
+    dir: getTimeDirection(),
+    years: +yearsInput.value,
+    months: +monthsInput.value,
+    draws: +drawsInput.value,
+    start: customStartCheckbox.checked ? customStartDate.value : '',
+    topN: +topNInput.value,
+    least: leastCheckbox.checked,
+    mini: miniOnlyCheckbox.checked,
+  };
+}
+
+// Set the controls from a decoded view; the prize tab is set by buildTabs
+function applyViewState(v) {
+  timeModeRadios.forEach(r => { if (r.value === v.mode) r.checked = true; });
+  timeDirectionRadios.forEach(r => { if (r.value === v.dir) r.checked = true; });
+  yearsInput.value = v.years;
+  monthsInput.value = v.months;
+  drawsInput.value = v.draws;
+  topNInput.value = v.topN;
+  leastCheckbox.checked = v.least;
+  miniOnlyCheckbox.checked = v.mini;
+  customStartCheckbox.checked = !!v.start;
+  if (v.start) customStartDate.value = v.start;
+}
+
 function updateConversionLabels() {
   const mon = parseInt(monthsInput.value,10) || 0;
   const y = Math.floor(mon/12), m = mon % 12;
@@ -119,147 +144,6 @@ function record(prize,val,date) {
   });
 }
 
-function buildCandidateUrls() {
-  const urls = [];
-  const today = new Date();
-  for (let y = 2006; y <= today.getFullYear(); y++) {
-    for (let m = 1; m <= 12; m++) {
-      for (const d of DRAW_DAYS) {
-        if (y === 2006 && m === 12 && d < 30) continue;
-        const dateStr = `${y}-${pad2(m)}-${pad2(d)}`;
-        urls.push({ dateStr, url: `lottonumbers/${dateStr}.txt` });
-      }
-    }
-  }
-  return urls;
-}
-
-async function batchFetchWithProgress(urls, concurrency = 20, onProgress = ()=>{}) {
-  const results = [];
-  let idx = 0;
-  let completed = 0;
-  const total = urls.length;
-
-  async function worker() {
-    while (true) {
-      const i = idx++;
-      if (i >= urls.length) return;
-      const { dateStr, url } = urls[i];
-      try {
-        const resp = await fetch(url);
-        if (resp.ok) {
-          const text = await resp.text();
-          results.push({ dateStr, text });
-        }
-      } catch (e) {
-        // ignore
-      } finally {
-        completed++;
-        onProgress(completed, total, dateStr);
-      }
-    }
-  }
-
-  const workers = Array.from({ length: Math.min(concurrency, urls.length) }, worker);
-  await Promise.all(workers);
-  return results;
-}
-
-function createParserWorker() {
-  const workerCode = `
-    const PRIZE_LIST = ${JSON.stringify(PRIZE_LIST)};
-    function parseTextToAggregate(dateStr, text) {
-      const lines = text.split(/\\r?\\n/);
-      const prizesAgg = {};
-      const digitAgg = {};
-      const results = {};
-      PRIZE_LIST.forEach(p=>{
-        prizesAgg[p] = {};
-        const len = p==='TWO' ? 2 : p.startsWith('THREE') ? 3 : 6;
-        digitAgg[p] = Array.from({length: len}, ()=> ({}));
-      });
-      lines.slice(1).forEach(line=>{
-        if (!line.trim()) return;
-        const parts = line.trim().split(/\\s+/);
-        const tag = parts[0];
-        const nums = parts.slice(1).filter(Boolean);
-        if (!prizesAgg[tag]) return;
-        const len = tag==='TWO' ? 2 : tag.startsWith('THREE') ? 3 : 6;
-        const lastVals = nums.map(n => n.slice(-len)).filter(val => val.length === len);
-        results[tag] = lastVals.join(', ');
-        lastVals.forEach(val=>{
-          if (!val) return;
-          prizesAgg[tag][val] = (prizesAgg[tag][val] || 0) + 1;
-          val.split('').forEach((d,i)=>{
-            digitAgg[tag][i][d] = (digitAgg[tag][i][d] || 0) + 1;
-          });
-        });
-      });
-      return { dateStr, prizesAgg, digitAgg, results };
-    }
-
-    self.onmessage = (e) => {
-      const msg = e.data;
-      if (msg && msg.cmd === 'parseBatch') {
-        const files = msg.files || [];
-        const out = {};
-        for (const f of files) {
-          try {
-            out[f.dateStr] = parseTextToAggregate(f.dateStr, f.text);
-          } catch (err) {
-            // skip
-          }
-        }
-        self.postMessage({ type: 'done', results: out });
-      }
-    };
-  `;
-  const blob = new Blob([workerCode], { type: 'application/javascript' });
-  return new Worker(URL.createObjectURL(blob));
-}
-
-function openDb() {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, 1);
-    req.onupgradeneeded = () => {
-      const db = req.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) db.createObjectStore(STORE_NAME);
-    };
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
-}
-
-async function saveCacheBlob(blob) {
-  try {
-    const db = await openDb();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, 'readwrite');
-      const store = tx.objectStore(STORE_NAME);
-      store.put(blob, CACHE_KEY);
-      tx.oncomplete = () => resolve();
-      tx.onabort = tx.onerror = () => reject(tx.error || new Error('abort'));
-    });
-  } catch (e) {
-    // ignore
-  }
-}
-
-async function loadCacheBlob() {
-  try {
-    const db = await openDb();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(STORE_NAME, 'readonly');
-      const store = tx.objectStore(STORE_NAME);
-      const req = store.get(CACHE_KEY);
-      req.onsuccess = () => resolve(req.result);
-      req.onerror = () => reject(req.error);
-    });
-  } catch (e) {
-    return null;
-  }
-}
-
 function combineAggregatesForDates(selectedDateStrs, perFileAggMapLocal) {
   resetCounts();
   resultsByDate = {};
@@ -294,6 +178,7 @@ function el(name, text, attrs = {}) {
 }
 
 function renderTables() {
+  LottoState.write(viewState(), VIEW_DEFAULTS);
   output.innerHTML = '';
   const showLeast = leastCheckbox.checked;
   const miniOnly = miniOnlyCheckbox.checked;
@@ -416,7 +301,7 @@ function renderTables() {
 
     fragment.appendChild(tablesContainer);
 
-    if (mode === 'draws' && ['FIRST','TWO','THREE_FIRST','THREE_LAST'].includes(prize)) {
+    if (mode === 'draws' && ['FIRST','TWO','THREE_FIRST','THREE_LAST','THREE_LEGACY'].includes(prize)) {
       const sorted = dateMap.filter(x => selectedDates.has(x.dateStr)).map(x => x.dateStr);
       let infoDates = [];
       const direction = getTimeDirection();
@@ -504,91 +389,44 @@ function computeSelectedDatesFromMode(perFileDates) {
   perFileDates.forEach(x => selectedDates.add(x.dateStr));
 }
 
-async function progressiveFetchAndProcess({ concurrency = 30, recentLimit = 150 } = {}) {
-  loadingEl.classList.add('show');
-  loadingEl.querySelector('.loading-text').textContent = 'Checking cache...';
-
-  const cached = await loadCacheBlob();
-  if (cached && cached.fetchedAt && (Date.now() - cached.fetchedAt) < CACHE_TTL_MS && cached.data) {
-    try {
-      perFileAggMap = new Map(Object.entries(cached.data));
-    } catch (e) {
-      perFileAggMap = new Map();
-    }
-  }
-
-  const candidates = buildCandidateUrls();
-  candidates.sort((a,b)=> a.dateStr.localeCompare(b.dateStr));
-
-  const worker = createParserWorker();
-
-  function parseBatchInWorker(batch) {
-    return new Promise((resolve, reject) => {
-      const handle = (ev) => {
-        if (ev.data && ev.data.type === 'done') {
-          worker.removeEventListener('message', handle);
-          resolve(ev.data.results || {});
-        }
-      };
-      worker.addEventListener('message', handle);
-      worker.postMessage({ cmd: 'parseBatch', files: batch });
-    });
-  }
-
-  const total = candidates.length;
-  const recent = candidates.slice(Math.max(0, total - recentLimit));
-  const older = candidates.slice(0, Math.max(0, total - recentLimit));
-
-  const recentToFetch = recent.filter(x => !perFileAggMap.has(x.dateStr));
-  const olderToFetch = older.filter(x => !perFileAggMap.has(x.dateStr));
-
-  if (recentToFetch.length > 0) {
-    loadingEl.querySelector('.loading-text').textContent = `Fetching recent ${recentToFetch.length} files...`;
-    const fetchedRecent = await batchFetchWithProgress(recentToFetch, concurrency, (done, tot, lastDate) => {
-      loadingEl.querySelector('.loading-text').textContent = `Recent: ${done}/${tot} ${lastDate || ''}`;
-    });
-    const groupSize = 50;
-    for (let i=0; i<fetchedRecent.length; i+=groupSize) {
-      const group = fetchedRecent.slice(i, i+groupSize);
-      const parsed = await parseBatchInWorker(group);
-      for (const [k,v] of Object.entries(parsed)) perFileAggMap.set(k, v);
-    }
-  } else {
-    loadingEl.querySelector('.loading-text').textContent = 'No recent files to download, using cache.';
+// Aggregates from the cache, each with its draw's numbers as "a, b" strings
+async function readAggregates() {
+  const [aggs, draws] = await Promise.all([LottoData.getAggregates(), LottoData.getDraws()]);
+  const map = new Map();
+  for (const { dateStr, results } of draws) {
+    const agg = aggs.get(dateStr);
+    if (!agg) continue;
+    const text = {};
+    for (const [p, nums] of Object.entries(results)) text[p] = nums.join(', ');
+    map.set(dateStr, { ...agg, results: text });
   }
+  return map;
+}
 
-  dateMap = Array.from(perFileAggMap.keys()).map(d => ({ dateStr: d, date: new Date(d + 'T00:00') })).sort((a,b)=> a.date - b.date);
-  computeSelectedDatesFromMode(dateMap);
-  combineAggregatesForDates(Array.from(selectedDates), perFileAggMap);
-  renderTables();
-
-  if (olderToFetch.length > 0) {
-    loadingEl.querySelector('.loading-text').textContent = `Fetching older ${olderToFetch.length} files...`;
-    const fetchedOlder = await batchFetchWithProgress(olderToFetch, concurrency, (done, tot, lastDate) => {
-      loadingEl.querySelector('.loading-text').textContent = `Background: ${done}/${tot} ${lastDate || ''}`;
-    });
-    const groupSize = 50;
-    for (let i=0; i<fetchedOlder.length; i+=groupSize) {
-      const group = fetchedOlder.slice(i, i+groupSize);
-      const parsed = await parseBatchInWorker(group);
-      for (const [k,v] of Object.entries(parsed)) perFileAggMap.set(k, v);
-    }
+async function progressiveFetchAndProcess({ concurrency = 30, recentLimit = 150 } = {}) {
+  loadingEl.classList.add('show');
+  const loadingText = loadingEl.querySelector('.loading-text');
 
+  const refresh = async () => {
+    perFileAggMap = await readAggregates();
     dateMap = Array.from(perFileAggMap.keys()).map(d => ({ dateStr: d, date: new Date(d + 'T00:00') })).sort((a,b)=> a.date - b.date);
     computeSelectedDatesFromMode(dateMap);
     combineAggregatesForDates(Array.from(selectedDates), perFileAggMap);
     renderTables();
-  }
+  };
 
-  const plainObj = {};
-  for (const [k,v] of perFileAggMap.entries()) plainObj[k] = v;
-  await saveCacheBlob({ fetchedAt: Date.now(), data: plainObj });
+  await LottoLoader.load({
+    concurrency,
+    recentLimit,
+    onProgress: (message) => { loadingText.textContent = message; },
+    onRecent: refresh,
+  });
+  await refresh();
 
   loadingEl.classList.remove('show');
-  worker.terminate();
 }
 
-function buildTabs() {
+function buildTabs(prize = 'all', prizes = PRIZE_LIST) {
   prizeTabsEl.innerHTML = '';
   const allTab = el('button', 'All', { class: 'tab', 'data-prize': 'all', type: 'button' });
   prizeTabsEl.appendChild(allTab);
@@ -599,7 +437,7 @@ function buildTabs() {
   const multi = el('button', 'Multiple', { class: 'tab', 'data-prize': 'multi', type: 'button' });
   prizeTabsEl.appendChild(multi);
 
-  setActiveTab('all');
+  setActiveTab(prize, prizes);
 
   prizeTabsEl.addEventListener('click', (ev)=>{
     const btn = ev.target.closest('.tab');
@@ -609,10 +447,10 @@ function buildTabs() {
   });
 }
 
-function setActiveTab(prize) {
+function setActiveTab(prize, prizes) {
   Array.from(prizeTabsEl.children).forEach(b=>b.classList.toggle('active', b.getAttribute('data-prize')===prize));
   if (prize === 'multi') {
-    renderMultiCheckboxes();
+    renderMultiCheckboxes(prizes);
   } else {
     prizeTabContent.innerHTML = '';
   }
@@ -621,7 +459,7 @@ function setActiveTab(prize) {
   renderTables();
 }
 
-function renderMultiCheckboxes() {
+function renderMultiCheckboxes(checked = PRIZE_LIST) {
   const html = document.createElement('div');
   const fs = document.createElement('fieldset'); fs.id = 'prizeFieldset';
   const legend = document.createElement('legend'); legend.textContent = 'Prize Type';
@@ -638,7 +476,7 @@ function renderMultiCheckboxes() {
     const label = document.createElement('label');
     label.className = 'checkbox-label';
     const cb = document.createElement('input');
-    cb.type = 'checkbox'; cb.name = 'prize'; cb.value = p; cb.checked = true;
+    cb.type = 'checkbox'; cb.name = 'prize'; cb.value = p; cb.checked = checked.includes(p);
     label.appendChild(cb);
     const span = document.createElement('span');
     span.textContent = ' ' + p.replace(/_/g,' ');
@@ -653,6 +491,7 @@ function renderMultiCheckboxes() {
 
   const selectAllEl = prizeTabContent.querySelector('#selectAllPrizes');
   const prizeCheckboxes = Array.from(prizeTabContent.querySelectorAll('input[name="prize"]'));
+  selectAllEl.checked = prizeCheckboxes.every(cb => cb.checked);
   selectAllEl.addEventListener('input', ()=>{ const c = selectAllEl.checked; prizeCheckboxes.forEach(cb=>cb.checked = c); computeAndRender(); });
   prizeCheckboxes.forEach(cb=> cb.addEventListener('input', ()=> computeAndRender()));
 
@@ -693,9 +532,20 @@ function wireGlobalControls() {
 }
 
 // Initialize
+// The controls as index.html ships them. Written out rather than read from the
+// form, which a reload or Back may already have refilled with the last view.
+const VIEW_DEFAULTS = Object.freeze({
+  prize: 'all', prizes: PRIZE_LIST.slice(), mode: 'years', dir: 'backward',
+  years: 4, months: 24, draws: 10, start: '', topN: 10, least: false, mini: false,
+});
+const sharedView = LottoState.read(VIEW_DEFAULTS);
+applyViewState(sharedView);
 toggleTimeControls();
 updateConversionLabels();
-buildTabs();
+buildTabs(
+  ['all', 'multi', ...PRIZE_LIST].includes(sharedView.prize) ? sharedView.prize : 'all',
+  sharedView.prizes.filter(p => PRIZE_LIST.includes(p)),
+);
 wireGlobalControls();
 progressiveFetchAndProcess({ concurrency: 30, recentLimit: 150 }).catch(err=>{
   console.error('Error during progressive load', err);
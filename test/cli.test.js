@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const Core = require('../lottoCore.js');
+const { readDraws, selectDraws } = require('../cli.js');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const FIXTURES = path.join(__dirname, 'fixtures', 'lottonumbers');
+const run = (...args) => execFileSync(process.execPath, [CLI, ...args, '--dir', FIXTURES], { encoding: 'utf8' });
+
+test('readDraws parses every dated file, oldest first', () => {
+  const draws = readDraws(FIXTURES);
+  assert.equal(draws.length, 42);
+  assert.equal(draws[0].dateStr, '2006-12-30');
+  assert.equal(draws.at(-1).dateStr, '2026-01-16');
+});
+
+test('selectDraws applies --from/--to before --last', () => {
+  const draws = readDraws(FIXTURES);
+  const sel = selectDraws(draws, { from: '2007-01-01', to: '2007-12-31', last: 5 });
+  assert.deepEqual(sel.map(d => d.dateStr), ['2007-11-01', '2007-11-16', '2007-12-01', '2007-12-16', '2007-12-30']);
+});
+
+test('predict --json reports the same model as lottoCore', () => {
+  const out = JSON.parse(run('predict', '--to', '2008-12-31', '--json'));
+  const two = Core.twoDigitDraws(readDraws(FIXTURES).filter(d => d.dateStr <= '2008-12-31'));
+  const model = Core.computeModel(two.map(d => d.twoNum), Core.REC_WIN);
+  assert.equal(out.draws, 40);
+  assert.deepEqual(out.digits.slice(0, 3).map(m => m.d), ['8', '5', '9']);
+  assert.equal(out.digits[0].prob, model.digitProb['8']);
+  assert.deepEqual(out.pairs, Core.rankPairs(model).slice(0, 15));
+});
+
+test('backtest --model scout --json matches runScoutBacktest', () => {
+  const out = JSON.parse(run('backtest', '--model', 'scout', '--to', '2008-12-31', '--json'));
+  assert.equal(out.stats.n, 10);
+  assert.equal(out.stats.hitRate, 0.2);
+  assert.deepEqual(out.rows.map(r => r.actualRank), [31, 12, 75, 26, 20, 70, 62, 35, 76, 12]);
+});
+
+test('backtest --target uses the positional model and its baseline', () => {
+  const out = JSON.parse(run('backtest', '--target', 'first_3', '--to', '2008-12-31', '--json'));
+  const series = Core.targetDraws(readDraws(FIXTURES).filter(d => d.dateStr <= '2008-12-31'), 'FIRST_3');
+  const bt = Core.runTargetBacktest(series, { recW: Core.REC_WIN, topN: 15, digits: 3 });
+  assert.equal(out.target, 'FIRST_3');
+  assert.deepEqual(out.stats, Core.backtestStats(bt, 15, Core.targetBaseline('FIRST_3', 15)));
+  // The open-ended top reliability bin (hi: Infinity) prints as null
+  assert.deepEqual(out.scores, JSON.parse(JSON.stringify(Core.probabilityStats(bt, 3))));
+  assert.deepEqual(out.rows.map(r => r.actual), bt.map(r => r.actual));
+});
+
+test('tune --json reports split and rolling-origin results', () => {
+  const out = JSON.parse(run('tune', '--to', '2008-12-31', '--folds', '3', '--json'));
+  assert.equal(out.grid.length, Core.gridSearch([], {}).results.length);
+  assert.equal(out.grid[0].hits, undefined);
+  assert.equal(out.split.blocks.train.n + out.split.blocks.valid.n + out.split.blocks.test.n, 10);
+  assert.equal(out.crossValidation.folds.length, 3);
+  assert.ok(out.split.defaults);
+});
+
+test('compare --json lists every registered model with Holm p', () => {
+  const out = JSON.parse(run('compare', '--to', '2008-12-31', '--json'));
+  assert.deepEqual(out.models.map(m => m.id), Core.listModels().map(m => m.id));
+  out.models.forEach(m => assert.equal(m.stats.n, 10));
+  const freq = JSON.parse(run('backtest', '--model', 'frequency', '--to', '2008-12-31', '--json'));
+  assert.deepEqual(freq.stats, out.models.find(m => m.id === 'frequency').stats);
+});
+
+test('fairness --json reports lottoCore\'s tests for the prize', () => {
+  const out = JSON.parse(run('fairness', '--json'));
+  const sel = readDraws(FIXTURES).filter(d => d.results.TWO);
+  assert.deepEqual(out, Core.fairnessTests(sel, 'TWO'));
+  assert.equal(out.tests.length, 8);
+});
+
+test('bad options exit non-zero with a message', () => {
+  assert.throws(() => run('freq', '--prize', 'SIXTH'), err => err.status === 1 && /Unknown prize SIXTH/.test(err.stderr));
+  assert.throws(() => run('backtest', '--model', 'markov', '--target', 'THREE_LAST'), err => err.status === 1 && /only supports --target TWO/.test(err.stderr));
+});
+
+test('--sims adds chance percentiles to freq and gaps', () => {
+  const out = JSON.parse(run('gaps', '--sims', '50', '--json'));
+  assert.equal(out.percentiles.sims, 50);
+  assert.equal(out.percentiles.overdue.length, Math.min(Core.NULL_RANKS, out.overdue.length));
+  out.percentiles.overdue.forEach(p => assert.ok(p >= 0 && p <= 1));
+  const text = run('freq', '--sims', '50');
+  assert.match(text, /distinct numbers · pNN = percentile among 50 fair histories/);
+  assert.match(text, /Hot: .* p\d+/);
+});
+
+test('check totals the winnings of the given tickets', () => {
+  const out = JSON.parse(run('check', '778584', '123407', '--json'));
+  assert.deepEqual(out, Core.checkTickets(readDraws(FIXTURES), ['778584', '123407']));
+  assert.equal(out.hits[0].prize, 'FIRST');
+  assert.throws(() => run('check', '12345'), err => err.status === 1 && /Ticket 12345 is not six digits/.test(err.stderr));
+});
+
+test('predict and scout price their top-N list', () => {
+  const pred = JSON.parse(run('predict', '--top', '5', '--json'));
+  const tickets = new Set(pred.pairs.flatMap(p => [p.a + p.b, p.b + p.a])).size;
+  assert.equal(pred.value.tickets, tickets);
+  assert.equal(pred.value.cost, tickets * 80);
+  const scout = JSON.parse(run('scout', '--top', '5', '--json'));
+  assert.equal(scout.value.tickets, 5);
+  assert.match(run('scout', '--top', '5'), /5 tickets cost 400 baht · expected return 240 if the draw is fair/);
+});
+
+test('bankroll reports profit and loss of a model', () => {
+  const out = JSON.parse(run('bankroll', '--model', 'recency', '--stake', '20', '--sims', '50', '--json'));
+  assert.equal(out.model, 'recency');
+  assert.equal(out.stake, 20);
+  assert.equal(out.bootstrap.sims, 50);
+  assert.match(run('bankroll', '--sims', '50'), /Max drawdown .* longest losing streak \d+ draws/);
+});
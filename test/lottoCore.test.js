@@ -0,0 +1,599 @@
+// Run with: node --test test/
+// Fixtures are real draw files copied from lottonumbers/: the first 40 draws
+// (2006-12-30 → 2008-08-16), one pre-split THREE file and the malformed 2026-01-16.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const Core = require('../lottoCore.js');
+const { parseTextToResults, validateDrawText } = require('../lottoLoader.js');
+const { readDraws } = require('../cli.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'lottonumbers');
+const draws = readDraws(FIXTURES);
+const early = draws.slice(0, 40);
+const two   = Core.twoDigitDraws(early);
+const seq   = two.map(d => d.twoNum);
+
+const sum = obj => Object.values(obj).reduce((a, b) => a + b, 0);
+const close = (a, b, msg) => assert.ok(Math.abs(a - b) < 1e-9, `${msg}: ${a} ≠ ${b}`);
+
+test('parser maps the pre-2015 THREE line and keeps the front/back split', () => {
+  const legacy = parseTextToResults(fs.readFileSync(path.join(FIXTURES, '2015-08-01.txt'), 'utf8'));
+  assert.deepEqual(legacy.THREE_LEGACY, ['333', '598', '648', '889']);
+  assert.equal(legacy.THREE_FIRST, undefined);
+
+  const split = parseTextToResults(fs.readFileSync(path.join(FIXTURES, '2026-01-16.txt'), 'utf8'));
+  assert.deepEqual(split.THREE_FIRST, ['299', '815']);
+  assert.deepEqual(split.THREE_LAST, ['662', '363']);
+
+  // Over-long or non-digit tokens are dropped, not cut down to size
+  const text = 'http://x\nFIRST 1234567\nTWO 07 7a 007\nTHREE 123 12x';
+  assert.deepEqual(parseTextToResults(text), { FIRST: [], TWO: ['07'], THREE_LEGACY: ['123'] });
+  assert.deepEqual(validateDrawText(text).filter(a => a.kind === 'format').map(a => a.prize), ['FIRST', 'TWO', 'THREE_LEGACY']);
+});
+
+test('readDraws records the host each file was copied from', () => {
+  assert.equal(draws[0].source, 'news.sanook.com');
+  assert.equal(Core.sourceRuns(draws).reduce((n, r) => n + r.to - r.from + 1, 0), draws.length);
+});
+
+test('validation flags the known bad files and passes clean ones', () => {
+  const kinds = date => validateDrawText(fs.readFileSync(path.join(FIXTURES, date + '.txt'), 'utf8')).map(a => a.kind);
+  assert.deepEqual(kinds('2007-10-16'), ['near-first']);
+  assert.deepEqual(kinds('2015-08-01'), []);
+  assert.ok(kinds('2026-01-16').includes('count'));
+});
+
+test('twoDigitDraws keeps one well-formed TWO number per draw', () => {
+  assert.equal(two.length, 40);
+  assert.deepEqual(two[0], { dateStr: '2006-12-30', twoNum: '07' });
+  const noTwo = Core.twoDigitDraws([{ dateStr: 'x', results: { FIRST: ['123456'] } }, { dateStr: 'y', results: { TWO: ['7'] } }]);
+  assert.deepEqual(noTwo, []);
+});
+
+test('computeModel needs MIN_HIST draws', () => {
+  assert.equal(Core.computeModel(seq.slice(0, Core.MIN_HIST - 1), Core.REC_WIN), null);
+  assert.ok(Core.computeModel(seq.slice(0, Core.MIN_HIST), Core.REC_WIN));
+});
+
+test('computeModel probabilities are normalised', () => {
+  const m = Core.computeModel(seq, Core.REC_WIN);
+  close(sum(m.digitProb), 1, 'digit probabilities');
+  close(sum(m.numProbs), 1, 'number probabilities');
+  close(m.numProbs['58'], m.digitProb['5'] * m.digitProb['8'], 'number = product of digits');
+  assert.equal(m.n, 40);
+});
+
+test('computeModel matches the fixture snapshot', () => {
+  const m = Core.computeModel(seq, Core.REC_WIN);
+  const top = Core.DIGITS.slice().sort((a, b) => m.digitProb[b] - m.digitProb[a]);
+  assert.deepEqual(top.slice(0, 3), ['8', '5', '9']);
+  close(+m.digitProb['8'].toFixed(6), 0.184166, 'P(8)');
+  assert.equal(m.digitMeta['8'].isCalib, true);
+
+  const pairs = Core.rankPairs(m);
+  assert.equal(pairs.length, 55);
+  assert.deepEqual(pairs.slice(0, 3).map(p => p.a + p.b), ['58', '89', '18']);
+});
+
+test('a double counts twice for frequency but once for gaps', () => {
+  const s = Array(Core.MIN_HIST).fill('12');
+  s[5] = s[15] = s[25] = '33';
+  const m = Core.computeModel(s, Core.REC_WIN);
+  assert.equal(m.digitMeta['3'].baseFreq, 6 / (2 * Core.MIN_HIST));
+  assert.equal(m.digitMeta['3'].avgGap, 10);
+  assert.equal(m.digitMeta['3'].since, Core.MIN_HIST - 1 - 25);
+});
+
+test('weights are relative and default to the published split', () => {
+  const base = Core.computeModel(seq, Core.REC_WIN);
+  assert.deepEqual(Core.computeModel(seq, Core.REC_WIN, Core.DEFAULT_WEIGHTS), base);
+  const doubled = Core.computeModel(seq, Core.REC_WIN, { wRec: 1, wOv: 0.4, wBase: 0.6, ovCap: 2 });
+  Core.DIGITS.forEach(d => close(doubled.digitProb[d], base.digitProb[d], `P(${d})`));
+
+  // Base rate alone reproduces the all-time digit frequencies
+  const baseOnly = Core.computeModel(seq, Core.REC_WIN, { wRec: 0, wOv: 0, wBase: 1, ovCap: 2 });
+  Core.DIGITS.forEach(d => close(baseOnly.digitProb[d], baseOnly.digitMeta[d].baseFreq, `base ${d}`));
+});
+
+test('gridSearch backtests every split of the grid, best first', () => {
+  const grid = { steps: 2, recW: [10, 15], ovCap: [2] };
+  const res = Core.gridSearch(two, { topN: 15, grid });
+  assert.equal(res.results.length, 6 * 2);
+  assert.equal(res.baseline, res.best.baseline);
+  res.results.forEach(r => close(r.weights.wRec + r.weights.wOv + r.weights.wBase, 1, 'split'));
+  res.results.slice(1).forEach((r, k) => assert.ok(r.hitRate <= res.results[k].hitRate));
+  assert.equal(res.best, res.results[0]);
+
+  const def = res.results.find(r => r.recW === 15 && r.weights.wRec === 0.5 && r.weights.wOv === 0.5);
+  const bt = Core.runBacktest(two, { recW: 15, topN: 15, weights: def.weights });
+  // Scored against its own lists' mirror coverage, exactly as the Backtest card
+  const st = Core.backtestStats(bt, 15);
+  assert.deepEqual([def.hitRate, def.baseline, def.z], [st.hitRate, st.baseline, st.z]);
+  assert.ok(def.baseline > 0.15);
+  assert.deepEqual(def.baselines, bt.map(r => r.baseline));
+});
+
+test('splitEvaluation picks weights on train and validation, then scores the test block', () => {
+  const search = Core.gridSearch(two, { topN: 15, grid: { steps: 2, recW: [10, 15], ovCap: [2] } });
+  assert.equal(search.dates.length, 10);
+  search.results.forEach(r => assert.equal(r.hits.length, 10));
+
+  const ev = Core.splitEvaluation(search, { trainEnd: search.dates[4], validEnd: search.dates[7], shortlist: 3 });
+  assert.deepEqual([ev.blocks.train.n, ev.blocks.valid.n, ev.blocks.test.n], [4, 3, 3]);
+  assert.equal(ev.blocks.test.from, search.dates[7]);
+  const hitsIn = (r, lo, hi) => r.hits.slice(lo, hi).reduce((a, b) => a + b, 0);
+  const chosen = search.results.find(r => r.recW === ev.chosen.recW && r.weights === ev.chosen.weights);
+  assert.ok(search.results.filter(r => hitsIn(r, 0, 4) > hitsIn(chosen, 0, 4)).length < 3, 'chosen from the train shortlist');
+  assert.equal(ev.chosen.test.hitRate, hitsIn(chosen, 7, 10) / 3);
+  close(ev.chosen.test.baseline, chosen.baselines.slice(7).reduce((a, b) => a + b, 0) / 3, 'test block baseline');
+  assert.equal(ev.inSample.all.hitRate, search.best.hitRate);
+  assert.equal(ev.defaults, null);   // 50/20/30 is not on a 2-step grid
+
+  assert.equal(Core.splitEvaluation(search, { trainEnd: '2000-01-01', validEnd: search.dates[5] }), null);
+  assert.equal(Core.splitEvaluation(search, { trainEnd: search.dates[5], validEnd: search.dates[5] }), null);
+});
+
+test('rollingOrigin scores each fold on the block after its training rows', () => {
+  const search = Core.gridSearch(two, { topN: 15, grid: { steps: 2, recW: [15], ovCap: [2] } });
+  const cv = Core.rollingOrigin(search, { folds: 4 });
+  assert.deepEqual(cv.folds.map(f => [f.inSample.n, f.outSample.n]), [[2, 2], [4, 2], [6, 2], [8, 2]]);
+  cv.folds.forEach(f => assert.equal(f.from > f.trainTo, true));
+  const pooled = cv.folds.reduce((s, f) => s + f.outSample.hitRate * f.outSample.n, 0) / 8;
+  close(cv.outSample.hitRate, pooled, 'pooled out-of-sample');
+  assert.equal(Core.rollingOrigin(search, { folds: 10 }), null);
+});
+
+test('runBacktest walks forward from MIN_HIST', () => {
+  const bt = Core.runBacktest(two, { recW: Core.REC_WIN, topN: 15 });
+  assert.equal(bt.length, two.length - Core.MIN_HIST);
+  assert.equal(bt[0].dateStr, two[Core.MIN_HIST].dateStr);
+  bt.forEach(r => assert.equal(r.topNums.length, 15));
+  assert.deepEqual(bt.filter(r => r.pairHit).map(r => r.dateStr), ['2008-04-16', '2008-08-16']);
+
+  // Each step only sees the draws before it
+  const r = bt[3];
+  const m = Core.computeModel(seq.slice(0, r.i), Core.REC_WIN);
+  close(r.pActual, Math.max(m.numProbs[r.actual], m.numProbs[Core.mirror(r.actual)]), 'pActual');
+});
+
+test('incremental backtests match a model refitted at every step', () => {
+  // W=5 makes the recency window slide well inside the fixture
+  Core.runBacktest(two, { recW: 5, topN: 15 }).forEach(r =>
+    assert.deepEqual(r.digitMeta, Core.computeModel(seq.slice(0, r.i), 5).digitMeta));
+
+  const series = Core.targetDraws(early, 'FIRST_3');
+  Core.runTargetBacktest(series, { recW: 5, topN: 15, digits: 3 }).forEach(r =>
+    assert.deepEqual(r.topNums, Core.topNumbers(Core.computeTargetModel(series.slice(0, r.i), 5, 3).numProbs, 15)));
+
+  Core.runScoutBacktest(two, { recW: 5, topN: 15 }).forEach(r =>
+    assert.deepEqual(r.topPicks, Core.computeRankedBT(two.slice(0, r.i), 5).slice(0, 15)));
+});
+
+test('probabilityStats scores the whole forecast against uniform guessing', () => {
+  const bt = Core.runBacktest(two, { recW: Core.REC_WIN, topN: 15 });
+  const r = bt[0];
+  const m = Core.computeModel(seq.slice(0, r.i), Core.REC_WIN);
+  close(r.logLoss, -Math.log(m.numProbs[r.actual]), 'logLoss');
+  close(r.brier, Object.entries(m.numProbs).reduce((s, [k, p]) => s + (p - (k === r.actual ? 1 : 0)) ** 2, 0), 'brier');
+
+  const ps = Core.probabilityStats(bt);
+  close(ps.uniformLogLoss, Math.log(100), 'uniform log-loss');
+  close(ps.uniformBrier, 0.99, 'uniform Brier');
+  close(ps.logLoss, bt.reduce((s, x) => s + x.logLoss, 0) / bt.length, 'mean log-loss');
+  // Every forecast lands in one bin and each draw has exactly one outcome
+  assert.equal(sum(ps.curve.map(c => c.n)), 100 * bt.length);
+  assert.equal(Math.round(sum(ps.curve.map(c => c.observed * c.n))), bt.length);
+  close(sum(ps.curve.map(c => c.meanP * c.n)), bt.length, 'forecasts sum to 1 per draw');
+  assert.equal(sum(ps.digitCurve.map(c => c.n)), 10 * bt.length);
+  assert.equal(Core.probabilityStats([]), null);
+
+  // Three-digit targets score against 1/1000 and have no pooled digit curve
+  const series = Core.targetDraws(early, 'FIRST_3');
+  const tb = Core.runTargetBacktest(series, { recW: Core.REC_WIN, topN: 15, digits: 3 });
+  const tps = Core.probabilityStats(tb, 3);
+  close(tps.uniformLogLoss, Math.log(1000), 'three-digit uniform');
+  assert.equal(tps.digitCurve, null);
+});
+
+test('backtestStats computes hit rate and z-score against topN/100', () => {
+  const bt = [{ hit: true, hit2: '12', hit4: '12' }, { hit: false, hit2: null, hit4: '34' }];
+  const st = Core.backtestStats(bt, 50);
+  assert.equal(st.n, 2);
+  assert.equal(st.hitRate, 0.5);
+  assert.equal(st.baseline, 0.5);
+  assert.equal(st.z, 0);
+  assert.equal(st.hit2Rate, 0.5);
+  assert.equal(st.hit4Rate, 1);
+});
+
+test('targetDraws takes First suffixes and both Three numbers', () => {
+  const first3 = Core.targetDraws(early, 'FIRST_3');
+  assert.equal(first3.length, 40);
+  assert.deepEqual(first3[0], { dateStr: '2006-12-30', nums: ['584'] });
+  assert.deepEqual(Core.targetDraws(early, 'FIRST_2')[0].nums, ['84']);
+  // Three Front only exists in the split era: the legacy 2015-08-01 draw is skipped
+  assert.deepEqual(Core.targetDraws(draws, 'THREE_FIRST'), [{ dateStr: '2026-01-16', nums: ['299', '815'] }]);
+});
+
+test('targetBaseline allows for two numbers per draw', () => {
+  close(Core.targetBaseline('FIRST_2', 15), 0.15, 'FIRST_2');
+  close(Core.targetBaseline('FIRST_3', 15), 0.015, 'FIRST_3');
+  close(Core.targetBaseline('THREE_LAST', 15), 1 - 0.985 * 0.985, 'THREE_LAST');
+});
+
+test('computeTargetModel multiplies independent positional digit scores', () => {
+  const series = Core.targetDraws(early, 'FIRST_3');
+  assert.equal(Core.computeTargetModel(series.slice(0, Core.MIN_HIST - 1), Core.REC_WIN, 3), null);
+  const m = Core.computeTargetModel(series, Core.REC_WIN, 3);
+  assert.equal(m.positions.length, 3);
+  assert.equal(Object.keys(m.numProbs).length, 1000);
+  m.positions.forEach(p => close(sum(p.digitProb), 1, 'position digits'));
+  close(sum(m.numProbs), 1, 'number probabilities');
+  const [h, t, u] = m.positions.map(p => p.digitProb);
+  close(m.numProbs['584'], h['5'] * t['8'] * u['4'], '584');
+});
+
+test('runTargetBacktest counts exact matches only', () => {
+  const series = Core.targetDraws(early, 'FIRST_2');
+  const bt = Core.runTargetBacktest(series, { recW: Core.REC_WIN, topN: 15, digits: 2 });
+  assert.equal(bt.length, series.length - Core.MIN_HIST);
+  bt.forEach(r => {
+    assert.equal(r.topNums.length, 15);
+    assert.equal(r.topDigs.length, 2);
+    assert.equal(r.hit, r.topNums.includes(r.actual[0]));
+  });
+  const st = Core.backtestStats(bt, 15, Core.targetBaseline('FIRST_2', 15));
+  assert.equal(st.n, 10);
+  close(st.baseline, 0.15, 'baseline');
+});
+
+test('exact binomial p-values and Clopper-Pearson intervals', () => {
+  close(Core.binomUpper(0, 10, 0.3), 1, 'P(X ≥ 0)');
+  close(Core.binomUpper(10, 10, 0.5), 1 / 1024, 'P(X = n)');
+  close(Core.binomUpper(3, 5, 0.5), 0.5, 'symmetric tail');
+  assert.equal(Core.binomUpper(11, 10, 0.5), 0);
+
+  const [lo0, hi0] = Core.binomCI(0, 10);
+  assert.equal(lo0, 0);
+  assert.ok(Math.abs(hi0 - 0.30850) < 1e-4, `upper ${hi0}`);
+  const [lo, hi] = Core.binomCI(5, 10);
+  assert.ok(Math.abs(lo - 0.18709) < 1e-4 && Math.abs(hi - 0.81291) < 1e-4, `${lo}–${hi}`);
+
+  const st = Core.backtestStats([{ hit: true }, { hit: false }, { hit: false }, { hit: false }], 50);
+  close(st.p, Core.binomUpper(1, 4, 0.5), 'backtestStats p');
+  assert.ok(st.ciLo < 0.25 && st.ciHi > 0.25);
+});
+
+test('holm adjusts p-values step-down and keeps their order', () => {
+  const adj = Core.holm([0.01, 0.04, 0.03, 0.2]);
+  [0.04, 0.09, 0.09, 0.2].forEach((v, i) => close(adj[i], v, `p${i}`));
+  assert.deepEqual(Core.holm([0.5, 0.6]), [1, 1]);
+});
+
+test('permutationTest is reproducible for a seed and scores shuffled histories', () => {
+  const opts = { recW: Core.REC_WIN, topN: 15, shuffles: 5, seed: 7 };
+  const a = Core.permutationTest(two, opts);
+  assert.deepEqual(Core.permutationTest(two, opts), a);
+  assert.equal(a.observed, 2);   // the two runBacktest hits
+  assert.equal(a.n, 10);
+  assert.equal(a.p, (a.exceed + 1) / 6);
+});
+
+test('computeComposite ranks all 100 numbers with tiers and pairs', () => {
+  const res = Core.computeComposite(two, { recW: Core.REC_WIN });
+  assert.equal(res.ranked.length, 100);
+  assert.equal(res.pairArr.length, 55);
+  assert.equal(res.N, 40);
+  assert.deepEqual(res.ranked.slice(0, 2).map(e => [e.num, e.composite, e.tier]), [['81', 72, 'A'], ['88', 70, 'B']]);
+  res.ranked.forEach((e, i) => assert.equal(e.rank, i + 1));
+  assert.equal(Core.computeComposite(two.slice(0, Core.MIN_HIST - 1)), null);
+});
+
+test('the lean backtest ranking agrees with the full Scout ranking', () => {
+  for (const n of [Core.MIN_HIST, 35, 40]) {
+    const slice = two.slice(0, n);
+    const full = Core.computeComposite(slice, { recW: Core.REC_WIN }).ranked;
+    const lean = Core.computeRankedBT(slice, Core.REC_WIN);
+    assert.deepEqual(lean.map(e => [e.num, e.composite, e.tier]), full.map(e => [e.num, e.composite, e.tier]));
+  }
+});
+
+test('runScoutBacktest finds the actual number or its mirror', () => {
+  const bt = Core.runScoutBacktest(two, { recW: Core.REC_WIN, topN: 15 });
+  assert.equal(bt.length, two.length - Core.MIN_HIST);
+  assert.deepEqual(bt.map(r => r.actualRank), [31, 12, 75, 26, 20, 70, 62, 35, 76, 12]);
+  bt.forEach(r => assert.equal(r.topHit, r.actualRank <= 15));
+
+  const st = Core.scoutBacktestStats(bt, 15);
+  assert.equal(st.hitRate, 0.2);
+  close(st.baseline, bt.reduce((s, r) => s + new Set(r.topPicks.flatMap(e => [e.num, Core.mirror(e.num)])).size, 0) / 100 / bt.length, 'mirror coverage');
+  close(st.avgRank, 41.9, 'avgRank');
+
+  // `end` stops early, like the pages' prediction cutoff
+  assert.equal(Core.runScoutBacktest(two, { end: 35 }).length, 5);
+});
+
+test('every registered model ranks all 100 numbers and backtests on the same draws', () => {
+  const ids = Core.listModels().map(m => m.id);
+  assert.deepEqual(ids, ['uniform', 'frequency', 'recency', 'notLast', 'markov', 'predict', 'scout']);
+  ids.forEach(id => {
+    const m = Core.createModel(id);
+    m.fit(two);
+    assert.deepEqual(m.rank().slice().sort(), Array.from({ length: 100 }, (_, i) => String(i).padStart(2, '0')), id);
+  });
+  assert.throws(() => Core.createModel('nope'), /Unknown model "nope"/);
+  assert.throws(() => Core.registerModel('uniform', {}), /already registered/);
+
+  // The registry's wrappers of the page models give the page backtests' hits
+  const pred = Core.runModelBacktest(two, 'predict');
+  assert.deepEqual(pred.map(r => r.hit), Core.runBacktest(two).map(r => r.pairHit));
+  assert.deepEqual(Core.runModelBacktest(two, 'scout').map(r => r.actualRank), Core.runScoutBacktest(two).map(r => r.actualRank));
+
+  const frequency = Core.createModel('frequency');
+  frequency.fit(two);
+  assert.equal(frequency.rank()[0], '81');   // drawn 3 times in the fixture
+  const notLast = Core.createModel('notLast');
+  notLast.fit(two);
+  assert.deepEqual(notLast.rank().slice(-2).sort(), [two[39].twoNum, Core.mirror(two[39].twoNum)].sort());
+});
+
+test('compareModels scores every model against its own mirror-coverage baseline', () => {
+  const models = Core.compareModels(two, { topN: 15 });
+  assert.equal(models.length, Core.listModels().length);
+  models.forEach(m => {
+    assert.equal(m.stats.n, two.length - Core.MIN_HIST);
+    assert.ok(m.holmP >= m.stats.p);
+  });
+  // A symmetric list covers about topN numbers; a random one nearly twice that
+  const base = id => models.find(m => m.id === id).stats.baseline;
+  assert.ok(base('predict') < 0.17);
+  assert.ok(base('uniform') > 0.24);
+
+  // Models without push() are refitted at every step
+  Core.registerModel('test-fit-only', {
+    label: 'Fit only', description: 'test',
+    create: () => { let last = '00'; return { fit: d => { last = d[d.length - 1].twoNum; }, rank: () => [last].concat(Array.from({ length: 100 }, (_, i) => String(i).padStart(2, '0')).filter(n => n !== last)) }; },
+  });
+  const bt = Core.runModelBacktest(two, 'test-fit-only', { topN: 1 });
+  bt.forEach(r => assert.deepEqual(r.topPicks, [two[r.i - 1].twoNum]));
+});
+
+test('computeInsights counts every TWO number once per draw', () => {
+  const ins = Core.computeInsights(early, 'TWO');
+  assert.equal(Object.keys(ins.freq).length, 100);
+  assert.equal(sum(ins.freq), 40);
+  assert.equal(ins.recentDrawCount, 10);
+  assert.equal(ins.freq['81'], 3);
+  assert.deepEqual(ins.gapStats['81'].gaps, [16, 1]);
+  assert.equal(ins.overdueList[0].num, '76');
+  assert.equal(ins.overdueList[0].score, 2.5);
+});
+
+test('computeInsights ignores wrong-length numbers', () => {
+  const bad = draws.find(d => d.dateStr === '2026-01-16');
+  const ins = Core.computeInsights([bad], 'SECOND');
+  assert.equal(ins.totalAppearances, 1);
+  assert.deepEqual(Object.keys(ins.freq), ['763895']);
+});
+
+test('syntheticDraws keeps each draw\'s count of well-formed numbers', () => {
+  const rand = Core.seededRandom(3);
+  const bad = draws.find(d => d.dateStr === '2026-01-16');
+  const fake = Core.syntheticDraws(early.concat([bad]), 'SECOND', rand);
+  fake.forEach((d, i) => {
+    const real = early.concat([bad])[i].results.SECOND.filter(n => n.length === 6).length;
+    assert.equal(d.results.SECOND.length, real);
+    assert.equal(new Set(d.results.SECOND).size, real);
+    d.results.SECOND.forEach(n => assert.match(n, /^\d{6}$/));
+  });
+  Core.syntheticDraws(early, 'NEAR_FIRST', rand).forEach(d => {
+    const [lo, hi] = d.results.NEAR_FIRST.map(Number);
+    assert.equal((hi - lo + 1000000) % 1000000, 2);
+  });
+});
+
+test('simulateInsightsNull is reproducible and ranks statistics like the page', () => {
+  const nd = Core.simulateInsightsNull(early, 'TWO', { sims: 200, seed: 7 });
+  assert.deepEqual(Core.simulateInsightsNull(early, 'TWO', { sims: 200, seed: 7 }), nd);
+  assert.equal(nd.scalar.uniqueNums.length, 200);
+  assert.equal(nd.ranked.hot.length, Core.NULL_RANKS);
+  nd.ranked.freq.forEach((samples, k) => {
+    assert.equal(samples.length, 200);
+    if (k) assert.ok(nd.ranked.freq[k - 1][100] >= samples[100], 'higher ranks draw higher counts');
+  });
+  // 40 fair TWO draws show about 100 × (1 − 0.99^40) ≈ 33 distinct numbers
+  const uniq = nd.scalar.uniqueNums;
+  assert.ok(uniq[100] >= 30 && uniq[100] <= 36, `median ${uniq[100]}`);
+
+  const ins = Core.computeInsights(early, 'TWO');
+  const st = Core.insightStatistics(ins);
+  assert.deepEqual(st.ranked.hot.slice(0, 10), ins.hot.map(h => h.hotScore));
+  assert.deepEqual(st.ranked.cold.slice(0, 10), ins.cold.map(h => h.hotScore));
+  assert.equal(st.scalar.longestGap, Math.max(...Object.values(ins.gapStats).map(g => g.max)));
+});
+
+test('nullPercentile counts ties as half', () => {
+  assert.equal(Core.nullPercentile([1, 2, 2, 3], 2), 0.5);
+  assert.equal(Core.nullPercentile([1, 2, 2, 3], 0), 0);
+  assert.equal(Core.nullPercentile([1, 2, 2, 3], 4), 1);
+  assert.equal(Core.nullPercentile([1, 2, 3, 4], 3.5), 0.75);
+  assert.equal(Core.nullPercentile([], 1), null);
+});
+
+test('chi-square, normal and Kolmogorov tails match published tables', () => {
+  close(Math.round(Core.chiSquareUpper(16.919, 9) * 1e4) / 1e4, 0.05, 'χ²(9) at 16.919');
+  close(Math.round(Core.chiSquareUpper(3.841, 1) * 1e4) / 1e4, 0.05, 'χ²(1) at 3.841');
+  close(Math.round(Core.chiSquareUpper(21.666, 9) * 1e4) / 1e4, 0.01, 'χ²(9) at 21.666');
+  close(Math.round(Core.normalTwoSided(1.96) * 1e4) / 1e4, 0.05, 'z = 1.96');
+  close(Math.round(Core.ksUpper(1.358 / Math.sqrt(10000), 10000) * 1e3) / 1e3, 0.05, 'KS at 1.358/√n');
+  assert.equal(Core.chiSquareUpper(0, 9), 1);
+});
+
+test('fairnessTests runs four tests per digit position with Holm across them', () => {
+  const fair = Core.fairnessTests(early, 'TWO');
+  assert.equal(fair.draws, 40);
+  assert.deepEqual(fair.tests.map(t => t.pos + t.id), ['0chi2', '0runs', '0serial', '0ksGaps', '1chi2', '1runs', '1serial', '1ksGaps']);
+  const ins = Core.computeInsights(early, 'TWO');
+  const tens = Core.DIGITS.map(d => ins.digitPos[0][d] || 0);
+  close(fair.tests[0].stat, tens.reduce((s, o) => s + (o - 4) * (o - 4) / 4, 0), 'χ² from digitPos');
+  fair.tests.forEach(t => assert.ok(t.holmP >= t.p));
+
+  // High and low digits in strict alternation: too many runs, negative correlation
+  const seesaw = Array.from({ length: 60 }, (_, i) => ({ dateStr: String(i), results: { TWO: [i % 2 ? '19' : '91'] } }));
+  const tests = Core.fairnessTests(seesaw, 'TWO').tests;
+  const get = (pos, id) => tests.find(t => t.pos === pos && t.id === id);
+  assert.equal(get(0, 'runs').stat, 60);
+  assert.ok(get(0, 'runs').holmP < 0.05);
+  assert.ok(get(0, 'serial').stat < -0.9);
+  assert.equal(get(0, 'serial').verdict, 'Consecutive draws are correlated');
+  assert.equal(get(0, 'chi2').verdict, 'Some digits turn up more often than chance allows');
+});
+
+test('changePoints finds an injected shift and leaves fair draws alone', () => {
+  const rand = Core.seededRandom(11);
+  const digit = lowHalf => String(Math.floor(rand() * 5) + (lowHalf ? 0 : 5));
+  const draws = Array.from({ length: 120 }, (_, i) => ({
+    dateStr: `d${String(i).padStart(3, '0')}`,
+    source: i < 60 ? 'a.example' : 'b.example',
+    // Tens digit drawn from 0–4 before draw 70 and from 5–9 after; units fair
+    results: { TWO: [digit(i < 70) + String(Math.floor(rand() * 10))] },
+  }));
+  const res = Core.changePoints(draws, 'TWO', { perms: 199 });
+  assert.equal(res.draws, 120);
+  assert.deepEqual(res.sources.map(r => [r.source, r.from, r.to]), [['a.example', 0, 59], ['b.example', 60, 119]]);
+
+  const [tens, units] = res.positions;
+  assert.deepEqual(tens.changes.map(c => c.index), [70]);
+  assert.equal(tens.changes[0].dateStr, 'd070');
+  assert.equal(tens.changes[0].nearestSwitch.distance, -10);
+  close(tens.changes[0].before.slice(0, 5).reduce((a, b) => a + b, 0), 1, 'low digits before');
+  assert.deepEqual(tens.segments.map(s => [s.from, s.to]), [[0, 70], [70, 120]]);
+  assert.equal(units.changes.length, 0);
+  assert.ok(units.scan.p > 0.025);
+});
+
+test('checkTickets pays every matching prize under the real rules', () => {
+  const first = draws.slice(0, 1);   // 2006-12-30: FIRST 778584, TWO 07, last three 164 403 811 971
+  const res = Core.checkTickets(first, ['778584', '778585', '999164', '123407', '000000']);
+  assert.deepEqual(res.hits.map(h => [h.ticket, h.prize, h.number]), [
+    ['778584', 'FIRST', '778584'],
+    ['778585', 'NEAR_FIRST', '778585'],
+    ['999164', 'THREE_LEGACY', '164'],
+    ['123407', 'TWO', '07'],
+  ]);
+  // Paid at the 2006 amounts: the First prize was 4 million until September 2015
+  assert.equal(res.total, 4000000 + 100000 + 4000 + 2000);
+  assert.equal(res.cost, 5 * 80);
+  assert.equal(res.net, res.total - res.cost);
+  assert.deepEqual(res.byTicket['000000'], { count: 0, amount: 0, draws: 0 });
+
+  // One ticket can win several prizes in a draw, and a repeated number pays twice
+  const dup = [{ dateStr: 'x', results: { FIRST: ['123456'], THREE_FIRST: ['123', '123'], THREE_LAST: ['456', '789'], TWO: ['56'] } }];
+  const multi = Core.checkTickets(dup, ['123456'], { payouts: { FIRST: 100, THREE_FIRST: 10, THREE_LAST: 5, TWO: 1 }, price: 2 });
+  assert.deepEqual(multi.byPrize, { FIRST: { count: 1, amount: 100 }, THREE_FIRST: { count: 2, amount: 20 }, THREE_LAST: { count: 1, amount: 5 }, TWO: { count: 1, amount: 1 } });
+  assert.deepEqual(multi.byTicket['123456'], { count: 5, amount: 126, draws: 1 });
+  assert.equal(multi.net, 124);
+});
+
+test('ledger tickets are settled and summed per month and year', () => {
+  const first = draws[0];   // 2006-12-30
+  assert.deepEqual(Core.settleTicket({ number: '123407', price: 80 }, first),
+    { drawDate: '2006-12-30', amount: 2000, prizes: [{ prize: 'TWO', number: '07', amount: 2000 }] });
+  assert.equal(Core.settleTicket({ number: '000000' }, first).amount, 0);
+
+  const ledger = [
+    { number: '1', dateStr: '2007-01-16', price: 80 },
+    { number: '2', dateStr: '2006-12-30', price: 80, result: { amount: 2000 } },
+    { number: '3', dateStr: '2006-12-30', price: 100, result: { amount: 0 } },
+    { number: '4', dateStr: '2007-01-01', price: 80, result: { amount: 0 } },
+  ];
+  const { months, years, total } = Core.ledgerSummary(ledger);
+  assert.deepEqual(months.map(r => [r.key, r.tickets, r.pending, r.wins, r.spent, r.won, r.net, r.running]), [
+    ['2006-12', 2, 0, 1, 180, 2000, 1820, 1820],
+    ['2007-01', 2, 1, 0, 160, 0, -160, 1660],
+  ]);
+  assert.deepEqual(years.map(r => [r.key, r.running]), [['2006', 1820], ['2007', 1660]]);
+  assert.deepEqual([total.tickets, total.pending, total.net, total.running], [4, 1, 1660, 1660]);
+  assert.deepEqual(Core.ledgerSummary([]).months, []);
+
+  // A ticket belongs to its own draw, or one postponed by a few days, never the next scheduled one
+  const D = require('../lottoData.js');
+  const dates = ['2023-12-16', '2023-12-30', '2024-01-17', '2024-02-01'];
+  assert.equal(D.ticketDrawDate('2023-12-30', dates), '2023-12-30');
+  assert.equal(D.ticketDrawDate('2024-01-16', dates), '2024-01-17');
+  assert.equal(D.ticketDrawDate('2023-12-29', dates), '2023-12-30');
+  assert.equal(D.ticketDrawDate('2024-01-01', dates), null);
+});
+
+test('an exported ledger imports back, and bad files are named', () => {
+  const tickets = [{ id: 7, number: '123456', dateStr: '2026-11-01', price: 80, result: { amount: 0 } }];
+  const json = Core.exportLedger(tickets);
+  assert.equal(JSON.parse(json).kind, 'thai-lotto-tickets');
+  assert.deepEqual(Core.parseLedger(json), [{ number: '123456', dateStr: '2026-11-01', price: 80 }]);
+  assert.deepEqual(Core.parseLedger('[{"number":"000001","dateStr":"2026-11-16","price":"100"}]'),
+    [{ number: '000001', dateStr: '2026-11-16', price: 100 }]);
+
+  assert.throws(() => Core.parseLedger('nope'), /Not a JSON file/);
+  assert.throws(() => Core.parseLedger('{"tickets":[]}'), /Not a ticket ledger export/);
+  assert.throws(() => Core.parseLedger('{"kind":"thai-lotto-tickets","version":99,"tickets":[]}'), /version 99 is newer/);
+  assert.throws(() => Core.parseLedger('[{"number":"123456","dateStr":"2026-11-01","price":80},{"number":"12"}]'), /Ticket 2: the number must be six digits/);
+  assert.throws(() => Core.parseLedger('[{"number":"123456","dateStr":"1/11/2026","price":80}]'), /Ticket 1: the draw date/);
+  assert.throws(() => Core.parseLedger('[{"number":"123456","dateStr":"2026-11-01","price":"free"}]'), /Ticket 1: the price/);
+});
+
+test('expected value per ticket and per list of picks', () => {
+  const D = require('../lottoData.js');
+  const today = Core.expectedValue();
+  close(today.perTicket, 48, 'today per ticket');
+  close(today.returnRate, 0.6, 'today return rate');
+  close(today.byPrize.TWO, 20, 'TWO share');
+  close(Core.expectedValue(D.payoutsFor('2010-01-01')).perTicket, 46, '2010 per ticket');
+  assert.equal(D.payoutsFor('2015-08-16').THREE_LEGACY, 4000);
+  assert.equal(D.payoutsFor('2015-09-01').FIRST, 6000000);
+  assert.equal(D.payoutsFor('2000-01-01'), D.PAYOUT_SCHEDULE[0].payouts);
+
+  // A uniform model expects exactly the fair return; a confident one more
+  const uniform = Object.fromEntries(Array.from({ length: 100 }, (_, i) => [String(i).padStart(2, '0'), 0.01]));
+  const fair = Core.strategyValue(['59', '95'], 'TWO', { numProbs: uniform });
+  assert.deepEqual([fair.tickets, fair.cost, fair.fairReturn, fair.fairNet], [2, 160, 96, -64]);
+  close(fair.modelReturn, 96, 'uniform model');
+  close(Core.strategyValue(['59', '95'], 'TWO', { numProbs: { ...uniform, 59: 0.03 } }).modelReturn, 96 + 0.02 * 2000, 'TWO model');
+  // Three Back draws two numbers; a First-prize suffix still needs the other digits to match
+  close(Core.strategyValue(['123'], 'THREE_LAST', { numProbs: { 123: 0.002 } }).modelReturn, 48 + 2 * 0.001 * 4000, 'THREE_LAST model');
+  close(Core.strategyValue(['123'], 'FIRST_3', { numProbs: { 123: 0.002 } }).modelReturn, 48 + 0.001 * 6000, 'FIRST_3 model');
+  assert.equal(Core.strategyValue(['12'], 'TWO').modelReturn, undefined);
+});
+
+test('simulateBankroll replays the backtest as Two Digit bets', () => {
+  const bt  = Core.runModelBacktest(two, 'frequency', { topN: 5 });
+  const res = Core.simulateBankroll(two, 'frequency', { topN: 5, stake: 10, sims: 200 });
+  assert.equal(res.draws, bt.length);
+  res.rows.forEach((r, i) => {
+    const tickets = new Set(bt[i].topPicks.concat(bt[i].topPicks.map(Core.mirror)));
+    assert.equal(r.tickets, tickets.size);
+    assert.equal(r.won, tickets.has(bt[i].actual) ? 250 : 0);   // 25× the stake
+    assert.equal(r.pnl, r.won - 10 * r.tickets);
+  });
+  assert.equal(res.net, res.rows.at(-1).cum);
+  assert.equal(res.returned - res.staked, res.net);
+  assert.equal(res.hits, res.rows.filter(r => r.won).length);
+
+  // Drawdown and losing streak, recomputed the slow way
+  let peak = 0, worst = 0, run = 0, longest = 0;
+  res.rows.forEach(r => { peak = Math.max(peak, r.cum); worst = Math.max(worst, peak - r.cum); run = r.pnl < 0 ? run + 1 : 0; longest = Math.max(longest, run); });
+  assert.equal(res.maxDrawdown.amount, worst);
+  assert.equal(res.longestLosingStreak.length, longest);
+
+  const b = res.bootstrap;
+  assert.equal(b.finals.length, 200);
+  assert.deepEqual(b.finals, b.finals.slice().sort((x, y) => x - y));
+  assert.equal(b.quantiles.length, Core.BANKROLL_QUANTILES.length);
+  assert.ok(b.quantiles[0] <= b.quantiles[2] && b.quantiles[2] <= b.quantiles[4]);
+  assert.deepEqual(Core.simulateBankroll(two, 'frequency', { topN: 5, stake: 10, sims: 200 }), res);
+
+  const single = Core.simulateBankroll(two, 'frequency', { topN: 5, mirrors: false, sims: 0 });
+  single.rows.forEach(r => assert.equal(r.tickets, 5));
+  assert.equal(Core.simulateBankroll(two.slice(0, Core.MIN_HIST), 'frequency'), null);
+});
@@ -0,0 +1,56 @@
+// Run with: node --test test/
+// Node has no Web Worker, so jobs run inline unless a test installs a fake one.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const Core = require('../lottoCore.js');
+const Jobs = require('../lottoJobs.js');
+const { readDraws } = require('../cli.js');
+
+const two = Core.twoDigitDraws(readDraws(path.join(__dirname, 'fixtures', 'lottonumbers')).slice(0, 40));
+
+test('jobs run inline and are cached per parameters and series', async () => {
+  const bt = await Jobs.run('scoutBacktest', two, { recW: 15, topN: 15 });
+  assert.deepEqual(bt, Core.runScoutBacktest(two, { recW: 15, topN: 15 }));
+  assert.equal(await Jobs.run('scoutBacktest', two, { recW: 15, topN: 15 }), bt);
+  assert.notEqual(await Jobs.run('scoutBacktest', two, { recW: 15, topN: 10 }), bt);
+
+  // An edited draw is a different series
+  const edited = two.map((d, i) => i === 5 ? { ...d, twoNum: '00' } : d);
+  assert.notEqual(await Jobs.run('scoutBacktest', edited, { recW: 15, topN: 15 }), bt);
+  assert.throws(() => Jobs.runInline('nope', two, {}), /Unknown job nope/);
+});
+
+test('a newer job on the same channel supersedes the running one', async () => {
+  const workers = [];
+  global.Worker = class {
+    constructor(url) { this.url = url; workers.push(this); }
+    postMessage(msg) { this.msg = msg; }
+    terminate() { this.terminated = true; }
+  };
+  try {
+    const first = Jobs.run('backtest', two, { recW: 12 });
+    assert.equal(Jobs.run('backtest', two, { recW: 12 }), first);
+    assert.equal(workers.length, 1);
+    assert.equal(workers[0].url, 'modelWorker.js');
+    assert.equal(workers[0].msg.cmd, 'backtest');
+
+    const second = Jobs.run('backtest', two, { recW: 13 });
+    assert.equal(await first, null);
+    assert.ok(workers[0].terminated);
+    workers[1].onmessage({ data: { type: 'progress', done: 1, total: 2 } });
+    workers[1].onmessage({ data: { type: 'done', result: ['rows'] } });
+    assert.deepEqual(await second, ['rows']);
+    assert.ok(workers[1].terminated);
+
+    // Served from the cache: no new worker
+    assert.deepEqual(await Jobs.run('backtest', two, { recW: 13 }), ['rows']);
+    assert.equal(workers.length, 2);
+
+    const failed = Jobs.run('backtest', two, { recW: 14 });
+    workers[2].onmessage({ data: { type: 'error', message: 'boom' } });
+    await assert.rejects(failed, /boom/);
+  } finally {
+    delete global.Worker;
+  }
+});
@@ -0,0 +1,26 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const State = require('../lottoState.js');
+
+const defaults = { prize: 'TWO', prizes: ['TWO', 'FIRST'], lastN: 200, cutoff: '', least: false, start: null };
+
+test('only values that differ from their default are written', () => {
+  assert.equal(State.encode(defaults, defaults), '');
+  assert.equal(State.encode({ ...defaults, prize: 'THREE_LAST', lastN: 48, cutoff: '2023-06-01', extra: 1 }, defaults),
+    '?prize=THREE_LAST&lastN=48&cutoff=2023-06-01');
+  assert.equal(State.encode({ ...defaults, prizes: ['TWO'], least: true, start: 'a b&c' }, defaults),
+    '?prizes=TWO&least=1&start=a%20b%26c');
+  assert.equal(State.encode({ ...defaults, prizes: ['FIRST', 'TWO'] }, defaults), '?prizes=FIRST,TWO');
+});
+
+test('a query reads back as the types of the defaults', () => {
+  const state = { ...defaults, prize: 'THREE_LAST', prizes: [], lastN: 48, least: true, start: '2023-06-01' };
+  assert.deepEqual(State.decode(State.encode(state, defaults), defaults), state);
+  assert.deepEqual(State.decode('', defaults), defaults);
+
+  // Unknown keys are dropped and unparseable values keep their default
+  assert.deepEqual(State.decode('?lastN=abc&least=yes&bogus=1&prizes=TWO,THREE_LAST', defaults),
+    { ...defaults, prizes: ['TWO', 'THREE_LAST'] });
+  assert.equal(State.decode('?lastN=', defaults).lastN, 200);
+});
@@ -0,0 +1,254 @@
+// Thai Lotto Analyzer – My Tickets
+// A ledger of tickets actually bought, kept in IndexedDB (LottoData's TICKETS_STORE)
+// and settled automatically as draws arrive (see settleTicket and ledgerSummary in lottoCore.js)
+
+const PRIZE_LABELS = {
+  FIRST: 'First prize', NEAR_FIRST: 'Next to first', SECOND: 'Second prize', THIRD: 'Third prize',
+  FOURTH: 'Fourth prize', FIFTH: 'Fifth prize', THREE_FIRST: 'Front three', THREE_LAST: 'Back three',
+  THREE_LEGACY: 'Last three (pre-2015)', TWO: 'Last two',
+};
+
+// DOM
+const ticketInput  = document.getElementById('ticketInput');
+const ticketError  = document.getElementById('ticketError');
+const drawDate     = document.getElementById('drawDate');
+const priceInput   = document.getElementById('priceInput');
+const addBtn       = document.getElementById('addBtn');
+const exportBtn    = document.getElementById('exportBtn');
+const importBtn    = document.getElementById('importBtn');
+const importFile   = document.getElementById('importFile');
+const summaryEl    = document.getElementById('summary');
+const periodsEl    = document.getElementById('periods');
+const ledgerEl     = document.getElementById('ledger');
+const statusDot    = document.getElementById('statusDot');
+const statusText   = document.getElementById('statusText');
+const themeToggle  = document.getElementById('themeToggle');
+
+// State
+let tickets = []; // TicketRecord[], by draw date
+
+// ── Theme ────────────────────────────────────────────────────────────────────
+themeToggle.addEventListener('click', () => {
+  const isDark = document.documentElement.classList.toggle('dark');
+  localStorage.setItem('theme', isDark ? 'dark' : 'light');
+});
+const savedTheme = localStorage.getItem('theme');
+if (savedTheme === 'dark' || (!savedTheme && window.matchMedia('(prefers-color-scheme: dark)').matches)) {
+  document.documentElement.classList.add('dark');
+}
+
+// ── Bootstrap ─────────────────────────────────────────────────────────────────
+async function init() {
+  drawDate.value = nextDrawDate(new Date());
+  setStatus('loading', 'Loading data from cache…');
+  const info = await LottoLoader.ensureData({ onProgress: msg => setStatus('loading', msg) });
+
+  // Tickets added or imported after their draw was cached are settled here
+  const draws = await LottoData.getDraws();
+  await LottoData.settleTickets(draws, LottoCore.settleTicket);
+  await refresh();
+
+  if (!info || info.size === 0) {
+    setStatus('empty', 'No draw data yet: tickets stay pending until their draw can be downloaded.');
+    return;
+  }
+  const age = LottoData.formatAge(info.fetchedAt);
+  setStatus('live',
+    `${draws.length} draws loaded${age !== null ? ` · cached ${age} ago` : ''}` +
+    ` · latest ${draws[draws.length - 1]?.dateStr}`);
+}
+
+function setStatus(state, text) {
+  statusText.textContent = text;
+  statusDot.className = 'status-dot' + (state === 'live' ? ' live' : '');
+}
+
+async function refresh() {
+  tickets = await LottoData.getTickets();
+  render();
+}
+
+// Draws are held on the 1st and the 16th: the next one on or after `date`
+function nextDrawDate(date) {
+  const y = date.getFullYear(), m = date.getMonth(), d = date.getDate();
+  const pick = d <= 1 ? new Date(y, m, 1) : d <= 16 ? new Date(y, m, 16) : new Date(y, m + 1, 1);
+  return `${pick.getFullYear()}-${String(pick.getMonth() + 1).padStart(2, '0')}-${String(pick.getDate()).padStart(2, '0')}`;
+}
+
+// ── Input ─────────────────────────────────────────────────────────────────────
+// Six-digit tickets from the textarea (repeats kept: each is a ticket bought), plus anything that isn't one
+function readTickets() {
+  const tokens = ticketInput.value.split(/[\s,;]+/).filter(Boolean);
+  return {
+    numbers: tokens.filter(t => /^\d{6}$/.test(t)),
+    invalid: tokens.filter(t => !/^\d{6}$/.test(t)),
+  };
+}
+
+async function addTickets() {
+  const { numbers, invalid } = readTickets();
+  const price = Number(priceInput.value);
+  const problems = [];
+  if (invalid.length) problems.push(`${invalid.map(t => `"${esc(t)}"`).join(', ')} ${invalid.length === 1 ? 'is' : 'are'} not six digits.`);
+  if (!numbers.length && !invalid.length) problems.push('Enter at least one ticket number.');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(drawDate.value)) problems.push('Pick the draw date.');
+  if (priceInput.value === '' || !(price >= 0)) problems.push('Enter the price paid.');
+  ticketError.innerHTML = problems.join(' ');
+  if (problems.length) return;
+
+  await LottoData.putTickets(numbers.map(number => ({ number, dateStr: drawDate.value, price })));
+  await LottoData.settleTickets(await LottoData.getDraws(), LottoCore.settleTicket);
+  ticketInput.value = '';
+  await refresh();
+}
+
+async function removeTicket(id) {
+  await LottoData.deleteTickets([id]);
+  await refresh();
+}
+
+// ── Import / export ───────────────────────────────────────────────────────────
+function exportTickets() {
+  const blob = new Blob([LottoCore.exportLedger(tickets)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `my-tickets-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Tickets already in the ledger (same number, draw and price) are not added twice
+async function importTickets(file) {
+  let incoming;
+  try {
+    incoming = LottoCore.parseLedger(await file.text());
+  } catch (err) {
+    ticketError.textContent = `Could not import ${file.name}: ${err.message}.`;
+    return;
+  }
+  const key = t => `${t.number}|${t.dateStr}|${t.price}`;
+  const have = new Map();
+  tickets.forEach(t => have.set(key(t), (have.get(key(t)) || 0) + 1));
+  const fresh = incoming.filter(t => {
+    const n = have.get(key(t)) || 0;
+    if (n) have.set(key(t), n - 1);
+    return !n;
+  });
+  await LottoData.putTickets(fresh);
+  await LottoData.settleTickets(await LottoData.getDraws(), LottoCore.settleTicket);
+  ticketError.textContent = '';
+  setStatus('live', `Imported ${fresh.length} of ${incoming.length} tickets from ${file.name}` +
+    (fresh.length < incoming.length ? ' (the rest were already in the ledger)' : ''));
+  await refresh();
+}
+
+// ── Render ────────────────────────────────────────────────────────────────────
+const baht = n => '฿' + n.toLocaleString('en-US');
+const signed = n => (n < 0 ? '−' : '+') + baht(Math.abs(n));
+const mood = n => n < 0 ? 't-bad' : n > 0 ? 't-good' : '';
+
+function tile(value, label, tone) {
+  return `<div class="c-tile${tone ? ' ' + tone : ''}"><div class="c-tile-val">${value}</div><div class="c-tile-lbl">${label}</div></div>`;
+}
+
+function esc(s) {
+  return String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function periodTable(title, rows) {
+  const body = rows.slice().reverse().map(r => `<tr>
+      <td class="c-mono">${r.key}</td>
+      <td class="c-num">${r.tickets}${r.pending ? ` <span class="t-badge">${r.pending} pending</span>` : ''}</td>
+      <td class="c-num">${r.wins}</td>
+      <td class="c-num">${baht(r.spent)}</td>
+      <td class="c-num">${baht(r.won)}</td>
+      <td class="c-num ${mood(r.net)}">${signed(r.net)}</td>
+      <td class="c-num ${mood(r.running)}">${signed(r.running)}</td>
+    </tr>`).join('');
+  return `<div>
+      <div class="c-section-title">${title}</div>
+      <table>
+        <thead><tr><th>${title === 'By month' ? 'Month' : 'Year'}</th><th class="c-num">Tickets</th><th class="c-num">Wins</th>
+          <th class="c-num">Spent</th><th class="c-num">Won</th><th class="c-num">Net</th><th class="c-num">Running net</th></tr></thead>
+        <tbody>${body}</tbody>
+      </table>
+    </div>`;
+}
+
+function render() {
+  if (!tickets.length) {
+    summaryEl.innerHTML = periodsEl.innerHTML = '';
+    ledgerEl.innerHTML = `
+      <div class="empty-state">
+        <h2>No tickets yet</h2>
+        <p>Add the tickets you buy above, or import a ledger exported from another browser. Each one is checked as soon as its draw is downloaded.</p>
+      </div>`;
+    return;
+  }
+
+  const { months, years, total } = LottoCore.ledgerSummary(tickets);
+  summaryEl.innerHTML =
+    tile(total.tickets, total.tickets === 1 ? 'Ticket' : 'Tickets') +
+    tile(total.pending, 'Awaiting their draw') +
+    tile(total.wins, 'Winning tickets', total.wins ? 'good' : '') +
+    tile(baht(total.spent), 'Spent') +
+    tile(baht(total.won), 'Won', total.won ? 'good' : '') +
+    tile(signed(total.net), 'Net', total.net < 0 ? 'bad' : 'good');
+
+  periodsEl.innerHTML = `
+    <div class="c-tables">
+      ${periodTable('By month', months)}
+      ${periodTable('By year', years)}
+    </div>
+    <p class="c-note">
+      Spending counts every ticket from its draw date, including those still awaiting their draw; winnings are added once the draw is in the cache.
+      Prizes are the amounts paid per ${baht(LottoData.TICKET_PRICE)} ticket at the time of the draw, whatever was paid for the ticket.
+      A ticket dated a few days before a postponed draw is settled by that draw. The ledger stays in this browser: export it to keep a copy.
+    </p>`;
+
+  const rows = tickets.slice().reverse().map(t => {
+    const r = t.result;
+    const outcome = !r ? '<span class="t-badge">Pending</span>'
+      : r.amount ? r.prizes.map(p => `<span class="c-prize">${PRIZE_LABELS[p.prize]}</span>`).join(' ')
+      : '<span class="c-note">No prize</span>';
+    return `<tr>
+      <td class="c-mono">${t.dateStr}${r && r.drawDate !== t.dateStr ? ` <span class="t-badge">drawn ${r.drawDate}</span>` : ''}</td>
+      <td class="c-mono">${esc(t.number)}</td>
+      <td class="c-num">${baht(t.price)}</td>
+      <td>${outcome}</td>
+      <td class="c-num ${r ? mood(r.amount) : ''}">${r ? baht(r.amount) : '–'}</td>
+      <td><button type="button" class="t-del" data-id="${t.id}" aria-label="Delete ticket ${esc(t.number)}" title="Delete">✕</button></td>
+    </tr>`;
+  }).join('');
+  ledgerEl.innerHTML = `
+    <div class="c-section-title">Every ticket, newest first</div>
+    <table>
+      <thead><tr><th>Draw</th><th>Ticket</th><th class="c-num">Paid</th><th>Result</th><th class="c-num">Won</th><th></th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+addBtn.addEventListener('click', () => addTickets());
+ticketInput.addEventListener('keydown', e => {
+  if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); addTickets(); }
+});
+ledgerEl.addEventListener('click', e => {
+  const btn = e.target.closest('.t-del');
+  if (btn) removeTicket(Number(btn.dataset.id));
+});
+exportBtn.addEventListener('click', () => exportTickets());
+importBtn.addEventListener('click', () => importFile.click());
+importFile.addEventListener('change', () => {
+  const file = importFile.files[0];
+  importFile.value = '';
+  if (file) importTickets(file);
+});
+
+// ── Init ─────────────────────────────────────────────────────────────────────
+init().catch(err => {
+  console.error('tickets.js init error:', err);
+  setStatus('empty', 'Failed to load data.');
+});
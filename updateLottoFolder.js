@@ -1,14 +1,62 @@
-const AdmZip = require('adm-zip');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { parseSource, parseTextToResults, validateDrawText } = require('./lottoLoader.js');
 
 const repoUser = 'vicha-w';
 const repoName = 'thai-lotto-archive';
 const branch = 'master';
 const folderPathInRepo = 'lottonumbers';
 const localFolder = './lottonumbers';
+const manifestFile = 'index.json';
+const bundleFile = 'all.json';
 
-(async () => {
+// Short content hash; only used to tell whether a draw file changed.
+function hashFile(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 16);
+}
+
+function listDraws(folder) {
+  return fs.readdirSync(folder)
+    .filter(name => /^\d{4}-\d{2}-\d{2}\.txt$/.test(name))
+    .sort()
+    .map(name => ({ dateStr: name.slice(0, 10), file: path.join(folder, name) }));
+}
+
+// One draw per line and no timestamp, so an unchanged archive leaves git clean
+function writeDrawList(file, draws) {
+  const body = draws.map(d => '  ' + JSON.stringify(d)).join(',\n');
+  fs.writeFileSync(file, `{"count": ${draws.length}, "draws": [\n${body}\n]}\n`);
+  console.log(`Wrote ${path.basename(file)} with ${draws.length} draws.`);
+}
+
+// lottonumbers/index.json: every draw file present, oldest first, so the
+// browser loader can fetch exactly these instead of probing every draw day.
+// lottonumbers/all.json: the same draws already parsed (source host, prize →
+// space-separated numbers, plus any validation anomalies), so a cold start is one download
+// instead of one per file.
+function writeIndexes(folder) {
+  const manifest = [];
+  const bundle = [];
+  for (const { dateStr, file } of listDraws(folder)) {
+    const hash = hashFile(file);
+    const text = fs.readFileSync(file, 'utf8');
+    const results = {};
+    for (const [prize, nums] of Object.entries(parseTextToResults(text))) {
+      results[prize] = nums.join(' ');
+    }
+    const anomalies = validateDrawText(text);
+    const entry = { dateStr, hash, source: parseSource(text), results };
+    if (anomalies.length) entry.anomalies = anomalies;
+    manifest.push({ dateStr, hash });
+    bundle.push(entry);
+  }
+  writeDrawList(path.join(folder, manifestFile), manifest);
+  writeDrawList(path.join(folder, bundleFile), bundle);
+}
+
+async function updateFolder() {
+  const AdmZip = require('adm-zip');
   const zipUrl = `https://github.com/${repoUser}/${repoName}/archive/refs/heads/${branch}.zip`;
   console.log('Downloading zip:', zipUrl);
 
@@ -38,6 +86,12 @@ const localFolder = './lottonumbers';
 
   fs.rmSync(tempDir, { recursive: true, force: true });
   console.log('lottonumbers updated successfully.');
+}
+
+// `--index-only` rebuilds index.json and all.json from the files already on disk.
+(async () => {
+  if (!process.argv.includes('--index-only')) await updateFolder();
+  writeIndexes(localFolder);
 })().catch(err => {
   console.error('Error:', err.message || err);
   process.exit(1);